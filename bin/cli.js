@@ -1,7 +1,17 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
-const { EnsureUITester } = require('../lib/tester');
+const path = require('path');
+const { EnsureUITester, PROMPT_VERSION } = require('../lib/tester');
+const { TestCache } = require('../lib/cache');
+const { exportPlaywrightSpecs } = require('../lib/exporter');
+const { buildPlan, formatPlan, formatPlanJson } = require('../lib/plan');
+const { loadConfig } = require('../lib/config');
+const { approveCaptures } = require('../lib/visual');
+const { startDevServer, runDevMode } = require('../lib/dev');
+const { withBufferedOutput } = require('../lib/logger');
+const { parseReporters, writeReports, mergeShardResults } = require('../lib/reporters');
+const { publishGitHubResults } = require('../lib/reporters/github');
 
 const program = new Command();
 
@@ -10,21 +20,98 @@ program
   .description('LLM-powered automated UI testing for Next.js applications')
   .version('1.0.0');
 
-program
+function addTesterOptions(command) {
+  return command
+    .option('-p, --project <path>', 'Project root path', process.cwd())
+    .option('-u, --url <url>', 'Deployment URL to test against')
+    .option('-c, --config <path>', 'Config file (default: ensureui.config.{js,cjs,json} in the project)')
+    .option('-e, --env <name>', 'Named environment from the config file to test against')
+    .option('-t, --timeout <seconds>', 'Page load timeout in seconds (default: 15)')
+    .option('-k, --api-key <key>', 'EnsureUI API key')
+    .option('--provider <name>', 'LLM provider: ensureui, openai or anthropic')
+    .option('--base-url <url>', 'LLM endpoint URL (OpenAI- or Anthropic-compatible)')
+    .option('--model <model>', 'LLM model for all requests')
+    .option('--split-model <model>', 'LLM model for splitting expectations')
+    .option('--code-model <model>', 'LLM model for generating test code')
+    .option('--llm-format <format>', 'LLM request format for custom endpoints: openai or anthropic')
+    .option('--llm-auth <scheme>', 'LLM auth: bearer, none, or a header name such as x-api-key')
+    .option('--llm-headers <json>', 'Extra LLM request headers as a JSON object')
+    .option('--offline', 'Only use cached LLM output; fail on cache misses instead of calling the API')
+    .option('--frozen', 'Alias for --offline')
+    .option('--no-cache', 'Do not read or write the LLM output cache')
+    .option('--cache-dir <path>', 'Cache directory (default: <project>/.ensureui/cache)')
+    .option('--repair-attempts <n>', 'Retry failing tests once, then ask the LLM to repair them up to n times (default: 0)')
+    .option('-w, --workers <n>', 'Number of pages to test in parallel (default: 1)')
+    .option('--llm-concurrency <n>', 'Maximum concurrent LLM requests (default: 4)')
+    .option('--browsers <list>', 'Comma-separated browsers to run: chromium, firefox, webkit (default: chromium)')
+    .option('--devices <list>', 'Comma-separated Playwright device names to emulate, e.g. "iPhone 13,Pixel 7"')
+    .option('-r, --reporter <list>', 'Comma-separated reports to write: junit, json, html')
+    .option('--output-dir <path>', 'Directory for reports (default: <project>/ensureui-report)')
+    .option('--trace <mode>', 'Record Playwright traces: off, on, retain-on-failure, on-first-retry, on-all-retries (default: off)')
+    .option('--video <mode>', 'Record videos, with the same modes as --trace')
+    .option('--har <mode>', 'Record HAR network logs, with the same modes as --trace');
+}
+
+function addSelectionOptions(command) {
+  return command
+    .option('-g, --grep <pattern>', 'Only run expectations whose text or route matches this regular expression')
+    .option('--tag <list>', 'Only run expectations with one of these comma-separated tags')
+    .option('--changed-since <ref>', 'Only run pages whose files changed since this git ref, e.g. origin/main')
+    .option('--include-importers', 'With --changed-since, also run pages that import a changed file')
+    .option('--shard <i/n>', 'Run only shard i of n, e.g. 2/4; combine the results with merge-reports');
+}
+
+function createTester(options) {
+  return new EnsureUITester({
+    projectRoot: options.project,
+    config: options.config,
+    environment: options.env,
+    deploymentUrl: options.url,
+    timeout: options.timeout,
+    apiKey: options.apiKey,
+    provider: options.provider,
+    baseUrl: options.baseUrl,
+    model: options.model,
+    splitModel: options.splitModel,
+    codeModel: options.codeModel,
+    llmFormat: options.llmFormat,
+    llmAuth: options.llmAuth,
+    llmHeaders: options.llmHeaders,
+    offline: options.offline || options.frozen,
+    cache: options.cache,
+    cacheDir: options.cacheDir,
+    workers: options.workers,
+    llmConcurrency: options.llmConcurrency,
+    repairAttempts: options.repairAttempts,
+    browsers: options.browsers,
+    devices: options.devices,
+    reporter: options.reporter,
+    outputDir: options.outputDir,
+    trace: options.trace,
+    video: options.video,
+    har: options.har,
+    grep: options.grep,
+    tag: options.tag,
+    changedSince: options.changedSince,
+    includeImporters: options.includeImporters,
+    shard: options.shard
+  });
+}
+
+function openCache(options) {
+  const { config } = loadConfig(options.project, options.config || process.env.ENSURE_CONFIG);
+  return new TestCache({
+    dir: path.resolve(options.project, options.cacheDir || process.env.ENSURE_CACHE_DIR || config.cacheDir || '.ensureui/cache'),
+    promptVersion: PROMPT_VERSION
+  });
+}
+
+addSelectionOptions(addTesterOptions(program
   .command('test')
-  .description('Run all tests in the project')
-  .option('-p, --project <path>', 'Project root path', process.cwd())
-  .option('-u, --url <url>', 'Deployment URL to test against')
-  .option('-t, --timeout <seconds>', 'Page load timeout in seconds', '15')
-  .option('-k, --api-key <key>', 'EnsureUI API key')
+  .description('Run all tests in the project')))
   .action(async (options) => {
     try {
-      const tester = new EnsureUITester({
-        projectRoot: options.project,
-        deploymentUrl: options.url,
-        timeout: options.timeout,
-        apiKey: options.apiKey
-      });
+      const tester = createTester(options);
       
       await tester.runAllTests();
     } catch (error) {
@@ -33,25 +120,15 @@ program
     }
   });
 
-program
+addTesterOptions(program
   .command('test-page')
   .description('Run tests for a single page')
-  .argument('<route>', 'Route to test (e.g., /about, /posts/123)')
-  .option('-p, --project <path>', 'Project root path', process.cwd())
-  .option('-u, --url <url>', 'Deployment URL to test against')
-  .option('-t, --timeout <seconds>', 'Page load timeout in seconds', '15')
-  .option('-k, --api-key <key>', 'EnsureUI API key')
+  .argument('<route>', 'Route to test (e.g., /about, /posts/123)'))
   .action(async (route, options) => {
     try {
-      const tester = new EnsureUITester({
-        projectRoot: options.project,
-        deploymentUrl: options.url,
-        timeout: options.timeout,
-        apiKey: options.apiKey
-      });
+      const tester = createTester(options);
       
       const pages = await tester.findEnsureUIPages();
-      console.log(pages, 'pages')
       const page = pages.find(page => page.route === route || page.route === route.replace(/\/$/, ''));
       
       if (!page) {
@@ -77,21 +154,39 @@ program
       console.log(`🏁 RESULT FOR ${page.route}`);
       
       if (result.passed) {
-        console.log(`✅ PASSED - All ${page.expectations.length} expectations met`);
+        console.log(`✅ PASSED - All ${result.generatedTests.length} expectations met`);
       } else {
         console.log(`❌ FAILED`);
         const failedTests = result.generatedTests.filter(t => !t.passed);
-        console.log(`Failed expectations: ${failedTests.length}/${page.expectations.length}`);
+        console.log(`Failed expectations: ${failedTests.length}/${result.generatedTests.length}`);
         
         failedTests.forEach((test, index) => {
-          console.log(`  ${index + 1}. ${test.expectation}`);
+          console.log(`  ${index + 1}. ${test.expectation}${tester.projects.length > 1 ? ` [${test.project}]` : ''}`);
           if (test.error) {
             console.log(`     Error: ${test.error}`);
           }
         });
+
+        const failedChecks = result.checks.filter(check => !check.passed);
+        if (failedChecks.length > 0) {
+          console.log(`Failed checks: ${failedChecks.length}/${result.checks.length}`);
+          failedChecks.forEach(check => {
+            console.log(`  - ${check.name}${tester.projects.length > 1 ? ` [${check.project}]` : ''}: ${check.error}`);
+          });
+        }
+      }
+      if (result.consoleErrors.length || result.pageErrors.length || result.failedRequests.length) {
+        console.log(`Console errors: ${result.consoleErrors.length}, uncaught exceptions: ${result.pageErrors.length}, failed requests: ${result.failedRequests.length}`);
       }
       
       console.log('='.repeat(80));
+
+      tester.writeReports({
+        totalPages: 1,
+        passedPages: result.passed ? 1 : 0,
+        failedPages: result.passed ? 0 : 1,
+        pages: [result]
+      });
       
       if (!result.passed) {
         process.exit(1);
@@ -102,4 +197,275 @@ program
     }
   });
 
+addTesterOptions(program
+  .command('dev')
+  .description('Start the dev server, run all tests, then re-run pages whose files change')
+  .option('--script <name>', 'package.json script that starts the server (default: dev, then start)')
+  .option('--port <port>', 'Port for the dev server (default: 3000)')
+  .option('--ready-timeout <seconds>', 'How long to wait for the server to respond (default: 120)'))
+  .action(async (options) => {
+    let server = null;
+    try {
+      const { config } = loadConfig(options.project, options.config || process.env.ENSURE_CONFIG);
+      const dev = config.dev || {};
+
+      // With --url, test against a server that is already running
+      if (!options.url) {
+        server = await startDevServer({
+          projectRoot: path.resolve(options.project),
+          script: options.script || dev.script,
+          port: parseInt(options.port || dev.port || 3000),
+          readyTimeout: parseInt(options.readyTimeout || dev.readyTimeout || 120) * 1000
+        });
+      }
+
+      const tester = createTester({ ...options, url: options.url || server.url });
+      process.exit(await runDevMode(tester, { server }));
+    } catch (error) {
+      console.error('EnsureUI dev failed:', error.message);
+      if (server) {
+        await server.stop();
+      }
+      process.exit(1);
+    }
+  });
+
+addTesterOptions(program
+  .command('export')
+  .description('Write Playwright spec files for the generated tests, one per route')
+  .argument('[routes...]', 'Only export these routes (default: all)')
+  .option('-o, --out-dir <path>', 'Output directory for spec files', 'ensureui-tests')
+  .option('-f, --format <format>', 'Spec file format: ts or js', 'ts'))
+  .action(async (routes, options) => {
+    try {
+      const tester = createTester(options);
+
+      if (!tester.deploymentUrl && !tester.offline) {
+        console.error('❌ A deployment URL (-u) is required to generate test code. Use --offline to export cached code only.');
+        process.exit(1);
+      }
+
+      let pages = await tester.findEnsureUIPages();
+      if (routes.length > 0) {
+        const wanted = routes.map(route => route.replace(/(.)\/$/, '$1'));
+        pages = pages.filter(page => wanted.includes(page.route));
+      }
+
+      if (pages.length === 0) {
+        console.log('No pages found with // ensureUI comments. Nothing to export.');
+        return;
+      }
+
+      const outDir = path.resolve(options.project, options.outDir);
+      const files = await exportPlaywrightSpecs(tester, pages, { outDir, format: options.format });
+
+      files.forEach(file => console.log(`📝 ${path.relative(process.cwd(), file)}`));
+      console.log(`\nExported ${files.length} spec files. Run them with: DEPLOYMENT_URL=<url> npx playwright test ${path.relative(process.cwd(), outDir) || '.'}`);
+    } catch (error) {
+      console.error('EnsureUI export failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+addSelectionOptions(addTesterOptions(program
+  .command('plan')
+  .description('Show the routes, URLs and split expectations that would be tested, without running them')
+  .argument('[routes...]', 'Only show these routes (default: all)')
+  .option('--code', 'Also generate (or read from the cache) the test code for each expectation')
+  .option('--json', 'Print the plan as JSON')))
+  .action(async (routes, options) => {
+    try {
+      const tester = createTester(options);
+
+      if (options.code && !tester.deploymentUrl && !tester.offline) {
+        console.error('❌ A deployment URL (-u) is required to generate test code. Use --offline to show cached code only.');
+        process.exit(1);
+      }
+
+      // With --json, discovery output goes to stderr so stdout stays valid JSON
+      const plan = await withBufferedOutput(async () => {
+        let pages = await tester.findEnsureUIPages();
+        if (routes.length > 0) {
+          const wanted = routes.map(route => route.replace(/(.)\/$/, '$1'));
+          pages = pages.filter(page => wanted.includes(page.route));
+        }
+        return buildPlan(tester, pages, { code: options.code });
+      }, options.json ? 'error' : null);
+
+      console.log(options.json ? formatPlanJson(plan) : `\n${formatPlan(plan)}`);
+
+      if (plan.errors.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('EnsureUI plan failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('merge-reports')
+  .description('Combine the results of runs with --shard into one set of reports')
+  .argument('<paths...>', 'Shard result files, or directories to search for them')
+  .option('-p, --project <path>', 'Project root path', process.cwd())
+  .option('-c, --config <path>', 'Config file (default: ensureui.config.{js,cjs,json} in the project)')
+  .option('-r, --reporter <list>', 'Comma-separated reports to write: junit, json, html')
+  .option('--output-dir <path>', 'Directory for reports (default: <project>/ensureui-report)')
+  .action(async (paths, options) => {
+    try {
+      const { config } = loadConfig(options.project, options.config || process.env.ENSURE_CONFIG);
+      const reporters = parseReporters(options.reporter || process.env.ENSURE_REPORTER || config.reporter);
+      // In GitHub Actions the merged results are also published to the run
+      if (reporters.length === 0 && !process.env.GITHUB_ACTIONS) {
+        console.error('❌ Specify the reports to write with -r, e.g. -r junit,html');
+        process.exit(1);
+      }
+
+      const projectRoot = path.resolve(options.project);
+      const { results, shards, missing, files } = mergeShardResults(paths, { projectRoot });
+      const outputDir = path.resolve(projectRoot, options.outputDir || process.env.ENSURE_OUTPUT_DIR || config.outputDir || 'ensureui-report');
+
+      writeReports(results, reporters, { outputDir, projectRoot })
+        .forEach(file => console.log(`📄 Report: ${file}`));
+
+      console.log(`\nMerged ${files.length} of ${shards} shards: ${results.totalPages} pages, ${results.passedPages} passed, ${results.failedPages} failed`);
+      if (missing.length > 0) {
+        console.error(`❌ Missing results for shard ${missing.map(index => `${index}/${shards}`).join(', ')}`);
+      }
+
+      if (process.env.GITHUB_ACTIONS) {
+        await publishGitHubResults(results, { projectRoot });
+      }
+
+      if (results.failedPages > 0 || missing.length > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('EnsureUI merge-reports failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('approve')
+  .description('Promote the screenshots captured by the last run to visual baselines')
+  .argument('[routes...]', 'Only approve captures for these routes (default: all)')
+  .option('-p, --project <path>', 'Project root path', process.cwd())
+  .option('-c, --config <path>', 'Config file (default: ensureui.config.{js,cjs,json} in the project)')
+  .action((routes, options) => {
+    try {
+      const { config } = loadConfig(options.project, options.config || process.env.ENSURE_CONFIG);
+      const visualDir = path.resolve(options.project, config.visualDir || '.ensureui/visual');
+      const approved = approveCaptures(visualDir, { routes });
+
+      if (approved.length === 0) {
+        console.log('No captures to approve. Run tests with "// ensureUI: visual" expectations first.');
+        return;
+      }
+
+      approved.forEach(file => console.log(`✅ ${file}`));
+      console.log(`\nApproved ${approved.length} baselines in ${path.relative(process.cwd(), path.join(visualDir, 'baseline')) || '.'}`);
+    } catch (error) {
+      console.error('EnsureUI approve failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect and manage cached expectation splits and generated test code');
+
+function addCacheOptions(command) {
+  return command
+    .option('-p, --project <path>', 'Project root path', process.cwd())
+    .option('-c, --config <path>', 'Config file (default: ensureui.config.{js,cjs,json} in the project)')
+    .option('--cache-dir <path>', 'Cache directory (default: <project>/.ensureui/cache)');
+}
+
+addCacheOptions(cacheCommand
+  .command('list')
+  .description('List cache entries')
+  .option('--kind <kind>', 'Only entries of this kind: split or code')
+  .option('--route <route>', 'Only entries for this route (or source file for splits)')
+  .option('--match <text>', 'Only entries whose expectation contains this text')
+  .option('--json', 'Print entries as JSON'))
+  .action((options) => {
+    try {
+      const entries = openCache(options).list(options);
+
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+      }
+
+      if (entries.length === 0) {
+        console.log('Cache is empty');
+        return;
+      }
+
+      entries.forEach(entry => {
+        if (entry.corrupt) {
+          console.log(`${entry.key}  ${entry.kind.padEnd(5)}  (unreadable, removed by "cache prune")`);
+          return;
+        }
+        const stale = entry.promptVersion !== String(PROMPT_VERSION) ? ' (stale)' : '';
+        console.log(`${entry.key}  ${entry.kind.padEnd(5)}  ${entry.route}  "${entry.text}"${stale}`);
+        if (entry.kind === 'code') {
+          console.log(`    ${String(entry.value).split('\n').join('\n    ')}`);
+        }
+      });
+      console.log(`\n${entries.length} entries`);
+    } catch (error) {
+      console.error('EnsureUI cache list failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+addCacheOptions(cacheCommand
+  .command('prune')
+  .description('Remove entries from older prompt versions and unreadable entries')
+  .option('--older-than <days>', 'Also remove entries created more than this many days ago'))
+  .action((options) => {
+    try {
+      const removed = openCache(options).prune({ olderThanDays: options.olderThan && Number(options.olderThan) });
+      console.log(`🧹 Pruned ${removed} cache entries`);
+    } catch (error) {
+      console.error('EnsureUI cache prune failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+addCacheOptions(cacheCommand
+  .command('invalidate')
+  .description('Remove matching entries so they are regenerated on the next run')
+  .option('--kind <kind>', 'Only entries of this kind: split or code')
+  .option('--route <route>', 'Only entries for this route (or source file for splits)')
+  .option('--match <text>', 'Only entries whose expectation contains this text'))
+  .action((options) => {
+    if (!options.kind && !options.route && !options.match) {
+      console.error('❌ Specify --kind, --route or --match (use "cache clear" to remove everything)');
+      process.exit(1);
+    }
+    try {
+      const removed = openCache(options).invalidate(options);
+      console.log(`🗑️  Invalidated ${removed} cache entries`);
+    } catch (error) {
+      console.error('EnsureUI cache invalidate failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+addCacheOptions(cacheCommand
+  .command('clear')
+  .description('Remove all cache entries'))
+  .action((options) => {
+    try {
+      const removed = openCache(options).clear();
+      console.log(`🗑️  Removed ${removed} cache entries`);
+    } catch (error) {
+      console.error('EnsureUI cache clear failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
\ No newline at end of file
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const { EnsureUITester } = require('./lib/tester');
 
 // Run the tests for GitHub Actions
@@ -8,7 +10,17 @@ const tester = new EnsureUITester({
   apiKey: process.env.ENSURE_API_KEY
 });
 
+// The directories as resolved from the config, so the upload step
+// finds the artifacts wherever they are configured to go
+if (process.env.GITHUB_OUTPUT) {
+  fs.appendFileSync(process.env.GITHUB_OUTPUT, [
+    `screenshot-dir=${path.resolve(tester.getScreenshotDir())}`,
+    `output-dir=${tester.outputDir}`,
+    `visual-dir=${tester.visualDir}`
+  ].join('\n') + '\n');
+}
+
 tester.runAllTests().catch(error => {
   console.error('EnsureUI tests failed:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
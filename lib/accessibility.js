@@ -0,0 +1,87 @@
+const fs = require('fs');
+const picomatch = require('picomatch');
+
+// axe-core impact levels, least severe first
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+let axeSource = null;
+
+function formatFinding(finding) {
+  return `${finding.rule} (${finding.impact}) at ${finding.selector}: ${finding.help}`;
+}
+
+class AccessibilityError extends Error {
+  constructor(findings) {
+    super(`${findings.length} accessibility violation${findings.length === 1 ? '' : 's'}:\n${findings.map(finding => `- ${formatFinding(finding)}`).join('\n')}`);
+    this.name = 'AccessibilityError';
+    this.findings = findings;
+  }
+}
+
+// The region the generated code asked for does not exist, so the code is
+// wrong rather than the page
+class AccessibilityScopeError extends Error {
+  constructor(selector) {
+    super(`No element matches the accessibility audit scope ${JSON.stringify(selector)}`);
+    this.name = 'AccessibilityScopeError';
+  }
+}
+
+// Runs the bundled axe-core on the page, or on the region matching
+// `include`, and returns one finding per rule and element
+async function auditPage(page, { include = null, exclude = null, tags = null, disableRules = [] } = {}) {
+  for (const selector of [include, exclude]) {
+    if (selector !== null && (typeof selector !== 'string' || await page.locator(selector).count() === 0)) {
+      throw new AccessibilityScopeError(selector);
+    }
+  }
+
+  axeSource = axeSource || fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+  // Evaluated rather than added as a script tag, which a CSP could block
+  await page.evaluate(axeSource);
+
+  const context = include || exclude ? { include: include ? [include] : undefined, exclude: exclude ? [exclude] : [] } : null;
+  const options = {
+    resultTypes: ['violations'],
+    ...(tags && tags.length > 0 ? { runOnly: { type: 'tag', values: tags } } : {}),
+    rules: Object.fromEntries(disableRules.map(rule => [rule, { enabled: false }]))
+  };
+  const results = await page.evaluate(([auditContext, auditOptions]) =>
+    window.axe.run(auditContext || document, auditOptions), [context, options]);
+
+  return results.violations.flatMap(violation => violation.nodes.map(node => ({
+    rule: violation.id,
+    impact: node.impact || violation.impact,
+    selector: node.target.flat().join(' '),
+    help: violation.help,
+    helpUrl: violation.helpUrl
+  })));
+}
+
+// Known violations from `accessibility.baseline` in the config, matched by
+// rule and optionally by route (exactly or as a glob) and selector
+function isBaselined(finding, route, baseline = []) {
+  return baseline.some(entry => entry.rule === finding.rule &&
+    (!entry.route || entry.route === route || picomatch.isMatch(route, entry.route, { dot: true })) &&
+    (!entry.selector || entry.selector === finding.selector));
+}
+
+// Audits the page with the config's `accessibility` settings. Every finding
+// is returned for reporting; `failing` holds those that are not baselined
+// and at least as severe as `impact`.
+async function checkAccessibility(page, route, settings = {}, { include = null, exclude = null } = {}) {
+  const findings = (await auditPage(page, { include, exclude, tags: settings.tags, disableRules: settings.disableRules }))
+    .map(finding => ({ ...finding, baselined: isBaselined(finding, route, settings.baseline) }));
+  const minimum = IMPACTS.indexOf(settings.impact || 'minor');
+  const failing = findings.filter(finding => !finding.baselined && IMPACTS.indexOf(finding.impact) >= minimum);
+
+  return { findings, failing };
+}
+
+module.exports = {
+  IMPACTS,
+  AccessibilityError,
+  AccessibilityScopeError,
+  formatFinding,
+  checkAccessibility
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('@playwright/test');
+const { logger, addSecret } = require('./logger');
+const { runTestCode } = require('./sandbox');
+
+const PROFILE_KINDS = ['storageState', 'setup', 'login'];
+
+const SESSION_COOKIE_NAME = /sess|auth|token|jwt|sid|login|remember|csrf|xsrf/i;
+
+// Cookies that hold a session or credentials; preference cookies such as a
+// locale are left readable in logs
+function isSessionCookie(cookie) {
+  return Boolean(cookie.httpOnly) || SESSION_COOKIE_NAME.test(cookie.name || '');
+}
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Credentials map a name used by the login flow to the env var holding it,
+// e.g. { email: 'ADMIN_EMAIL', password: 'ADMIN_PASSWORD' }.
+function resolveCredentials(profileName, credentials = {}) {
+  const values = {};
+  const missing = [];
+
+  for (const [key, envVar] of Object.entries(credentials)) {
+    const value = process.env[envVar];
+    if (value === undefined || value === '') {
+      missing.push(envVar);
+    } else {
+      addSecret(value);
+      values[key] = value;
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new AuthError(`Auth profile '${profileName}' needs the environment variables ${missing.join(', ')}`);
+  }
+  return values;
+}
+
+// Named login profiles from the `auth` config section. Each profile is
+// resolved at most once per run into a Playwright storage state that every
+// page using it starts from.
+class AuthProfiles {
+  constructor({ profiles = {}, projectRoot, deploymentUrl, timeout, generateLoginCode }) {
+    this.profiles = profiles;
+    this.projectRoot = projectRoot;
+    this.deploymentUrl = deploymentUrl;
+    this.timeout = timeout;
+    this.generateLoginCode = generateLoginCode;
+    this.states = new Map();
+
+    for (const [name, profile] of Object.entries(profiles)) {
+      const kinds = PROFILE_KINDS.filter(kind => profile[kind] !== undefined);
+      if (kinds.length !== 1) {
+        throw new AuthError(`Auth profile '${name}' must set exactly one of ${PROFILE_KINDS.join(', ')}`);
+      }
+      // Mask credentials from the start, even for profiles no page uses
+      for (const envVar of Object.values(profile.credentials || {})) {
+        addSecret(process.env[envVar]);
+      }
+    }
+  }
+
+  state(name, browser) {
+    if (!this.profiles[name]) {
+      throw new AuthError(`Unknown auth profile '${name}'. Define it under "auth" in the EnsureUI config`);
+    }
+    if (!this.states.has(name)) {
+      this.states.set(name, this.createState(name, browser).then(state => {
+        // Session cookies are as sensitive as the credentials that made them
+        state.cookies.filter(isSessionCookie).forEach(cookie => addSecret(cookie.value));
+        return state;
+      }));
+    }
+    return this.states.get(name);
+  }
+
+  async createState(name, browser) {
+    const profile = this.profiles[name];
+    const credentials = resolveCredentials(name, profile.credentials);
+
+    if (profile.storageState) {
+      const statePath = path.resolve(this.projectRoot, profile.storageState);
+      if (!fs.existsSync(statePath)) {
+        throw new AuthError(`Storage state for auth profile '${name}' not found: ${statePath}`);
+      }
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      return { cookies: state.cookies || [], origins: state.origins || [] };
+    }
+
+    logger.log(`🔑 Logging in with auth profile '${name}'`);
+    const context = await browser.newContext();
+
+    try {
+      const page = await context.newPage();
+
+      if (profile.setup) {
+        const setup = require(path.resolve(this.projectRoot, profile.setup));
+        await (setup.default || setup)({ page, context, expect, credentials, baseUrl: this.deploymentUrl });
+      } else {
+        await page.goto(new URL(profile.login.url || '/', this.deploymentUrl).href, {
+          waitUntil: 'networkidle',
+          timeout: this.timeout
+        });
+        const code = await this.generateLoginCode(name, profile.login, Object.keys(credentials), await page.content());
+        await runTestCode(code, { page, expect, credentials }, { timeout: this.timeout });
+      }
+
+      return await context.storageState();
+    } catch (error) {
+      throw new AuthError(`Login for auth profile '${name}' failed: ${error.message}`);
+    } finally {
+      await context.close();
+    }
+  }
+}
+
+module.exports = { AuthProfiles, AuthError, isSessionCookie };
@@ -0,0 +1,112 @@
+const playwright = require('playwright');
+
+const BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+function splitList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function resolveProject(project) {
+  const device = project.device ? playwright.devices[project.device] : null;
+  if (project.device && !device) {
+    throw new Error(`Unknown device '${project.device}'. See https://playwright.dev/docs/emulation#devices for names`);
+  }
+
+  const browser = project.browser || (device && device.defaultBrowserType) || 'chromium';
+  if (!BROWSERS.includes(browser)) {
+    throw new Error(`Unknown browser '${browser}'. Use one of ${BROWSERS.join(', ')}`);
+  }
+
+  // defaultBrowserType is not a context option
+  const { defaultBrowserType, ...deviceOptions } = device || {};
+  const isMobile = Boolean(deviceOptions.isMobile);
+  if (browser === 'firefox') {
+    // Firefox cannot emulate mobile; keep the viewport, user agent and touch
+    delete deviceOptions.isMobile;
+  }
+
+  return {
+    name: project.name || project.device || browser,
+    browser,
+    device: project.device || null,
+    isMobile,
+    contextOptions: deviceOptions
+  };
+}
+
+// Builds the browser/device matrix. `projects` from the config file wins;
+// otherwise every browser runs on desktop and every device runs on its
+// default browser.
+function resolveProjects({ projects, browsers, devices }) {
+  let entries = projects;
+
+  if (!entries || entries.length === 0) {
+    const browserList = splitList(browsers);
+    const deviceList = splitList(devices);
+    entries = [
+      ...browserList.map(browser => ({ browser })),
+      ...deviceList.map(device => ({ device }))
+    ];
+  }
+
+  if (entries.length === 0) {
+    entries = [{ browser: 'chromium' }];
+  }
+
+  const resolved = entries.map(resolveProject);
+  const names = new Set();
+  for (const project of resolved) {
+    if (names.has(project.name)) {
+      throw new Error(`Duplicate browser/device project '${project.name}'. Give each project a unique name`);
+    }
+    names.add(project.name);
+  }
+  return resolved;
+}
+
+// Targets come from `// ensureUI[mobile]: ...`. An expectation without
+// targets runs everywhere; otherwise any target may match the project name,
+// browser, device, or the words mobile/desktop.
+function projectMatches(project, targets) {
+  if (!targets || targets.length === 0) {
+    return true;
+  }
+  return targets.some(target => {
+    const wanted = target.toLowerCase();
+    return wanted === project.name.toLowerCase() ||
+      wanted === project.browser ||
+      (project.device && wanted === project.device.toLowerCase()) ||
+      (wanted === 'mobile' && project.isMobile) ||
+      (wanted === 'desktop' && !project.isMobile);
+  });
+}
+
+// Launches each browser type once, on first use, and shares it between pages.
+class BrowserPool {
+  constructor() {
+    this.browsers = new Map();
+  }
+
+  get(browserName) {
+    if (!this.browsers.has(browserName)) {
+      this.browsers.set(browserName, playwright[browserName].launch());
+    }
+    return this.browsers.get(browserName);
+  }
+
+  async close() {
+    const launches = [...this.browsers.values()];
+    this.browsers.clear();
+    await Promise.all(launches.map(async launch => {
+      try {
+        await (await launch).close();
+      } catch (error) {
+        // A browser that failed to launch has nothing to close
+      }
+    }));
+  }
+}
+
+module.exports = { BROWSERS, BrowserPool, resolveProjects, projectMatches };
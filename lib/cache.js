@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEPLOYMENT_URL_PLACEHOLDER = '{{DEPLOYMENT_URL}}';
+
+class CacheMissError extends Error {
+  constructor(kind, text, route) {
+    super(`No cached ${kind} for "${text}" (${route}) in offline mode. Run once without --offline to record it.`);
+    this.name = 'CacheMissError';
+    this.kind = kind;
+  }
+}
+
+// The parsed entry, or null when the file is not a JSON object
+function readEntry(file) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// One JSON file per entry under <dir>/<kind>/, so entries can be committed
+// and reviewed like any other fixture.
+class TestCache {
+  constructor({ dir, promptVersion, enabled = true, offline = false }) {
+    this.dir = dir;
+    this.promptVersion = String(promptVersion);
+    this.enabled = enabled || offline;
+    this.offline = offline;
+  }
+
+  // Output of another model is another entry
+  key(kind, text, route, model = null) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([kind, this.promptVersion, model || null, route, text]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  entryPath(kind, key) {
+    return path.join(this.dir, kind, `${key}.json`);
+  }
+
+  // Returns the cached value, or calls `produce` and stores its result.
+  async resolve(kind, { text, route, model }, produce) {
+    const key = this.key(kind, text, route, model);
+    const file = this.entryPath(kind, key);
+
+    if (this.enabled && fs.existsSync(file)) {
+      const entry = readEntry(file);
+      if (entry && entry.value !== undefined) {
+        return entry.value;
+      }
+      // A truncated or hand-edited entry is a miss, recorded again below
+      logger.warn(`Warning: Ignoring unreadable cache entry ${file}`);
+      fs.rmSync(file, { force: true });
+    }
+
+    if (this.offline) {
+      throw new CacheMissError(kind, text, route);
+    }
+
+    const value = await produce();
+    this.put(kind, { text, route, model }, value);
+    return value;
+  }
+
+  // Stores a value directly, replacing any cached entry for it
+  put(kind, { text, route, model }, value) {
+    if (!this.enabled || this.offline) {
+      return;
+    }
+    const key = this.key(kind, text, route, model);
+    this.write({ kind, key, text, route, model, value });
+  }
+
+  write({ kind, key, text, route, model, value }) {
+    const file = this.entryPath(kind, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      kind,
+      key,
+      route,
+      text,
+      promptVersion: this.promptVersion,
+      model: model || null,
+      createdAt: new Date().toISOString(),
+      value
+    }, null, 2) + '\n');
+  }
+
+  list({ kind, route, match } = {}) {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const entryKind of fs.readdirSync(this.dir)) {
+      const kindDir = path.join(this.dir, entryKind);
+      if (!fs.statSync(kindDir).isDirectory() || (kind && kind !== entryKind)) {
+        continue;
+      }
+      for (const file of fs.readdirSync(kindDir).filter(f => f.endsWith('.json'))) {
+        const filePath = path.join(kindDir, file);
+        const entry = readEntry(filePath);
+        entries.push(entry ? { ...entry, filePath } : { kind: entryKind, key: path.basename(file, '.json'), filePath, corrupt: true });
+      }
+    }
+
+    return entries.filter(entry =>
+      (!route || entry.route === route) &&
+      (!match || String(entry.text || '').toLowerCase().includes(match.toLowerCase()))
+    );
+  }
+
+  remove(entries) {
+    for (const entry of entries) {
+      fs.rmSync(entry.filePath, { force: true });
+    }
+    return entries.length;
+  }
+
+  // Drops entries recorded with another prompt version, unreadable entries,
+  // and optionally entries older than `olderThanDays`.
+  prune({ olderThanDays } = {}) {
+    const cutoff = olderThanDays ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+    return this.remove(this.list().filter(entry =>
+      entry.corrupt ||
+      entry.promptVersion !== this.promptVersion ||
+      (cutoff && Date.parse(entry.createdAt) < cutoff)
+    ));
+  }
+
+  invalidate(filters = {}) {
+    return this.remove(this.list(filters));
+  }
+
+  clear() {
+    const count = this.list().length;
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    return count;
+  }
+}
+
+// Generated code embeds absolute URLs; store them relative to the deployment
+// so a cache recorded against staging replays against a preview deploy.
+function toCachedCode(code, deploymentUrl) {
+  return deploymentUrl ? code.split(deploymentUrl).join(DEPLOYMENT_URL_PLACEHOLDER) : code;
+}
+
+function fromCachedCode(code, deploymentUrl) {
+  return deploymentUrl ? code.split(DEPLOYMENT_URL_PLACEHOLDER).join(deploymentUrl) : code;
+}
+
+module.exports = { TestCache, CacheMissError, toCachedCode, fromCachedCode, DEPLOYMENT_URL_PLACEHOLDER };
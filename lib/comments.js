@@ -0,0 +1,292 @@
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+const ENSURE_UI = /^@?ensureUI\b/i;
+
+// Files ensureUI comments are read from
+const SOURCE_FILE = /\.(js|jsx|ts|tsx|mjs|cjs|mts|cts|svelte|vue|astro|md|mdx)$/;
+const TEMPLATE_FILE = /\.(svelte|vue|astro|md|mdx)$/;
+
+// Comments that never continue an expectation, even on the next line
+const NOT_CONTINUATION = /^(@?ensureUI\b|eslint|@ts-|prettier-ignore|istanbul|TODO|FIXME|XXX)/i;
+
+function parserPlugins(filename) {
+  const extension = path.extname(filename);
+  if (['.ts', '.mts', '.cts'].includes(extension)) {
+    // No jsx: it would make `<T>value` casts ambiguous
+    return ['typescript', 'decorators-legacy'];
+  }
+  if (extension === '.tsx') {
+    return ['typescript', 'jsx', 'decorators-legacy'];
+  }
+  return ['jsx', 'decorators-legacy'];
+}
+
+function positionAt(content, index) {
+  const before = content.slice(0, index);
+  const line = before.split('\n').length;
+  return { line, column: index - before.lastIndexOf('\n') - 1 };
+}
+
+// Last resort for files Babel cannot parse even with error recovery. Does
+// not understand strings, so a "//" inside a URL may show up as a comment.
+function scanComments(content) {
+  const comments = [];
+  const pattern = /\/\/[^\n]*|\/\*[\s\S]*?\*\//g;
+  let match;
+  while ((match = pattern.exec(content))) {
+    const isLine = match[0].startsWith('//');
+    comments.push({
+      type: isLine ? 'CommentLine' : 'CommentBlock',
+      value: isLine ? match[0].slice(2) : match[0].slice(2, -2),
+      loc: { start: positionAt(content, match.index), end: positionAt(content, match.index + match[0].length) }
+    });
+  }
+  return comments;
+}
+
+function parseSource(content, filename) {
+  if (TEMPLATE_FILE.test(filename)) {
+    return parseTemplate(content, filename);
+  }
+
+  try {
+    const ast = parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowImportExportEverywhere: true,
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      plugins: parserPlugins(filename)
+    });
+    return { ast, comments: ast.comments || [], error: null };
+  } catch (error) {
+    return { ast: null, comments: scanComments(content), error };
+  }
+}
+
+const blank = text => text.replace(/[^\r\n]/g, ' ');
+
+// Replaces the given [start, end) ranges with spaces, keeping line breaks so
+// positions in what is left stay the same
+function blankRanges(content, ranges) {
+  let result = '';
+  let index = 0;
+  for (const [start, end] of ranges) {
+    result += content.slice(index, start) + blank(content.slice(start, end));
+    index = end;
+  }
+  return result + content.slice(index);
+}
+
+function commentAt(content, start, end, opener, closer) {
+  return {
+    type: 'CommentBlock',
+    value: content.slice(start + opener.length, end - closer.length),
+    opener: opener.length,
+    loc: { start: positionAt(content, start), end: positionAt(content, end) }
+  };
+}
+
+// Svelte, Vue, Astro and Markdown files: comments in <script> blocks and
+// Astro frontmatter are parsed as code, <!-- --> comments in the markup and,
+// in Astro and MDX, {/* */} expressions too.
+function parseTemplate(content, filename) {
+  const scripts = [];
+  const styles = [];
+  let match;
+
+  const frontmatter = filename.endsWith('.astro') && content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (frontmatter) {
+    scripts.push([frontmatter[0].indexOf('\n') + 1, frontmatter[0].indexOf('\n') + 1 + frontmatter[1].length]);
+  }
+
+  let typescript = false;
+  const blocks = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+  while ((match = blocks.exec(content))) {
+    const start = match.index + match[0].indexOf('>') + 1;
+    (match[1].toLowerCase() === 'script' ? scripts : styles).push([start, start + match[3].length]);
+    typescript = typescript || /\blang=["']ts["']/.test(match[2]);
+  }
+
+  // Only the scripts, at their original positions
+  const outside = [];
+  let index = 0;
+  for (const [start, end] of scripts) {
+    outside.push([index, start]);
+    index = end;
+  }
+  outside.push([index, content.length]);
+  const code = blankRanges(content, outside);
+  const markup = blankRanges(content, [...scripts, ...styles].sort((a, b) => a[0] - b[0]));
+
+  let { comments, error } = parseSource(code, typescript || frontmatter ? 'template.ts' : 'template.js');
+  comments = [...comments];
+
+  const html = /<!--([\s\S]*?)-->/g;
+  while ((match = html.exec(markup))) {
+    comments.push(commentAt(content, match.index, match.index + match[0].length, '<!--', '-->'));
+  }
+  if (/\.(astro|mdx)$/.test(filename)) {
+    const jsx = /\{\s*(\/\*[\s\S]*?\*\/)\s*\}/g;
+    while ((match = jsx.exec(markup))) {
+      const start = match.index + match[0].indexOf('/*');
+      comments.push(commentAt(content, start, start + match[1].length, '/*', '*/'));
+    }
+  }
+
+  comments.sort((a, b) => a.loc.start.line - b.loc.start.line || a.loc.start.column - b.loc.start.column);
+  return { ast: null, comments, error };
+}
+
+function isComponentName(name) {
+  return name === 'default' || /^[A-Z]/.test(name);
+}
+
+// Top-level functions, classes and `const X = () => ...` whose names look
+// like React components, plus anonymous default exports.
+function findComponents(ast) {
+  const components = [];
+
+  for (const statement of ast.program.body) {
+    const isExport = /^Export(Named|Default)Declaration$/.test(statement.type);
+    const declaration = isExport && statement.declaration ? statement.declaration : statement;
+    const names = [];
+
+    if (/^(FunctionDeclaration|ClassDeclaration)$/.test(declaration.type)) {
+      names.push(declaration.id ? declaration.id.name : 'default');
+    } else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier' && declarator.init &&
+            /Function|Call|Class/.test(declarator.init.type)) {
+          names.push(declarator.id.name);
+        }
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration' && /Function|Class|Call/.test(declaration.type)) {
+      names.push('default');
+    }
+
+    for (const name of names.filter(isComponentName)) {
+      components.push({ name, start: statement.loc.start.line, end: statement.loc.end.line });
+    }
+  }
+
+  return components;
+}
+
+// The component the comment is inside, else the one right after it (the
+// comment documents it), else the closest one before it.
+function nearestComponent(components, line) {
+  const inside = components.find(component => component.start <= line && line <= component.end);
+  const after = components.find(component => component.start > line);
+  const before = components.filter(component => component.end < line).pop();
+  const component = inside || after || before;
+  return component ? component.name : null;
+}
+
+function stripMarker(text) {
+  return text.replace(ENSURE_UI, '').replace(/^[\s:]+|[\s:]+$/g, '');
+}
+
+// `// ensureUI: ...` continues on the following `//` lines as long as they
+// are on their own line, directly below and aligned with the first one, and
+// their text is indented deeper than the marker. An unrelated note that
+// follows is written like any other comment and stays out.
+function lineEntry(comments, index, lines) {
+  const first = comments[index];
+  const parts = [stripMarker(first.value.trim())];
+  const indent = value => value.length - value.trimStart().length;
+  let last = first;
+
+  for (let i = index + 1; i < comments.length; i++) {
+    const next = comments[i];
+    const text = next.value.trim();
+    const ownLine = lines[next.loc.start.line - 1].slice(0, next.loc.start.column).trim() === '';
+
+    if (next.type !== 'CommentLine' || next.loc.start.line !== last.loc.end.line + 1 ||
+        next.loc.start.column !== first.loc.start.column || !ownLine || !text ||
+        indent(next.value) <= indent(first.value) || NOT_CONTINUATION.test(text)) {
+      break;
+    }
+    parts.push(text);
+    last = next;
+  }
+
+  return {
+    entry: {
+      text: parts.filter(Boolean).join(' '),
+      kind: 'line',
+      start: { line: first.loc.start.line, column: first.loc.start.column + 1 },
+      end: { line: last.loc.end.line, column: last.loc.end.column + 1 }
+    },
+    consumed: comments.indexOf(last) - index
+  };
+}
+
+// `/* ensureUI: ... */`, `{/* ensureUI: ... */}` in JSX and JSDoc blocks.
+// A block can hold several expectations; each runs until a blank line,
+// a @tag or the next ensureUI.
+function blockEntries(comment) {
+  const entries = [];
+  let current = null;
+
+  comment.value.split('\n').forEach((raw, index) => {
+    const withoutStar = raw.replace(/^\s*\*+/, '');
+    const text = withoutStar.trim();
+    const line = comment.loc.start.line + index;
+    // Skips the opening "/*" or "<!--" on the first line
+    const column = (index === 0 ? comment.loc.start.column + (comment.opener || 2) : 0) +
+      (raw.length - withoutStar.length) + (withoutStar.length - withoutStar.trimStart().length) + 1;
+
+    if (ENSURE_UI.test(text)) {
+      current = {
+        parts: [stripMarker(text)],
+        kind: 'block',
+        start: { line, column },
+        end: { line, column: column + text.length }
+      };
+      entries.push(current);
+    } else if (current && text && !text.startsWith('@')) {
+      current.parts.push(text);
+      current.end = { line, column: column + text.length };
+    } else {
+      current = null;
+    }
+  });
+
+  return entries.map(({ parts, ...entry }) => ({ text: parts.filter(Boolean).join(' '), ...entry }));
+}
+
+// Finds every ensureUI comment in a JS/TS/JSX source file. Returns the raw
+// text after the marker with 1-based line/column spans and the name of the
+// nearest component.
+function findEnsureUIComments(content, filename) {
+  const { ast, comments, error } = parseSource(content, filename);
+  const lines = content.split('\n');
+  let components = ast ? findComponents(ast) : [];
+  if (TEMPLATE_FILE.test(filename)) {
+    // A single-file component is named after its file
+    components = [{ name: path.basename(filename).replace(/\.[^.]+$/, ''), start: 1, end: lines.length }];
+  }
+  const entries = [];
+
+  for (let i = 0; i < comments.length; i++) {
+    const comment = comments[i];
+    if (comment.type === 'CommentLine') {
+      if (ENSURE_UI.test(comment.value.trim())) {
+        const { entry, consumed } = lineEntry(comments, i, lines);
+        entries.push(entry);
+        i += consumed;
+      }
+    } else {
+      entries.push(...blockEntries(comment));
+    }
+  }
+
+  return {
+    comments: entries.map(entry => ({ ...entry, component: nearestComponent(components, entry.start.line) })),
+    parseError: error
+  };
+}
+
+module.exports = { findEnsureUIComments, SOURCE_FILE };
@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const { FRAMEWORKS } = require('./frameworks');
+const { RECORDING_MODES } = require('./recording');
+const { ABORT_ERRORS, parseMockNames } = require('./mocks');
+const { IMPACTS } = require('./accessibility');
+const { METRICS } = require('./performance');
+const { compilePattern } = require('./policies');
+
+const CONFIG_FILES = ['ensureui.config.js', 'ensureui.config.cjs', 'ensureui.config.json'];
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+
+class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid config ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const string = { type: 'string' };
+const stringList = { type: 'array', items: string };
+const positiveNumber = { type: 'number', min: 1 };
+const fraction = { type: 'number', min: 0 };
+const headers = { type: 'record', values: string };
+
+const viewport = {
+  type: 'object',
+  properties: { width: positiveNumber, height: positiveNumber },
+  required: ['width', 'height']
+};
+
+const cookie = {
+  type: 'object',
+  properties: {
+    name: string,
+    value: string,
+    domain: string,
+    path: string,
+    url: string,
+    httpOnly: { type: 'boolean' },
+    secure: { type: 'boolean' },
+    sameSite: { enum: ['Strict', 'Lax', 'None'] },
+    expires: { type: 'number' }
+  },
+  required: ['name', 'value']
+};
+
+// Settings that can be set globally and overridden per route
+const pageSettings = {
+  timeout: positiveNumber,
+  viewport,
+  waitUntil: { enum: WAIT_UNTIL },
+  headers,
+  cookies: { type: 'array', items: cookie },
+  // Maximum value per metric: milliseconds, a CLS score, a request count or bytes
+  budgets: {
+    type: 'object',
+    properties: Object.fromEntries(METRICS.map(name => [name, fraction]))
+  },
+  // Page load problems that fail the page, see lib/policies.js
+  failOn: {
+    type: 'object',
+    properties: {
+      consoleErrors: { type: 'boolean' },
+      pageErrors: { type: 'boolean' },
+      failedRequests: { type: 'boolean' },
+      // Known noise: substrings or /regular expressions/
+      allow: { type: 'array', items: { type: 'string', check: compilePattern } }
+    }
+  },
+  visual: {
+    type: 'object',
+    properties: {
+      threshold: fraction,
+      maxDiffRatio: fraction,
+      mask: stringList
+    }
+  }
+};
+
+// A canned response for requests whose URL matches the `url` glob
+const mock = {
+  type: 'object',
+  properties: {
+    url: string,
+    method: string,
+    status: { type: 'number', min: 100 },
+    headers,
+    contentType: string,
+    json: {},
+    body: string,
+    file: string,
+    delay: fraction,
+    abort: { enum: ABORT_ERRORS }
+  },
+  required: ['url']
+};
+
+const accessibility = {
+  type: 'object',
+  properties: {
+    // axe-core rule tags to run, e.g. wcag2a, wcag2aa, best-practice
+    tags: stringList,
+    disableRules: stringList,
+    // Findings below this impact are reported but do not fail
+    impact: { enum: IMPACTS },
+    // Known violations that do not fail the build
+    baseline: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { rule: string, route: string, selector: string, reason: string },
+        required: ['rule']
+      }
+    }
+  }
+};
+
+const authProfile = {
+  type: 'object',
+  properties: {
+    storageState: string,
+    setup: string,
+    login: {
+      type: 'object',
+      properties: { url: string, steps: string },
+      required: ['steps']
+    },
+    credentials: { type: 'record', values: string }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    framework: { enum: Object.keys(FRAMEWORKS) },
+    searchDirs: stringList,
+    specFiles: stringList,
+    include: stringList,
+    exclude: stringList,
+    deploymentUrl: string,
+    environment: string,
+    environments: { type: 'record', values: string },
+    screenshotDir: string,
+    // Playwright trace, video and HAR recording per expectation
+    trace: { enum: RECORDING_MODES },
+    video: { enum: RECORDING_MODES },
+    har: { enum: RECORDING_MODES },
+    visualDir: string,
+    cacheDir: string,
+    outputDir: string,
+    reporter: { oneOf: [string, stringList] },
+    workers: positiveNumber,
+    llmConcurrency: positiveNumber,
+    repairAttempts: { type: 'number', min: 0 },
+    // Overrides for what is read from next.config
+    next: {
+      type: 'object',
+      properties: {
+        basePath: string,
+        pageExtensions: stringList,
+        i18n: {
+          type: 'object',
+          properties: { locales: stringList, defaultLocale: string },
+          required: ['locales', 'defaultLocale']
+        }
+      }
+    },
+    dev: {
+      type: 'object',
+      properties: {
+        script: string,
+        port: positiveNumber,
+        readyTimeout: positiveNumber
+      }
+    },
+    llm: {
+      type: 'object',
+      properties: {
+        provider: string,
+        baseUrl: string,
+        format: { enum: ['openai', 'anthropic'] },
+        auth: string,
+        headers,
+        model: string,
+        splitModel: string,
+        codeModel: string
+      }
+    },
+    projects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: string,
+          browser: { enum: ['chromium', 'firefox', 'webkit'] },
+          device: string
+        }
+      }
+    },
+    auth: { type: 'record', values: authProfile },
+    mocks: { type: 'record', values: { type: 'array', items: mock } },
+    accessibility,
+    ...pageSettings,
+    routes: {
+      type: 'record',
+      // Routes can also name the auth profile their pages log in with and
+      // the mocks applied to them
+      values: { type: 'object', properties: { ...pageSettings, auth: string, mock: { oneOf: [string, stringList] } } }
+    }
+  }
+};
+
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  return value === null ? 'null' : `a ${typeof value}`;
+}
+
+function validate(value, schema, at, problems) {
+  if (schema.oneOf) {
+    const matches = schema.oneOf.some(option => {
+      const optionProblems = [];
+      validate(value, option, at, optionProblems);
+      return optionProblems.length === 0;
+    });
+    if (!matches) {
+      problems.push(`${at}: expected ${schema.oneOf.map(option => option.type).join(' or ')}, got ${describe(value)}`);
+    }
+    return;
+  }
+
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      problems.push(`${at}: expected one of ${schema.enum.map(v => `'${v}'`).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    return;
+  }
+
+  switch (schema.type) {
+    case 'string':
+    case 'boolean':
+      if (typeof value !== schema.type) {
+        problems.push(`${at}: expected a ${schema.type}, got ${describe(value)}`);
+        return;
+      }
+      // Further checks throw with what is wrong, e.g. an invalid pattern
+      if (schema.check) {
+        try {
+          schema.check(value);
+        } catch (error) {
+          problems.push(`${at}: ${error.message}`);
+        }
+      }
+      return;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        problems.push(`${at}: expected a number, got ${describe(value)}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        problems.push(`${at}: must be at least ${schema.min}, got ${value}`);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        problems.push(`${at}: expected an array, got ${describe(value)}`);
+        return;
+      }
+      value.forEach((item, index) => validate(item, schema.items, `${at}[${index}]`, problems));
+      return;
+    case 'record':
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        problems.push(`${at}: expected an object, got ${describe(value)}`);
+        return;
+      }
+      if (schema.type === 'record') {
+        for (const [key, item] of Object.entries(value)) {
+          validate(item, schema.values, `${at}[${JSON.stringify(key)}]`, problems);
+        }
+        return;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          problems.push(`${at}.${key}: is required`);
+        }
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (!schema.properties[key]) {
+          problems.push(`${at}.${key}: unknown option (allowed: ${Object.keys(schema.properties).join(', ')})`);
+        } else if (item !== undefined) {
+          validate(item, schema.properties[key], `${at}.${key}`, problems);
+        }
+      }
+      return;
+  }
+}
+
+function validateConfig(config, source) {
+  const problems = [];
+  validate(config, CONFIG_SCHEMA, 'config', problems);
+  if (problems.length > 0) {
+    throw new ConfigError(source, problems);
+  }
+  return config;
+}
+
+function findConfigFile(projectRoot) {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(projectRoot, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Loads ensureui.config.{js,cjs,json} from the project root, or the file given
+// explicitly. Returns an empty config when there is none.
+function loadConfig(projectRoot, explicitPath) {
+  const configPath = explicitPath ? path.resolve(projectRoot, explicitPath) : findConfigFile(projectRoot);
+  if (!configPath) {
+    return { config: {}, configPath: null };
+  }
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(configPath, ['file not found']);
+  }
+
+  let config;
+  try {
+    if (configPath.endsWith('.json')) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      config = require(configPath);
+      config = config && config.__esModule ? config.default : config;
+    }
+  } catch (error) {
+    throw new ConfigError(configPath, [`could not be loaded: ${error.message}`]);
+  }
+
+  return { config: validateConfig(config, configPath), configPath };
+}
+
+// Merges the global page settings with every `routes` entry whose key matches
+// the route, either exactly or as a glob such as "/admin/**".
+function resolveRouteSettings(config, route, defaults) {
+  const settings = {
+    ...defaults,
+    headers: { ...defaults.headers },
+    cookies: [...(defaults.cookies || [])]
+  };
+
+  for (const [pattern, overrides] of Object.entries(config.routes || {})) {
+    if (pattern !== route && !picomatch.isMatch(route, pattern, { dot: true })) {
+      continue;
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      if (key === 'headers') {
+        Object.assign(settings.headers, value);
+      } else if (key === 'visual') {
+        // Route masks add to the global ones
+        settings.visual = {
+          ...settings.visual,
+          ...value,
+          mask: [...((settings.visual && settings.visual.mask) || []), ...(value.mask || [])]
+        };
+      } else if (key === 'cookies') {
+        settings.cookies.push(...value);
+      } else if (key === 'failOn') {
+        // Route allowlists add to the global ones
+        settings.failOn = {
+          ...settings.failOn,
+          ...value,
+          allow: [...((settings.failOn && settings.failOn.allow) || []), ...(value.allow || [])]
+        };
+      } else if (key === 'budgets') {
+        // Route budgets override the global ones metric by metric
+        settings.budgets = { ...settings.budgets, ...value };
+      } else if (key === 'mock') {
+        settings.mock = [...(settings.mock || []), ...parseMockNames(value)];
+      } else if (key === 'timeout') {
+        settings.timeout = value * 1000;
+      } else {
+        settings[key] = value;
+      }
+    }
+  }
+
+  return settings;
+}
+
+function createPathFilter(config) {
+  const include = config.include && config.include.length > 0 ? picomatch(config.include, { dot: true }) : null;
+  const exclude = config.exclude && config.exclude.length > 0 ? picomatch(config.exclude, { dot: true }) : null;
+
+  return {
+    excludes: relativePath => Boolean(exclude && exclude(relativePath)),
+    includes: relativePath => (!include || include(relativePath)) && !(exclude && exclude(relativePath))
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  ConfigError,
+  loadConfig,
+  validateConfig,
+  resolveRouteSettings,
+  createPathFilter
+};
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { logger } = require('./logger');
+
+const IGNORED_DIRS = ['node_modules', '.next', '.git', '.ensureui'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function detectPackageManager(projectRoot) {
+  const lockfiles = [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun'], ['bun.lock', 'bun']];
+  const found = lockfiles.find(([file]) => fs.existsSync(path.join(projectRoot, file)));
+  return found ? found[1] : 'npm';
+}
+
+function resolveScript(projectRoot, script) {
+  const packagePath = path.join(projectRoot, 'package.json');
+  if (!fs.existsSync(packagePath)) {
+    throw new Error(`No package.json in ${projectRoot}. Start the server yourself and pass --url`);
+  }
+
+  const scripts = JSON.parse(fs.readFileSync(packagePath, 'utf8')).scripts || {};
+  const name = script || ['dev', 'start'].find(candidate => scripts[candidate]);
+  if (!name || !scripts[name]) {
+    throw new Error(script ?
+      `No "${script}" script in package.json` :
+      'package.json has no "dev" or "start" script. Pass --script or --url');
+  }
+  return name;
+}
+
+function isResponding(url) {
+  return new Promise(resolve => {
+    const request = http.get(url, response => {
+      response.resume();
+      resolve(true);
+    });
+    request.on('error', () => resolve(false));
+    request.setTimeout(2000, () => {
+      request.destroy();
+      resolve(false);
+    });
+  });
+}
+
+function signalServer(child, signal) {
+  try {
+    if (process.platform === 'win32') {
+      child.kill(signal);
+    } else {
+      // Negative pid: the whole process group, including the server the script started
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+function describeExit({ code, signal, error }) {
+  if (error) {
+    return error.message;
+  }
+  return signal ? `signal ${signal}` : `exit code ${code}`;
+}
+
+// Runs the project's dev (or start) script with PORT set and resolves once
+// the port answers HTTP requests.
+async function startDevServer({ projectRoot, script, port = 3000, readyTimeout = 120000 }) {
+  const url = `http://localhost:${port}`;
+  if (await isResponding(url)) {
+    throw new Error(`Port ${port} is already in use. Stop that server or pass --url ${url} to test against it`);
+  }
+
+  const scriptName = resolveScript(projectRoot, script);
+  const packageManager = detectPackageManager(projectRoot);
+  logger.log(`🚀 Starting "${packageManager} run ${scriptName}" on port ${port}`);
+
+  const child = spawn(packageManager, ['run', scriptName], {
+    cwd: projectRoot,
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    detached: process.platform !== 'win32',
+    shell: process.platform === 'win32'
+  });
+
+  const printLines = chunk => String(chunk).split('\n')
+    .filter(line => line.trim())
+    .forEach(line => logger.log(`[server] ${line}`));
+  child.stdout.on('data', printLines);
+  child.stderr.on('data', printLines);
+
+  let exitInfo = null;
+  const exited = new Promise(resolve => {
+    const onExit = info => {
+      exitInfo = exitInfo || info;
+      resolve(exitInfo);
+    };
+    child.on('exit', (code, signal) => onExit({ code, signal }));
+    child.on('error', error => onExit({ error }));
+  });
+
+  // Never leave the server running, even if ensureui crashes
+  const killOnExit = () => signalServer(child, 'SIGTERM');
+  process.once('exit', killOnExit);
+
+  const server = {
+    url,
+    exited,
+    async stop() {
+      process.removeListener('exit', killOnExit);
+      signalServer(child, 'SIGTERM');
+      const forceKill = setTimeout(() => signalServer(child, 'SIGKILL'), 5000);
+      await exited;
+      clearTimeout(forceKill);
+    }
+  };
+
+  const deadline = Date.now() + readyTimeout;
+  while (!(await isResponding(url))) {
+    if (exitInfo) {
+      await server.stop();
+      throw new Error(`Dev server exited before it was ready (${describeExit(exitInfo)})`);
+    }
+    if (Date.now() > deadline) {
+      await server.stop();
+      throw new Error(`Dev server did not respond on ${url} within ${readyTimeout / 1000}s`);
+    }
+    await sleep(500);
+  }
+
+  logger.log(`✅ Dev server ready at ${url}`);
+  return server;
+}
+
+// fs.watch per directory rather than { recursive: true }, which Linux only
+// supports on recent Node versions. Directories created later are picked up
+// as they appear. `onChange` receives the changed files, debounced.
+function watchFiles(dirs, { ignore = () => false, debounce = 300 }, onChange) {
+  const watchers = new Map();
+  let changed = new Set();
+  let timer = null;
+
+  const flush = () => {
+    const files = [...changed];
+    changed = new Set();
+    onChange(files);
+  };
+
+  const watchDir = dir => {
+    if (watchers.has(dir) || IGNORED_DIRS.includes(path.basename(dir)) || ignore(dir)) {
+      return;
+    }
+
+    try {
+      watchers.set(dir, fs.watch(dir, (event, name) => {
+        if (!name) {
+          return;
+        }
+        const file = path.join(dir, name.toString());
+        try {
+          if (fs.statSync(file).isDirectory()) {
+            watchDir(file);
+            return;
+          }
+        } catch (error) {
+          // Deleted; still reported so its page can be dropped
+        }
+        changed.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounce);
+      }));
+
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          watchDir(path.join(dir, entry.name));
+        }
+      }
+    } catch (error) {
+      logger.warn(`Warning: Cannot watch ${dir}: ${error.message}`);
+    }
+  };
+
+  dirs.filter(dir => fs.existsSync(dir)).forEach(watchDir);
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
+
+function fileHash(filePath) {
+  return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Runs the whole suite once, then re-runs the pages whose files change until
+// Ctrl+C or until the dev server exits. Resolves with the exit code.
+async function runDevMode(tester, { server = null } = {}) {
+  const pagesByFile = new Map();
+  const hashes = new Map();
+  const relative = file => path.relative(tester.projectRoot, file).replace(/\\/g, '/');
+
+  const pages = await tester.findEnsureUIPages();
+  // A file with several parameter sets has one page per set
+  for (const page of pages) {
+    pagesByFile.set(page.filePath, [...(pagesByFile.get(page.filePath) || []), page]);
+    hashes.set(page.filePath, fileHash(page.filePath));
+  }
+
+  if (pages.length > 0) {
+    await tester.runSuite(pages);
+  } else {
+    logger.log('No pages found with // ensureUI comments yet.');
+  }
+
+  const rerun = async files => {
+    const changedPages = [];
+
+    for (const file of files) {
+      if (!tester.isSourceFile(path.basename(file)) || !tester.pathFilter.includes(relative(file))) {
+        continue;
+      }
+
+      if (!fs.existsSync(file)) {
+        hashes.delete(file);
+        if (pagesByFile.delete(file)) {
+          logger.log(`🗑️  ${relative(file)} removed`);
+        }
+        continue;
+      }
+
+      // Editors often save without changing anything
+      const hash = fileHash(file);
+      if (hashes.get(file) === hash) {
+        continue;
+      }
+      hashes.set(file, hash);
+
+      const filePages = await tester.buildPages(file);
+      if (filePages.length > 0) {
+        // Spec files are read once at start; their expectations still apply
+        tester.mergeSpecs(filePages, tester.specs || [], { create: false });
+        pagesByFile.set(file, filePages);
+        changedPages.push(...filePages);
+      } else if (pagesByFile.delete(file)) {
+        logger.log(`${relative(file)} no longer has ensureUI comments`);
+      }
+    }
+
+    if (changedPages.length === 0) {
+      return;
+    }
+
+    logger.log(`\n🔄 Re-running ${changedPages.map(page => page.route).join(', ')}`);
+    await tester.runSuite(changedPages);
+    logger.log('\n👀 Watching for changes. Press Ctrl+C to stop.');
+  };
+
+  // Changes made during a run are collected and handled right after it
+  let pending = new Set();
+  let running = false;
+  const onChange = async files => {
+    files.forEach(file => pending.add(file));
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      while (pending.size > 0) {
+        const batch = [...pending];
+        pending = new Set();
+        await rerun(batch);
+      }
+    } catch (error) {
+      logger.error(`❌ Re-run failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const watcher = watchFiles(
+    tester.searchDirs.map(dir => path.join(tester.projectRoot, dir)),
+    { ignore: dir => tester.pathFilter.excludes(relative(dir)) || tester.pathFilter.excludes(`${relative(dir)}/`) },
+    onChange
+  );
+  logger.log('\n👀 Watching for changes. Press Ctrl+C to stop.');
+
+  return new Promise(resolve => {
+    let stopping = false;
+    const shutdown = async exitCode => {
+      if (stopping) {
+        return;
+      }
+      stopping = true;
+      watcher.close();
+      if (server) {
+        logger.log('\n🛑 Stopping dev server');
+        await server.stop();
+      }
+      resolve(exitCode);
+    };
+
+    process.once('SIGINT', () => shutdown(0));
+    process.once('SIGTERM', () => shutdown(0));
+    if (server) {
+      server.exited.then(exit => {
+        if (!stopping) {
+          logger.error(`❌ Dev server stopped unexpectedly (${describeExit(exit)})`);
+          shutdown(1);
+        }
+      });
+    }
+  });
+}
+
+module.exports = { startDevServer, watchFiles, runDevMode };
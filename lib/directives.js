@@ -0,0 +1,67 @@
+// Parses the optional prefixes of an ensureUI comment, e.g.
+//   // ensureUI[mobile]: the hamburger menu is visible
+//   // ensureUI[webkit, Pixel 7]: the footer sticks to the bottom
+//   // ensureUI(auth=admin): the user list is shown
+// and returns the remaining expectation text. Bracketed targets and
+// parenthesised key=value options may appear in either order.
+function parseDirectives(text) {
+  const directives = { text, targets: [], options: {} };
+  let rest = text;
+  let match;
+
+  while ((match = rest.match(/^\s*(?:\[([^\]]*)\]|\(([^)]*)\))/))) {
+    if (match[1] !== undefined) {
+      directives.targets.push(...match[1].split(',').map(target => target.trim()).filter(Boolean));
+    } else {
+      for (const pair of match[2].split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = pair.indexOf('=');
+        if (separator === -1) {
+          directives.options[pair] = true;
+        } else {
+          directives.options[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        }
+      }
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  if (rest !== text) {
+    directives.text = rest.replace(/^\s*:?\s*/, '');
+  }
+
+  return directives;
+}
+
+// Per-expectation controls among the options:
+//   (skip)  (only)  (tags=smoke checkout)  (timeout=30)  (mock=productsDown)
+function expectationControls(options) {
+  const tags = [options.tags, options.tag]
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(/\s+/))
+    .map(tag => tag.replace(/^@/, ''))
+    .filter(Boolean);
+
+  const mocks = [options.mock, options.mocks]
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(/\s+/))
+    .filter(Boolean);
+
+  let timeout = null;
+  if (options.timeout !== undefined) {
+    const seconds = Number(options.timeout);
+    if (Number.isNaN(seconds) || seconds <= 0) {
+      throw new Error(`Invalid timeout '${options.timeout}', expected a number of seconds`);
+    }
+    timeout = seconds * 1000;
+  }
+
+  return {
+    skip: Boolean(options.skip),
+    only: Boolean(options.only),
+    tags,
+    timeout,
+    mocks
+  };
+}
+
+module.exports = { parseDirectives, expectationControls };
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { toCachedCode, DEPLOYMENT_URL_PLACEHOLDER } = require('./cache');
+const { routeSlug } = require('./visual');
+const { observePerformance, readPerformance } = require('./performance');
+const { logger } = require('./logger');
+
+// The page path, query included, as a file name. Paths that come out the
+// same, such as /a-b and /a/b, get a numbered suffix instead of overwriting
+// each other's spec.
+function specFileName(pathname, format, taken = new Set()) {
+  const name = pathname.split('/').filter(Boolean).join('-').replace(/[^\w.-]+/g, '_') || 'index';
+  let fileName = `${name}.spec.${format}`;
+  for (let suffix = 2; taken.has(fileName); suffix++) {
+    fileName = `${name}-${suffix}.spec.${format}`;
+  }
+  taken.add(fileName);
+  return fileName;
+}
+
+// The route plus the query of a URL spec's page, e.g. /pricing?plan=pro
+function pagePath(pageInfo) {
+  const query = pageInfo.url.indexOf('?');
+  return query === -1 ? pageInfo.route : `${pageInfo.route}${pageInfo.url.slice(query).replace(/#.*$/, '')}`;
+}
+
+// Rewrites string literals that contain the deployment URL placeholder into
+// template literals reading BASE_URL, so specs run against any deployment.
+function useBaseUrl(code) {
+  return code.replace(/(['"`])((?:\\.|(?!\1)[^\\])*)\1/g, (literal, quote, content) => {
+    if (!content.includes(DEPLOYMENT_URL_PLACEHOLDER)) {
+      return literal;
+    }
+    const escaped = quote === '`' ? content : content.replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+    return '`' + escaped.split(DEPLOYMENT_URL_PLACEHOLDER).join('${BASE_URL}') + '`';
+  });
+}
+
+// Visual checks compare screenshots; everything else uses generated code
+async function expectationCode(tester, pageInfo, expectation) {
+  if (expectation.visual) {
+    return `await expect(page).toHaveScreenshot(${JSON.stringify(`${routeSlug(pageInfo.route)}-${routeSlug(expectation.visual.name)}.png`)}, { fullPage: true });`;
+  }
+  return tester.getTestCode(pageInfo, expectation.text, '', []);
+}
+
+function indent(code, spaces) {
+  const padding = ' '.repeat(spaces);
+  return code.split('\n').map(line => line ? padding + line : line).join('\n');
+}
+
+function renderSpec({ route, source, defaultBaseUrl, tests }, format) {
+  const ts = format === 'ts';
+  // Accessibility checks need @axe-core/playwright in the project running the specs
+  const usesAccessibility = entry => Boolean(entry.code) && /\bcheckAccessibility\b/.test(entry.code);
+  const usesMetrics = entry => Boolean(entry.code) && /\bmetrics\b/.test(entry.code);
+  const accessibility = tests.some(usesAccessibility);
+  const metrics = tests.some(usesMetrics);
+  const lines = [
+    `// Generated by \`ensureui export\` from ${source}.`,
+    '// Edit the ensureUI comments and re-export instead of changing this file.',
+  ];
+
+  if (ts) {
+    lines.push("import { test as base, expect } from '@playwright/test';");
+    if (accessibility) {
+      lines.push("import AxeBuilder from '@axe-core/playwright';");
+    }
+    lines.push(
+      '',
+      'type RedirectEntry = { url: string; status: number; location: string | null };'
+    );
+    if (accessibility) {
+      lines.push('type AccessibilityScope = { include?: string; exclude?: string };');
+    }
+    if (metrics) {
+      lines.push('type Metrics = Record<string, number | null>;');
+    }
+  } else {
+    lines.push("const { test: base, expect } = require('@playwright/test');");
+    if (accessibility) {
+      lines.push("const AxeBuilder = require('@axe-core/playwright').default;");
+    }
+  }
+
+  lines.push(
+    '',
+    `const BASE_URL = process.env.DEPLOYMENT_URL || ${JSON.stringify(defaultBaseUrl || 'http://localhost:3000')};`,
+    `const ROUTE = ${JSON.stringify(route)};`,
+    ''
+  );
+  if (metrics) {
+    lines.push('// Load metrics, measured the same way as by ensureui', observePerformance.toString(), '', readPerformance.toString(), '');
+  }
+
+  const fixtureTypes = ['redirectChain: RedirectEntry[]'];
+  const fixtures = [[
+    '  redirectChain: async ({ page }, use) => {',
+    `    const redirectChain${ts ? ': RedirectEntry[]' : ''} = [];`,
+    '    page.on(\'response\', response => {',
+    '      redirectChain.push({',
+    '        url: response.url(),',
+    '        status: response.status(),',
+    '        location: response.headers().location || null',
+    '      });',
+    '    });',
+    '    await use(redirectChain);',
+    '  }'
+  ]];
+  if (accessibility) {
+    fixtureTypes.push('checkAccessibility: (scope?: AccessibilityScope) => Promise<void>');
+    fixtures.push([
+      '  checkAccessibility: async ({ page }, use) => {',
+      `    await use(async ({ include, exclude }${ts ? ': AccessibilityScope' : ''} = {}) => {`,
+      '      let builder = new AxeBuilder({ page });',
+      '      if (include) builder = builder.include(include);',
+      '      if (exclude) builder = builder.exclude(exclude);',
+      '      const { violations } = await builder.analyze();',
+      '      expect(violations.map(violation => `${violation.id} (${violation.impact})`)).toEqual([]);',
+      '    });',
+      '  }'
+    ]);
+  }
+  if (metrics) {
+    fixtureTypes.push('metrics: Metrics');
+    fixtures.push([
+      '  // Filled in by beforeEach once the page has loaded',
+      '  metrics: async ({ page }, use) => {',
+      '    await page.addInitScript(observePerformance);',
+      '    await use({});',
+      '  }'
+    ]);
+  }
+
+  lines.push(`const test = base.extend${ts ? `<{ ${fixtureTypes.join('; ')} }>` : ''}({`);
+  fixtures.forEach((fixture, index) => {
+    lines.push(...fixture.slice(0, -1), `${fixture[fixture.length - 1]}${index < fixtures.length - 1 ? ',' : ''}`);
+  });
+  lines.push(
+    '});',
+    ''
+  );
+  if (metrics) {
+    lines.push(
+      '// redirectChain and metrics are requested here so they record the initial navigation.',
+      'test.beforeEach(async ({ page, context, redirectChain, metrics }) => {',
+      '  await context.clearCookies();',
+      '  await page.goto(`${BASE_URL}${ROUTE}`, { waitUntil: \'networkidle\' });',
+      '  Object.assign(metrics, await page.evaluate(readPerformance));',
+      '});'
+    );
+  } else {
+    lines.push(
+      '// redirectChain is requested here so it records the initial navigation.',
+      'test.beforeEach(async ({ page, context, redirectChain }) => {',
+      '  await context.clearCookies();',
+      '  await page.goto(`${BASE_URL}${ROUTE}`, { waitUntil: \'networkidle\' });',
+      '});'
+    );
+  }
+  lines.push(
+    '',
+    `test.describe(${JSON.stringify(route)}, () => {`
+  );
+
+  tests.forEach((entry, index) => {
+    if (index > 0) {
+      lines.push('');
+    }
+    lines.push(`  // source: ${entry.source}`);
+    if (entry.code === null) {
+      lines.push(`  // ${entry.error}`);
+      lines.push(`  test.fixme(${JSON.stringify(entry.title)}, async () => {});`);
+      return;
+    }
+    lines.push(`  test${entry.modifier ? `.${entry.modifier}` : ''}(${JSON.stringify(entry.title)}, async ({ ${['page', 'redirectChain', usesMetrics(entry) && 'metrics', usesAccessibility(entry) && 'checkAccessibility'].filter(Boolean).join(', ')} }) => {`);
+    if (entry.timeout) {
+      lines.push(`    test.setTimeout(${entry.timeout});`);
+    }
+    lines.push(indent(useBaseUrl(entry.code), 4));
+    lines.push('  });');
+  });
+
+  lines.push('});', '');
+  return lines.join('\n');
+}
+
+async function exportPlaywrightSpecs(tester, pages, { outDir, format = 'ts' }) {
+  if (!['ts', 'js'].includes(format)) {
+    throw new Error(`Unknown export format '${format}'. Use ts or js`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+  const fileNames = new Set();
+
+  for (const pageInfo of pages) {
+    // Exported specs open ROUTE on BASE_URL, which cannot reach other sites
+    if (/^https?:\/\//i.test(pageInfo.route)) {
+      logger.warn(`Warning: skipping ${pageInfo.route}: only pages on the deployment can be exported`);
+      continue;
+    }
+    const source = path.relative(tester.projectRoot, pageInfo.filePath).replace(/\\/g, '/');
+    const titles = new Map();
+    const tests = [];
+
+    for (const expectation of pageInfo.expectations) {
+      const seen = titles.get(expectation.text) || 0;
+      titles.set(expectation.text, seen + 1);
+
+      const title = seen ? `${expectation.text} (${seen + 1})` : expectation.text;
+      const entry = {
+        // Playwright's --grep matches @tags in titles
+        title: [title, ...(expectation.tags || []).map(tag => `@${tag}`)].join(' '),
+        source: `${expectation.sourceFile ? path.relative(tester.projectRoot, expectation.sourceFile).replace(/\\/g, '/') : source}:${expectation.lineNumber}`,
+        modifier: expectation.skip ? 'skip' : expectation.only ? 'only' : null,
+        timeout: expectation.timeout || null,
+        code: null,
+        error: null
+      };
+
+      try {
+        const testCode = await expectationCode(tester, pageInfo, expectation);
+        entry.code = toCachedCode(testCode, tester.deploymentUrl);
+      } catch (error) {
+        entry.error = `Code generation failed: ${error.message}`;
+        logger.error(`❌ ${pageInfo.route}: "${expectation.text}" - ${error.message}`);
+      }
+
+      tests.push(entry);
+    }
+
+    const specPath = path.join(outDir, specFileName(pagePath(pageInfo), format, fileNames));
+    fs.writeFileSync(specPath, renderSpec({
+      route: pagePath(pageInfo),
+      source,
+      defaultBaseUrl: tester.deploymentUrl,
+      tests
+    }, format));
+    written.push(specPath);
+  }
+
+  return written;
+}
+
+module.exports = { exportPlaywrightSpecs, expectationCode, renderSpec, useBaseUrl };
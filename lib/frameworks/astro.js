@@ -0,0 +1,34 @@
+const { scanConfigValue, normalizeBasePath } = require('./common');
+
+const ASTRO_CONFIG_FILES = ['astro.config.mjs', 'astro.config.js', 'astro.config.ts', 'astro.config.mts', 'astro.config.cjs'];
+const PAGE_FILE = /\.(astro|md|mdx)$/;
+
+function load(projectRoot) {
+  const { configPath, value } = scanConfigValue(projectRoot, ASTRO_CONFIG_FILES, 'base');
+  return { configPath, basePath: normalizeBasePath(value) };
+}
+
+function resolve(segments, filename) {
+  if ([...segments, filename].some(segment => segment.startsWith('_'))) {
+    return { reason: 'files and folders starting with _ are excluded from routing' };
+  }
+  if (!PAGE_FILE.test(filename)) {
+    return { reason: 'JavaScript and TypeScript files in src/pages are endpoints, not pages' };
+  }
+
+  const name = filename.replace(PAGE_FILE, '');
+  // [...slug] also matches the route without it
+  return {
+    segments: (name === 'index' ? segments : [...segments, name])
+      .map(segment => segment.replace(/^\[\.\.\.([^\]]+)\]$/, '[[...$1]]'))
+  };
+}
+
+module.exports = {
+  name: 'astro',
+  label: 'Astro',
+  packages: ['astro'],
+  searchDirs: ['src/pages'],
+  load,
+  resolve
+};
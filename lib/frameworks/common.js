@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+function findFile(projectRoot, names) {
+  return names.map(name => path.join(projectRoot, name)).find(file => fs.existsSync(file)) || null;
+}
+
+// Framework configs are often TypeScript or import plugins that are not
+// installed, so some settings are read as literal values from the source.
+function stringValue(source, key) {
+  const match = source.match(new RegExp(`\\b${key}\\s*:\\s*(['"\`])([^'"\`]*)\\1`));
+  return match ? match[2] : undefined;
+}
+
+function stringArray(source, key) {
+  const match = source.match(new RegExp(`\\b${key}\\s*:\\s*\\[([^\\]]*)\\]`));
+  return match ? [...match[1].matchAll(/(['"`])([^'"`]*)\1/g)].map(item => item[2]) : undefined;
+}
+
+function scanConfigValue(projectRoot, names, key) {
+  const configPath = findFile(projectRoot, names);
+  return {
+    configPath,
+    value: configPath ? stringValue(fs.readFileSync(configPath, 'utf8'), key) : undefined
+  };
+}
+
+function normalizeBasePath(value) {
+  const trimmed = (value || '').replace(/\/+$/, '');
+  return trimmed && !trimmed.startsWith('/') ? `/${trimmed}` : trimmed;
+}
+
+// `(group)` folders organise files without adding to the URL
+function isGroup(segment) {
+  return /^\(.*\)$/.test(segment);
+}
+
+// Catch-all values may come as arrays of segments, e.g. { slug: ['a', 'b'] }
+function paramValue(value) {
+  return Array.isArray(value) ? value.join('/') : String(value);
+}
+
+// Adapters describe routes as segments in one bracket syntax: [id],
+// [...rest], [[optional]] and [[...optionalRest]]. A segment may also mix
+// text and parameters, e.g. [lang]-[version].
+function fillSegments(segments, urlParams = {}) {
+  const parts = [];
+  const fill = (placeholder, param) => {
+    if (urlParams[param] === undefined) {
+      throw new Error(`Route parameter '${placeholder}' required but not specified in test expectations.
+Example: "// ensureUI: test page with ${param} 123"`);
+    }
+    return paramValue(urlParams[param]);
+  };
+
+  for (const segment of segments) {
+    const optional = segment.match(/^\[\[(?:\.\.\.)?([^\]]+)\]\]$/);
+    if (optional) {
+      if (urlParams[optional[1]] !== undefined) {
+        parts.push(paramValue(urlParams[optional[1]]));
+      }
+      continue;
+    }
+
+    parts.push(segment.replace(/\[(?:\.\.\.)?([^\]]+)\]/g, fill));
+  }
+
+  return parts;
+}
+
+module.exports = {
+  findFile,
+  stringValue,
+  stringArray,
+  scanConfigValue,
+  normalizeBasePath,
+  isGroup,
+  fillSegments
+};
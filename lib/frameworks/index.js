@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const next = require('./next');
+const remix = require('./remix');
+const sveltekit = require('./sveltekit');
+const astro = require('./astro');
+const nuxt = require('./nuxt');
+const { fillSegments } = require('./common');
+
+// Route adapters map source files to URLs. Each one provides:
+//   name, label     - config value and display name
+//   packages        - dependencies that identify the framework in package.json
+//   searchDirs      - default directories to scan
+//   load(projectRoot, config)          - settings read from the framework config, incl. basePath
+//   resolve(dirs, filename, root, settings)
+//                   - { segments } for a page, or { reason } why the file is not one
+//   roots, describeSettings, localePrefix - optional
+const FRAMEWORKS = { next, remix, sveltekit, astro, nuxt };
+
+// Meta-frameworks depend on their UI library, never the other way round, so
+// the first match wins
+const DETECTION_ORDER = [sveltekit, astro, nuxt, remix, next];
+
+function readDependencies(projectRoot) {
+  const packagePath = path.join(projectRoot, 'package.json');
+  if (!fs.existsSync(packagePath)) {
+    return {};
+  }
+  try {
+    const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    return { ...pkg.dependencies, ...pkg.devDependencies };
+  } catch (error) {
+    return {};
+  }
+}
+
+// The framework named in the config, or the first one found in package.json.
+// Next.js when nothing matches.
+function resolveFramework(projectRoot, name) {
+  if (name) {
+    if (!FRAMEWORKS[name]) {
+      throw new Error(`Unknown framework '${name}'. Use one of ${Object.keys(FRAMEWORKS).join(', ')}`);
+    }
+    return { adapter: FRAMEWORKS[name], detected: false };
+  }
+
+  const dependencies = readDependencies(projectRoot);
+  const adapter = DETECTION_ORDER.find(candidate => candidate.packages.some(pkg => dependencies[pkg]));
+  return { adapter: adapter || next, detected: Boolean(adapter) };
+}
+
+async function createRouter({ projectRoot, adapter, searchDirs, config }) {
+  const settings = await adapter.load(projectRoot, config);
+  const dirs = (searchDirs || adapter.searchDirs).map(dir => dir.replace(/\\/g, '/').replace(/^\.\/|\/+$/g, ''));
+  const roots = adapter.roots ? adapter.roots(projectRoot, dirs) : dirs.map(dir => ({ dir }));
+
+  // { segments, ... } for a page, { reason } for a file that is not one, and
+  // null outside the search directories
+  const resolve = relativePath => {
+    const normalized = relativePath.replace(/\\/g, '/');
+    const root = roots
+      .filter(({ dir }) => normalized.startsWith(`${dir}/`))
+      .sort((a, b) => b.dir.length - a.dir.length)[0];
+    if (!root) {
+      return null;
+    }
+
+    const segments = path.posix.dirname(normalized.slice(root.dir.length + 1)).split('/').filter(segment => segment && segment !== '.');
+    return adapter.resolve(segments, path.posix.basename(normalized), root, settings);
+  };
+
+  // Fills in dynamic segments and prefixes the base path and locale
+  const buildRoute = (target, urlParams = {}, { locale = null } = {}) => {
+    const parts = fillSegments(target.segments, urlParams);
+
+    let prefix = settings.basePath || '';
+    if (locale) {
+      if (!adapter.localePrefix) {
+        throw new Error(`(locale=...) is not supported for ${adapter.label}; use the locale's URL segment instead`);
+      }
+      prefix += adapter.localePrefix(target, locale, settings);
+    }
+
+    const route = `${prefix}/${parts.join('/')}`;
+    return route.length > 1 ? route.replace(/\/$/, '') : '/';
+  };
+
+  return { adapter, settings, roots, resolve, buildRoute };
+}
+
+module.exports = { FRAMEWORKS, resolveFramework, createRouter };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { logger } = require('../logger');
+const { findFile, stringValue, stringArray, normalizeBasePath, isGroup } = require('./common');
+
+const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts', 'next.config.mts'];
+const DEFAULT_PAGE_EXTENSIONS = ['tsx', 'ts', 'jsx', 'js'];
+
+// (.)photo, (..)photo, (..)(..)photo and (...)photo
+const INTERCEPTING_SEGMENT = /^(\(\.{1,3}\))+/;
+
+// For configs Node cannot load by itself (TypeScript, or ones importing
+// plugins that are not installed): literal values only.
+function scanNextConfig(source) {
+  const locales = stringArray(source, 'locales');
+  return {
+    basePath: stringValue(source, 'basePath'),
+    pageExtensions: stringArray(source, 'pageExtensions'),
+    i18n: locales ? { locales, defaultLocale: stringValue(source, 'defaultLocale') } : undefined
+  };
+}
+
+async function importNextConfig(configPath) {
+  const loaded = await import(pathToFileURL(configPath).href);
+  let config = loaded.default !== undefined ? loaded.default : loaded;
+  if (typeof config === 'function') {
+    config = await config('phase-production-server', { defaultConfig: {} });
+  }
+  return config || {};
+}
+
+// The routing-related parts of next.config, with the `next` section of the
+// EnsureUI config taking precedence.
+async function loadNextConfig(projectRoot, overrides = {}) {
+  const configPath = findFile(projectRoot, NEXT_CONFIG_FILES);
+  let config = {};
+
+  if (configPath) {
+    if (/\.m?ts$/.test(configPath)) {
+      config = scanNextConfig(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      try {
+        config = await importNextConfig(configPath);
+      } catch (error) {
+        logger.warn(`Warning: Could not load ${path.basename(configPath)} (${error.message.split('\n')[0]}); reading its literal values instead`);
+        config = scanNextConfig(fs.readFileSync(configPath, 'utf8'));
+      }
+    }
+  }
+
+  const i18n = overrides.i18n || config.i18n;
+  if (i18n && (!Array.isArray(i18n.locales) || !i18n.locales.includes(i18n.defaultLocale))) {
+    throw new Error('next.config i18n needs a locales array that includes defaultLocale');
+  }
+
+  return {
+    configPath,
+    basePath: normalizeBasePath(overrides.basePath || config.basePath),
+    pageExtensions: overrides.pageExtensions || config.pageExtensions || DEFAULT_PAGE_EXTENSIONS,
+    i18n: i18n || null
+  };
+}
+
+function describeSettings(settings) {
+  return [
+    settings.basePath && `base path ${settings.basePath}`,
+    settings.i18n && `locales ${settings.i18n.locales.join(', ')}`
+  ].filter(Boolean).join('; ');
+}
+
+// Search directories named `app` follow the App Router rules, the rest the
+// Pages Router rules. Like Next.js, src/app and src/pages are ignored when
+// the same directory exists at the project root.
+function roots(projectRoot, searchDirs) {
+  return searchDirs
+    .filter(dir => !(dir.startsWith('src/') && searchDirs.includes(dir.slice(4)) &&
+      fs.existsSync(path.join(projectRoot, dir.slice(4)))))
+    .map(dir => ({ dir, router: path.posix.basename(dir) === 'app' ? 'app' : 'pages' }));
+}
+
+function stripPageExtension(filename, pageExtensions) {
+  // Longest first, so 'page.tsx' wins over 'tsx'
+  const extension = [...pageExtensions]
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => filename.endsWith(`.${candidate}`));
+  return extension ? filename.slice(0, -extension.length - 1) : null;
+}
+
+function resolvePagesFile(segments, name) {
+  if (segments[0] === 'api' || (segments.length === 0 && name === 'api')) {
+    return { reason: 'API routes under pages/api are not pages' };
+  }
+  if (segments.length === 0 && /^_(app|document|error)$/.test(name)) {
+    return { reason: `${name} wraps every page and is not a route itself` };
+  }
+  return { segments: name === 'index' ? segments : [...segments, name] };
+}
+
+function resolveAppFile(segments, name) {
+  if (name !== 'page') {
+    return { reason: `only page files are routes in the App Router, not ${name} files` };
+  }
+  if (segments.some(segment => segment.startsWith('_'))) {
+    return { reason: 'folders starting with _ are private and opt out of routing' };
+  }
+  const intercepting = segments.find(segment => INTERCEPTING_SEGMENT.test(segment));
+  if (intercepting) {
+    return {
+      reason: `${intercepting} is an intercepting route, which only renders on client-side navigation. ` +
+        'Describe the navigation on the page that links to it instead'
+    };
+  }
+  // Route groups and parallel route slots do not appear in the URL
+  return { segments: segments.filter(segment => !isGroup(segment) && !segment.startsWith('@')) };
+}
+
+function resolve(segments, filename, root, settings) {
+  const name = stripPageExtension(filename, settings.pageExtensions);
+  if (name === null) {
+    return { reason: `its extension is not in pageExtensions (${settings.pageExtensions.join(', ')})` };
+  }
+
+  const target = root.router === 'app' ? resolveAppFile(segments, name) : resolvePagesFile(segments, name);
+  return target.segments ? { router: root.router, segments: target.segments } : target;
+}
+
+function localePrefix(target, locale, settings) {
+  if (target.router === 'app') {
+    throw new Error('App Router pages get their locale from a route segment such as [lang], not (locale=...)');
+  }
+  if (!settings.i18n) {
+    throw new Error(`(locale=${locale}) needs i18n locales in next.config`);
+  }
+  if (!settings.i18n.locales.includes(locale)) {
+    throw new Error(`Unknown locale '${locale}'. next.config lists ${settings.i18n.locales.join(', ')}`);
+  }
+  // The default locale is served without a prefix
+  return locale === settings.i18n.defaultLocale ? '' : `/${locale}`;
+}
+
+module.exports = {
+  name: 'next',
+  label: 'Next.js',
+  packages: ['next'],
+  searchDirs: ['pages', 'app', 'src/pages', 'src/app'],
+  load: (projectRoot, config) => loadNextConfig(projectRoot, config.next),
+  describeSettings,
+  roots,
+  resolve,
+  localePrefix
+};
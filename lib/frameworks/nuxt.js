@@ -0,0 +1,33 @@
+const { scanConfigValue, normalizeBasePath, isGroup } = require('./common');
+
+const NUXT_CONFIG_FILES = ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs'];
+
+// app.baseURL
+function load(projectRoot) {
+  const { configPath, value } = scanConfigValue(projectRoot, NUXT_CONFIG_FILES, 'baseURL');
+  return { configPath, basePath: normalizeBasePath(value) };
+}
+
+function resolve(segments, filename) {
+  if (!filename.endsWith('.vue')) {
+    return { reason: 'Nuxt pages are .vue files' };
+  }
+
+  const name = filename.slice(0, -'.vue'.length);
+  // [...slug] also matches the route without it
+  return {
+    segments: (name === 'index' ? segments : [...segments, name])
+      .filter(segment => !isGroup(segment))
+      .map(segment => segment.replace(/^\[\.\.\.([^\]]+)\]$/, '[[...$1]]'))
+  };
+}
+
+module.exports = {
+  name: 'nuxt',
+  label: 'Nuxt',
+  packages: ['nuxt'],
+  // Nuxt 4 moved the source directory to app/
+  searchDirs: ['pages', 'app/pages'],
+  load,
+  resolve
+};
@@ -0,0 +1,75 @@
+const { scanConfigValue, normalizeBasePath } = require('./common');
+
+const VITE_CONFIG_FILES = ['vite.config.ts', 'vite.config.js', 'vite.config.mts', 'vite.config.mjs'];
+const ROUTE_FILE = /\.(js|jsx|ts|tsx|mdx?)$/;
+
+// remix({ basename })
+function load(projectRoot) {
+  const { configPath, value } = scanConfigValue(projectRoot, VITE_CONFIG_FILES, 'basename');
+  return { configPath, basePath: normalizeBasePath(value) };
+}
+
+// Splits "blog.$slug" on dots, except inside [] escapes as in "sitemap[.]xml"
+function splitRouteName(name) {
+  const parts = [''];
+  let escaped = false;
+  for (const char of name) {
+    if (char === '[' || char === ']') {
+      escaped = char === '[';
+      parts[parts.length - 1] += char;
+    } else if (char === '.' && !escaped) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts;
+}
+
+function toSegment(part) {
+  const literal = text => text.replace(/\[([^\]]*)\]/g, '$1');
+
+  if (part.startsWith('_')) {
+    // _index routes and pathless layouts add nothing to the URL
+    return null;
+  }
+  const optional = part.match(/^\((.*)\)$/);
+  if (optional) {
+    // Optional static segments are tested without them
+    return optional[1].startsWith('$') ? `[[${optional[1].slice(1)}]]` : null;
+  }
+  const text = part.replace(/_$/, '');
+  if (text === '$') {
+    return '[[...splat]]';
+  }
+  return text.startsWith('$') ? `[${text.slice(1)}]` : literal(text);
+}
+
+// Flat routes: app/routes/blog.$slug.tsx, or a folder with a route file in it,
+// app/routes/blog.$slug/route.tsx
+function resolve(segments, filename) {
+  if (!ROUTE_FILE.test(filename)) {
+    return { reason: 'Remix routes are JavaScript, TypeScript or MDX modules' };
+  }
+
+  const name = filename.replace(ROUTE_FILE, '');
+  let routeName;
+  if (segments.length === 0) {
+    routeName = name;
+  } else if (segments.length === 1 && name === 'route') {
+    routeName = segments[0];
+  } else {
+    return { reason: 'inside a route folder only the route file is a route; the other modules are not' };
+  }
+
+  return { segments: splitRouteName(routeName).map(toSegment).filter(Boolean) };
+}
+
+module.exports = {
+  name: 'remix',
+  label: 'Remix',
+  packages: ['@remix-run/react', '@remix-run/dev'],
+  searchDirs: ['app/routes'],
+  load,
+  resolve
+};
@@ -0,0 +1,35 @@
+const { scanConfigValue, normalizeBasePath, isGroup } = require('./common');
+
+const SVELTE_CONFIG_FILES = ['svelte.config.js', 'svelte.config.mjs', 'svelte.config.cjs', 'svelte.config.ts'];
+
+// kit.paths.base
+function load(projectRoot) {
+  const { configPath, value } = scanConfigValue(projectRoot, SVELTE_CONFIG_FILES, 'base');
+  return { configPath, basePath: normalizeBasePath(value) };
+}
+
+// [id=integer] matchers only constrain the value; rest parameters may be
+// empty, so they are optional
+function toSegment(segment) {
+  return segment
+    .replace(/\[\[([^\]=]+)(?:=[^\]]+)?\]\]/g, '[[$1]]')
+    .replace(/^\[\.\.\.([^\]=]+)(?:=[^\]]+)?\]$/, '[[...$1]]')
+    .replace(/\[([^\]=[]+)=[^\]]+\]/g, '[$1]');
+}
+
+function resolve(segments, filename) {
+  if (filename !== '+page.svelte') {
+    const hint = /^\+page\./.test(filename) ? '; put the comments in +page.svelte' : '';
+    return { reason: `only +page.svelte files are pages in SvelteKit${hint}` };
+  }
+  return { segments: segments.filter(segment => !isGroup(segment)).map(toSegment) };
+}
+
+module.exports = {
+  name: 'sveltekit',
+  label: 'SvelteKit',
+  packages: ['@sveltejs/kit'],
+  searchDirs: ['src/routes'],
+  load,
+  resolve
+};
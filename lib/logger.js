@@ -0,0 +1,77 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+const secrets = new Set();
+
+// Shorter values such as `1`, `true` or `en` would mask innocent text
+// everywhere they appear
+const MIN_SECRET_LENGTH = 6;
+
+// Values registered here (credentials, session cookies) are masked in all
+// logger output and in reports.
+function addSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+function redact(text) {
+  if (typeof text !== 'string' || secrets.size === 0) {
+    return text;
+  }
+  // Longest first so a secret containing another is masked whole
+  return [...secrets]
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, secret) => result.split(secret).join('***'), text);
+}
+
+// Redacts every string in a JSON-like value, so that serializing the result
+// never masks keys or the JSON syntax around a value
+function redactValue(value) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value;
+}
+
+function write(method, rawArgs) {
+  const args = secrets.size === 0 ? rawArgs : rawArgs.map(arg =>
+    redact(typeof arg === 'string' ? arg : util.inspect(arg))
+  );
+  const buffer = storage.getStore();
+  if (buffer) {
+    buffer.push([method, args]);
+  } else {
+    console[method](...args);
+  }
+}
+
+// Drop-in for console that can be redirected per async call chain, so pages
+// tested in parallel print their output as one block instead of interleaving.
+const logger = {
+  log: (...args) => write('log', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args)
+};
+
+// Pass `method` to print everything through one console method, e.g. 'error'
+// to keep stdout free for machine-readable output
+async function withBufferedOutput(fn, method = null) {
+  const buffer = [];
+  try {
+    return await storage.run(buffer, fn);
+  } finally {
+    for (const [bufferedMethod, args] of buffer) {
+      console[method || bufferedMethod](...args);
+    }
+  }
+}
+
+module.exports = { logger, withBufferedOutput, addSecret, redact, redactValue };
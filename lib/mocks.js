@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// Network errors a mock can fail requests with, as accepted by route.abort()
+const ABORT_ERRORS = [
+  'failed', 'aborted', 'timedout', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+  'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused', 'connectionreset',
+  'internetdisconnected', 'namenotresolved'
+];
+
+// Requests answered or aborted by a mock, whose errors the test asked for
+const mockedRequests = new WeakSet();
+
+function isMocked(request) {
+  return mockedRequests.has(request);
+}
+
+// Mock set names from `(mock=productsDown slowSearch)` or a route's `mock`
+function parseMockNames(value) {
+  return (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(/[\s,]+/))
+    .filter(Boolean);
+}
+
+// The mocks of the named sets in the config's `mocks`, in order
+function resolveMocks(mockSets, names) {
+  return names.flatMap(name => {
+    if (!mockSets || !Object.prototype.hasOwnProperty.call(mockSets, name)) {
+      const known = Object.keys(mockSets || {});
+      throw new Error(`Unknown mock '${name}'. ${known.length > 0 ? `Defined mocks: ${known.join(', ')}` : 'Define it under "mocks" in the config'}`);
+    }
+    return mockSets[name];
+  });
+}
+
+function mockResponse(mock, projectRoot) {
+  const response = { status: mock.status || 200, headers: mock.headers };
+  if (mock.contentType) {
+    response.contentType = mock.contentType;
+  }
+  if (mock.file) {
+    response.path = path.resolve(projectRoot, mock.file);
+  } else if (mock.json !== undefined) {
+    response.json = mock.json;
+  } else if (mock.body !== undefined) {
+    response.body = mock.body;
+  }
+  return response;
+}
+
+function mockHandler(page, mock, projectRoot) {
+  return async route => {
+    if (mock.method && route.request().method() !== mock.method.toUpperCase()) {
+      return route.fallback();
+    }
+    if (mock.delay) {
+      await new Promise(resolve => setTimeout(resolve, mock.delay * 1000));
+    }
+    mockedRequests.add(route.request());
+    try {
+      await (mock.abort ? route.abort(mock.abort) : route.fulfill(mockResponse(mock, projectRoot)));
+    } catch (error) {
+      // The page may have closed during the delay
+      if (!page.isClosed()) {
+        throw error;
+      }
+    }
+  };
+}
+
+// Intercepts the requests matching each mock's URL glob on `page`. Mocks
+// applied later win for the same request, so an expectation's mocks override
+// its route's.
+async function applyMocks(page, mocks, projectRoot) {
+  for (const mock of mocks) {
+    if (mock.file && !fs.existsSync(path.resolve(projectRoot, mock.file))) {
+      throw new Error(`Mock fixture ${mock.file} for ${mock.url} not found`);
+    }
+    await page.route(mock.url, mockHandler(page, mock, projectRoot));
+  }
+}
+
+module.exports = { ABORT_ERRORS, parseMockNames, resolveMocks, applyMocks, isMocked };
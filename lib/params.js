@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+// `// ensureUI: params: id=1, slug=hello-world`, `params: {"id": 1}`,
+// `params: ./posts.params.json` or `params: generateStaticParams`
+function parseParamsExpectation(text) {
+  const match = text.trim().match(/^params\s*[:-]\s*(.+)$/i);
+  return match ? { source: match[1].trim() } : null;
+}
+
+function formatParams(params) {
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('/') : value}`)
+    .join(', ');
+}
+
+function parseInlineParams(source) {
+  if (source.startsWith('{')) {
+    const params = JSON.parse(source);
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+      throw new Error('expected a JSON object');
+    }
+    return params;
+  }
+
+  const params = {};
+  for (const pair of source.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`expected key=value, got '${pair}'`);
+    }
+    params[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return params;
+}
+
+// RFC 4180-ish: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(fields => fields.some(value => value.trim()));
+  if (!header) {
+    return [];
+  }
+  return records.map(fields => Object.fromEntries(header.map((key, index) => [key.trim(), (fields[index] || '').trim()])));
+}
+
+function readFixture(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (filePath.endsWith('.csv')) {
+    return parseCsv(content);
+  }
+
+  const sets = JSON.parse(content);
+  if (!Array.isArray(sets) || !sets.every(set => typeof set === 'object' && set !== null && !Array.isArray(set))) {
+    throw new Error('expected a JSON array of objects');
+  }
+  return sets;
+}
+
+// Evaluates literal values only: objects, arrays, strings, numbers, booleans
+function literalValue(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      if (node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+      }
+      break;
+    case 'ArrayExpression':
+      return node.elements.map(element => literalValue(element));
+    case 'ObjectExpression':
+      return Object.fromEntries(node.properties.map(property => {
+        if (property.type !== 'ObjectProperty' || property.computed) {
+          throw new Error('only plain object properties can be read');
+        }
+        return [property.key.name || property.key.value, literalValue(property.value)];
+      }));
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+      return literalValue(node.expression);
+  }
+  throw new Error(`${node.type} is not a literal value`);
+}
+
+function findExport(ast, name) {
+  for (const statement of ast.program.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : null;
+    if (!declaration) {
+      continue;
+    }
+    if (declaration.type === 'FunctionDeclaration' && declaration.id && declaration.id.name === name) {
+      return declaration.body;
+    }
+    if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.name === name && declarator.init) {
+          return declarator.init.body || declarator.init;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// The literal array returned by an export such as generateStaticParams, or
+// the `paths` of getStaticPaths. Accepts [{ id }] and [{ params: { id } }].
+function readStaticParams(filePath, exportName) {
+  let content = fs.readFileSync(filePath, 'utf8');
+  if (filePath.endsWith('.astro')) {
+    const frontmatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    content = frontmatter ? frontmatter[1] : '';
+  }
+
+  const ast = parse(content, {
+    sourceType: 'module',
+    errorRecovery: true,
+    plugins: ['jsx', 'typescript']
+  });
+
+  const body = findExport(ast, exportName);
+  if (!body) {
+    throw new Error(`${path.basename(filePath)} has no ${exportName} export`);
+  }
+
+  let returned = body;
+  if (body.type === 'BlockStatement') {
+    const statement = body.body.find(item => item.type === 'ReturnStatement');
+    returned = statement && statement.argument;
+  }
+  if (!returned) {
+    throw new Error(`${exportName} returns nothing that can be read`);
+  }
+
+  let value = literalValue(returned);
+  if (value && !Array.isArray(value) && Array.isArray(value.paths)) {
+    value = value.paths;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${exportName} does not return an array`);
+  }
+  return value.map(item => (item && typeof item.params === 'object' ? item.params : item));
+}
+
+// Parameter sets for one params source: inline values, a .json/.csv
+// fixture (./ paths relative to the page file, others to the project root)
+// or an export of the page
+function loadParamSets(source, { pageFile, projectRoot }) {
+  if (/\.(json|csv)$/i.test(source)) {
+    const base = /^\.\.?[\\/]/.test(source) ? path.dirname(pageFile) : projectRoot;
+    return readFixture(path.resolve(base, source));
+  }
+  if (/^[A-Za-z_$][\w$]*$/.test(source)) {
+    return readStaticParams(pageFile, source);
+  }
+  return [parseInlineParams(source)];
+}
+
+module.exports = { parseParamsExpectation, loadParamSets, formatParams };
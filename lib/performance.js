@@ -0,0 +1,90 @@
+// Metrics collected while a page loads. Times are milliseconds from the
+// start of navigation, `cls` is the layout shift score and `transferSize`
+// is in bytes. Metrics the browser does not report are null, e.g. LCP,
+// CLS and TBT outside Chromium.
+const METRICS = ['ttfb', 'fcp', 'domContentLoaded', 'load', 'lcp', 'cls', 'tbt', 'requests', 'transferSize'];
+
+// Runs in the page before its own scripts and records LCP, layout shifts
+// and long tasks as they happen. Must be self-contained.
+function observePerformance() {
+  const state = { lcp: null, cls: null, tbt: null };
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  const observe = (type, onEntry) => {
+    const observer = new PerformanceObserver(list => list.getEntries().forEach(onEntry));
+    observer.observe({ type, buffered: true });
+  };
+  window.__ensureuiPerformance = state;
+
+  if (supported.includes('largest-contentful-paint')) {
+    observe('largest-contentful-paint', entry => { state.lcp = entry.startTime; });
+  }
+  if (supported.includes('layout-shift')) {
+    state.cls = 0;
+    // Shifts right after user input are expected and do not count
+    observe('layout-shift', entry => { state.cls += entry.hadRecentInput ? 0 : entry.value; });
+  }
+  if (supported.includes('longtask')) {
+    state.tbt = 0;
+    observe('longtask', entry => { state.tbt += Math.max(0, entry.duration - 50); });
+  }
+}
+
+// Evaluated in the page once it has loaded. TBT is the blocking time of
+// long tasks up to that point. Transfer sizes of cross-origin resources
+// without Timing-Allow-Origin count as 0.
+function readPerformance() {
+  const state = window.__ensureuiPerformance || {};
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const paint = performance.getEntriesByName('first-contentful-paint')[0];
+  const resources = performance.getEntriesByType('resource');
+  const time = value => (typeof value === 'number' && value > 0 ? Math.round(value) : null);
+
+  return {
+    ttfb: navigation ? time(navigation.responseStart) : null,
+    fcp: paint ? time(paint.startTime) : null,
+    domContentLoaded: navigation ? time(navigation.domContentLoadedEventEnd) : null,
+    load: navigation ? time(navigation.loadEventEnd) : null,
+    lcp: time(state.lcp),
+    cls: typeof state.cls === 'number' ? Math.round(state.cls * 1000) / 1000 : null,
+    tbt: typeof state.tbt === 'number' ? Math.round(state.tbt) : null,
+    requests: resources.length + 1,
+    transferSize: resources.reduce((sum, resource) => sum + (resource.transferSize || 0), navigation ? navigation.transferSize || 0 : 0)
+  };
+}
+
+function formatMetric(name, value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  if (name === 'cls' || name === 'requests') {
+    return String(value);
+  }
+  if (name === 'transferSize') {
+    return value >= 1024 * 1024 ? `${(value / 1024 / 1024).toFixed(1)} MB` : `${Math.round(value / 1024)} KB`;
+  }
+  return `${value}ms`;
+}
+
+function formatMetrics(metrics) {
+  return METRICS.map(name => `${name} ${formatMetric(name, metrics[name])}`).join(' · ');
+}
+
+// Metrics over their budget. A metric the browser does not report passes.
+function checkBudgets(metrics, budgets = {}) {
+  return Object.entries(budgets)
+    .filter(([name, budget]) => metrics[name] !== null && metrics[name] !== undefined && metrics[name] > budget)
+    .map(([name, budget]) => ({ metric: name, value: metrics[name], budget }));
+}
+
+function formatOverBudget(entry) {
+  return `${entry.metric} ${formatMetric(entry.metric, entry.value)} > ${formatMetric(entry.metric, entry.budget)}`;
+}
+
+module.exports = {
+  METRICS,
+  observePerformance,
+  readPerformance,
+  formatMetrics,
+  checkBudgets,
+  formatOverBudget
+};
@@ -0,0 +1,135 @@
+const path = require('path');
+const { formatParams } = require('./params');
+const { redact, redactValue } = require('./logger');
+const { expectationCode } = require('./exporter');
+const { POLICIES } = require('./policies');
+
+function relative(projectRoot, filePath) {
+  return path.relative(projectRoot, filePath).replace(/\\/g, '/');
+}
+
+// What `ensureui test` would run, without opening a browser. Paths are
+// relative and pages sorted so plans can be diffed between commits.
+async function buildPlan(tester, pages, { code = false } = {}) {
+  const planned = [];
+
+  for (const page of pages) {
+    const expectations = [];
+    for (const expectation of page.expectations) {
+      const entry = {
+        text: expectation.text,
+        source: `${relative(tester.projectRoot, expectation.sourceFile || page.filePath)}:${expectation.lineNumber}`,
+        comment: expectation.originalComment,
+        targets: expectation.targets,
+        tags: expectation.tags,
+        skip: expectation.skip,
+        only: expectation.only,
+        timeout: expectation.timeout,
+        mocks: expectation.mocks || [],
+        visual: Boolean(expectation.visual)
+      };
+      if (code) {
+        try {
+          entry.code = await expectationCode(tester, page, expectation);
+        } catch (error) {
+          entry.code = null;
+          entry.error = `Code generation failed: ${error.message}`;
+        }
+      }
+      expectations.push(entry);
+    }
+
+    const settings = tester.getRouteSettings(page.route);
+    planned.push({
+      route: page.route,
+      url: (tester.deploymentUrl || /^https?:\/\//i.test(page.url)) ? page.url : null,
+      file: relative(tester.projectRoot, page.filePath),
+      params: page.params || null,
+      urlParams: page.urlParams || {},
+      auth: page.auth,
+      mocks: settings.mock,
+      budgets: settings.budgets,
+      failOn: POLICIES.filter(policy => settings.failOn[policy.key]).map(policy => policy.type),
+      expectations
+    });
+  }
+
+  planned.sort((a, b) => a.route.localeCompare(b.route) || a.file.localeCompare(b.file));
+
+  return {
+    framework: tester.framework.name,
+    pages: planned,
+    errors: [...tester.parameterErrors].sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0))
+  };
+}
+
+function formatOptions(entry) {
+  return [
+    entry.skip && 'skip',
+    entry.only && 'only',
+    entry.timeout && `timeout=${entry.timeout / 1000}s`,
+    entry.visual && 'visual',
+    entry.mocks.length > 0 && `mock=${entry.mocks.join(' ')}`,
+    entry.targets.length > 0 && `on ${entry.targets.join(', ')}`,
+    ...entry.tags.map(tag => `@${tag}`)
+  ].filter(Boolean);
+}
+
+function formatPlanJson(plan) {
+  return JSON.stringify(redactValue(plan), null, 2);
+}
+
+// Routes as a tree: page details, then one branch per expectation
+function formatPlan(plan) {
+  const lines = [];
+  const count = plan.pages.reduce((sum, page) => sum + page.expectations.length, 0);
+
+  plan.pages.forEach(page => {
+    lines.push(`${page.params ? `${page.route} (${formatParams(page.params)})` : page.route}`);
+    lines.push(`│  url:        ${page.url || '(no deployment URL)'}`);
+    lines.push(`│  file:       ${page.file}`);
+    if (Object.keys(page.urlParams).length > 0) {
+      lines.push(`│  url params: ${formatParams(page.urlParams)}`);
+    }
+    if (page.auth) {
+      lines.push(`│  auth:       ${page.auth}`);
+    }
+    if (page.mocks.length > 0) {
+      lines.push(`│  mocks:      ${page.mocks.join(', ')}`);
+    }
+    if (Object.keys(page.budgets).length > 0) {
+      lines.push(`│  budgets:    ${Object.entries(page.budgets).map(([name, budget]) => `${name} ${budget}`).join(', ')}`);
+    }
+    if (page.failOn.length > 0) {
+      lines.push(`│  fail on:    ${page.failOn.join(', ')}`);
+    }
+
+    page.expectations.forEach((entry, index) => {
+      const last = index === page.expectations.length - 1;
+      const options = formatOptions(entry);
+      lines.push(`${last ? '└─' : '├─'} ${entry.text}${options.length > 0 ? `  [${options.join(', ')}]` : ''}`);
+
+      const continuation = last ? '   ' : '│  ';
+      lines.push(`${continuation}  ${entry.source}${entry.comment !== entry.text ? ` - split from "${entry.comment}"` : ''}`);
+      if (entry.code !== undefined) {
+        const body = entry.code === null ? `// ${entry.error}` : entry.code;
+        body.split('\n').forEach(line => lines.push(`${continuation}    ${line}`));
+      }
+    });
+    lines.push('');
+  });
+
+  if (plan.errors.length > 0) {
+    lines.push('❌ Parameter errors:');
+    plan.errors.forEach(error => {
+      const label = error.params ? ` (${formatParams(error.params)})` : '';
+      lines.push(`  ${error.file}${error.line ? `:${error.line}` : ''}${label}: ${error.message.split('\n').join('\n    ')}`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`📋 ${plan.pages.length} pages, ${count} expectations${plan.errors.length > 0 ? `, ${plan.errors.length} parameter errors` : ''}`);
+  return redact(lines.join('\n'));
+}
+
+module.exports = { buildPlan, formatPlan, formatPlanJson };
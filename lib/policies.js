@@ -0,0 +1,47 @@
+// `failOn` policies: problems collected while a page loads that fail it on
+// their own, apart from the expectations
+const POLICIES = [
+  { key: 'consoleErrors', type: 'console-errors', name: 'no console errors' },
+  { key: 'pageErrors', type: 'page-errors', name: 'no uncaught exceptions' },
+  { key: 'failedRequests', type: 'failed-requests', name: 'no failed requests' }
+];
+
+// A pattern is a substring, or a regular expression written as
+// /source/flags. Invalid expressions throw; the config is checked on load.
+function compilePattern(pattern) {
+  const match = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (!match) {
+    return text => text.includes(pattern);
+  }
+  const regex = new RegExp(match[1], match[2]);
+  return text => regex.test(text);
+}
+
+// "404 GET https://..." or "net::ERR_ABORTED GET https://..."
+function formatFailedRequest(request) {
+  return `${request.status || request.error} ${request.method} ${request.url}`;
+}
+
+// One check per enabled policy for what a project's page load collected:
+// { consoleErrors: [text], pageErrors: [message], failedRequests: [request] }.
+// Problems matching an `allow` pattern are known noise and do not count.
+function evaluatePolicies(failOn, collected) {
+  const allowed = (failOn.allow || []).map(compilePattern);
+
+  return POLICIES.filter(policy => failOn[policy.key]).map(policy => {
+    const problems = collected[policy.key]
+      .map(item => (policy.key === 'failedRequests' ? formatFailedRequest(item) : item))
+      .filter(text => !allowed.some(allow => allow(text)));
+    const count = problems.length;
+
+    return {
+      name: policy.name,
+      type: policy.type,
+      passed: count === 0,
+      error: count === 0 ? null : `${count} ${policy.name.replace(/^no /, '').replace(/s$/, count === 1 ? '' : 's')}:\n${problems.map(problem => `- ${problem}`).join('\n')}`,
+      details: problems
+    };
+  });
+}
+
+module.exports = { POLICIES, compilePattern, formatFailedRequest, evaluatePolicies };
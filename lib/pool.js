@@ -0,0 +1,46 @@
+// Returns a function that runs async tasks with at most `concurrency` of them
+// in flight at once.
+function createLimiter(concurrency) {
+  const max = Math.max(1, concurrency || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// Maps items through `fn` using `workers` concurrent workers and returns the
+// results in input order.
+async function runPool(items, workers, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, workers), items.length) }, worker));
+  return results;
+}
+
+module.exports = { createLimiter, runPool };
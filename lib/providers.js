@@ -0,0 +1,138 @@
+const PROVIDERS = {
+  ensureui: {
+    baseUrl: 'https://ensureui-be-production.up.railway.app/ensure',
+    format: 'openai',
+    auth: 'bearer',
+    model: 'gpt-4o'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1/chat/completions',
+    format: 'openai',
+    auth: 'bearer',
+    model: 'gpt-4o'
+  },
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com/v1/messages',
+    format: 'anthropic',
+    auth: 'x-api-key',
+    model: 'claude-3-5-sonnet-latest',
+    headers: { 'anthropic-version': '2023-06-01' }
+  }
+};
+
+// Request/response shapes. Any gateway that speaks one of these can be used
+// by pointing `baseUrl` at it.
+const FORMATS = {
+  openai: {
+    body: ({ model, prompt, systemPrompt, maxTokens, temperature }) => ({
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    }),
+    text: data => data.choices[0].message.content
+  },
+  anthropic: {
+    body: ({ model, prompt, systemPrompt, maxTokens, temperature }) => ({
+      model,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature
+    }),
+    text: data => data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+  }
+};
+
+function authHeaders(auth, apiKey) {
+  if (!apiKey || auth === 'none') {
+    return {};
+  }
+  if (auth === 'bearer') {
+    return { 'Authorization': `Bearer ${apiKey}` };
+  }
+  // Any other value is used as the header name, e.g. 'x-api-key' or 'api-key'
+  return { [auth]: apiKey };
+}
+
+function parseHeaders(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid LLM headers, expected a JSON object: ${value}`);
+  }
+}
+
+function createProvider(options = {}) {
+  // A base URL without a provider name is a custom endpoint, not the EnsureUI backend
+  const name = options.provider || (options.baseUrl ? 'custom' : 'ensureui');
+  const preset = PROVIDERS[name];
+  // Custom endpoints are assumed to be OpenAI-compatible, like their auth
+  const format = options.format || (preset ? preset.format : 'openai');
+
+  if (!preset && !options.baseUrl) {
+    throw new Error(`Unknown LLM provider '${name}'. Use one of ${Object.keys(PROVIDERS).join(', ')} or set a base URL`);
+  }
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown LLM API format '${format}'. Use one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const baseUrl = options.baseUrl || preset.baseUrl;
+  const model = options.model || (preset && preset.model);
+
+  // Hosted endpoints need a key; a self-hosted gateway or local stub may not.
+  if (options.requireApiKey !== false && !options.apiKey && (name === 'ensureui' || !options.baseUrl)) {
+    throw new Error('ENSURE_API_KEY environment variable or apiKey option is required');
+  }
+  if (!model) {
+    throw new Error(`A model is required for LLM provider '${name}'`);
+  }
+
+  return {
+    name,
+    baseUrl,
+    model,
+    format,
+    headers: {
+      ...(preset && preset.headers),
+      ...authHeaders(options.auth || (preset ? preset.auth : 'bearer'), options.apiKey),
+      ...parseHeaders(options.headers)
+    }
+  };
+}
+
+async function generateText(provider, prompt, systemPrompt, { model, maxTokens = 500, temperature = 0.1 } = {}) {
+  const format = FORMATS[provider.format];
+  const response = await fetch(provider.baseUrl, {
+    method: 'POST',
+    headers: {
+      ...provider.headers,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(format.body({
+      model: model || provider.model,
+      prompt,
+      systemPrompt,
+      maxTokens,
+      temperature
+    }))
+  });
+
+  if (!response.ok) {
+    throw new Error(`LLM API error (${provider.name}): ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return format.text(data).trim();
+}
+
+module.exports = { PROVIDERS, createProvider, generateText };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+
+const RECORDING_KINDS = ['trace', 'video', 'har'];
+
+// As in Playwright: always, keep only failures, or only on the first or
+// every retry (retries and repairs are attempts after the first)
+const RECORDING_MODES = ['off', 'on', 'retain-on-failure', 'on-first-retry', 'on-all-retries'];
+
+const EXTENSIONS = { trace: '.trace.zip', video: '.webm', har: '.har' };
+
+function parseRecordingModes(values) {
+  const modes = {};
+  for (const kind of RECORDING_KINDS) {
+    const mode = values[kind] || 'off';
+    if (!RECORDING_MODES.includes(mode)) {
+      throw new Error(`Unknown ${kind} mode '${mode}'. Use one of ${RECORDING_MODES.join(', ')}`);
+    }
+    modes[kind] = mode;
+  }
+  return modes;
+}
+
+// The recordings to capture for an attempt, numbered from 1
+function recordingKinds(modes, attemptNumber) {
+  return RECORDING_KINDS.filter(kind => {
+    const mode = modes[kind];
+    return mode === 'on' || mode === 'retain-on-failure' ||
+      (mode === 'on-first-retry' && attemptNumber === 2) ||
+      (mode === 'on-all-retries' && attemptNumber > 1);
+  });
+}
+
+// Video and HAR are context options; every file of an attempt shares `base`
+function recordingContextOptions(kinds, base, dir) {
+  return {
+    ...(kinds.includes('video') ? { recordVideo: { dir } } : {}),
+    ...(kinds.includes('har') ? { recordHar: { path: `${base}${EXTENSIONS.har}` } } : {})
+  };
+}
+
+async function startRecording(context, kinds) {
+  if (kinds.includes('trace')) {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+  }
+}
+
+// Stops the recordings and closes the context, which writes the video and
+// HAR files. Recordings of passing attempts are removed unless the mode is
+// 'on'. Returns { trace, video, har } with the paths that were kept, or null.
+async function finishRecording(context, page, { kinds, modes, base, passed }) {
+  const files = {};
+
+  if (kinds.includes('trace')) {
+    await context.tracing.stop({ path: `${base}${EXTENSIONS.trace}` });
+    files.trace = `${base}${EXTENSIONS.trace}`;
+  }
+  const video = kinds.includes('video') && page ? page.video() : null;
+
+  await context.close();
+
+  if (video) {
+    fs.renameSync(await video.path(), `${base}${EXTENSIONS.video}`);
+    files.video = `${base}${EXTENSIONS.video}`;
+  }
+  if (kinds.includes('har')) {
+    files.har = `${base}${EXTENSIONS.har}`;
+  }
+
+  for (const kind of Object.keys(files)) {
+    if (passed && modes[kind] !== 'on') {
+      fs.rmSync(files[kind], { force: true });
+      delete files[kind];
+    }
+  }
+  return Object.keys(files).length > 0 ? files : null;
+}
+
+module.exports = {
+  RECORDING_KINDS,
+  RECORDING_MODES,
+  parseRecordingModes,
+  recordingKinds,
+  recordingContextOptions,
+  startRecording,
+  finishRecording
+};
@@ -0,0 +1,126 @@
+const path = require('path');
+const { redact } = require('../logger');
+const { formatParams } = require('../params');
+const { formatMetrics } = require('../performance');
+
+// Playwright's expect errors carry terminal colour codes
+function stripAnsi(text) {
+  return typeof text === 'string' ? text.replace(/\u001b\[[0-9;]*m/g, '') : text;
+}
+
+function clean(text) {
+  return redact(stripAnsi(text));
+}
+
+function relativeSource(filePath, projectRoot) {
+  return filePath ? path.relative(projectRoot, filePath).replace(/\\/g, '/') : null;
+}
+
+// Flattens page results into one row per expectation. A page that failed
+// before any expectation ran becomes a single "page load" row so it still
+// shows up as a failure.
+function collectCases(results, { projectRoot }) {
+  return results.pages.map(page => {
+    const source = relativeSource(page.filePath, projectRoot);
+    // Only name the browser/device when the page ran on more than one
+    const matrix = new Set([...page.generatedTests, ...(page.checks || [])].map(test => test.project)).size > 1;
+    const cases = page.generatedTests.map(test => ({
+      name: redact(matrix ? `${test.expectation} [${test.project}]` : test.expectation),
+      project: test.project || null,
+      // Spec file expectations point at the spec file rather than the page
+      source: test.sourceFile ? relativeSource(test.sourceFile, projectRoot) : source,
+      lineNumber: test.lineNumber,
+      column: test.column || null,
+      component: test.component || null,
+      tags: test.tags || [],
+      passed: test.passed,
+      skipped: Boolean(test.skipped),
+      failureType: test.failureType || null,
+      outcome: test.outcome || null,
+      diagnosis: redact(test.diagnosis || null),
+      error: clean(test.error),
+      code: redact(test.generatedCode),
+      screenshot: test.screenshot || null,
+      // Trace, video and HAR files: { trace, video, har }
+      recordings: test.recordings || null,
+      // axe-core findings: [{ rule, impact, selector, help, helpUrl, baselined }]
+      accessibility: test.accessibility || null,
+      attempts: (test.attempts || []).map(attempt => ({
+        ...attempt,
+        code: redact(attempt.code),
+        error: clean(attempt.error)
+      }))
+    }));
+
+    // Budgets and failOn policies, after the expectations
+    cases.push(...(page.checks || []).map(check => ({
+      name: matrix ? `${check.name} [${check.project}]` : check.name,
+      project: check.project || null,
+      source: relativeSource(check.sourceFile, projectRoot),
+      lineNumber: null,
+      column: null,
+      component: null,
+      tags: [],
+      passed: check.passed,
+      skipped: false,
+      failureType: check.passed ? null : check.type,
+      outcome: check.passed ? 'passed' : 'app-failure',
+      diagnosis: null,
+      error: clean(check.error),
+      code: null,
+      screenshot: null,
+      recordings: null,
+      accessibility: null,
+      attempts: []
+    })));
+
+    if (page.error && cases.length === 0) {
+      cases.push({
+        name: 'page load',
+        project: null,
+        source,
+        lineNumber: null,
+        column: null,
+        component: null,
+        tags: [],
+        passed: false,
+        skipped: false,
+        failureType: 'error',
+        outcome: null,
+        diagnosis: null,
+        error: clean(page.error),
+        code: null,
+        screenshot: null,
+        recordings: null,
+        accessibility: null,
+        attempts: []
+      });
+    }
+
+    return {
+      route: page.route,
+      url: page.url,
+      params: page.params || null,
+      paramsLabel: page.params ? redact(formatParams(page.params)) : null,
+      source,
+      passed: page.passed,
+      error: clean(page.error),
+      consoleErrors: (page.consoleErrors || []).map(redact),
+      pageErrors: (page.pageErrors || []).map(redact),
+      failedRequests: (page.failedRequests || []).map(request => ({ ...request, url: redact(request.url) })),
+      redirectChain: (page.redirectChain || []).map(entry => ({ ...entry, url: redact(entry.url), location: redact(entry.location) })),
+      // Load metrics per project name
+      metrics: page.metrics || {},
+      cases
+    };
+  });
+}
+
+// One line per project that has metrics, for the text reports
+function formatPageMetrics(page) {
+  return Object.entries(page.metrics)
+    .filter(([, metrics]) => metrics)
+    .map(([project, metrics]) => `${project}: ${formatMetrics(metrics)}`);
+}
+
+module.exports = { collectCases, formatPageMetrics, stripAnsi };
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { collectCases } = require('./common');
+
+// Identifies the comment to update on later runs
+const COMMENT_MARKER = '<!-- ensureui-report -->';
+// GitHub rejects comments and summaries above 65536 characters
+const MAX_BODY_LENGTH = 65000;
+// Check runs accept at most 50 annotations per request
+const ANNOTATION_BATCH = 50;
+
+class GitHubApiError extends Error {
+  constructor(method, route, status, message) {
+    super(`GitHub API ${method} ${route} failed: ${status} ${message}`);
+    this.name = 'GitHubApiError';
+    this.status = status;
+  }
+}
+
+function createGitHubClient({ token, repository, apiUrl = 'https://api.github.com' }) {
+  const request = async (method, route, body) => {
+    const response = await fetch(`${apiUrl.replace(/\/$/, '')}/repos/${repository}${route}`, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${token}`,
+        'X-GitHub-Api-Version': '2022-11-28',
+        'User-Agent': 'ensureui',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      let message = response.statusText;
+      try {
+        message = JSON.parse(text).message || message;
+      } catch (error) {
+        // Not a JSON error body
+      }
+      throw new GitHubApiError(method, route, response.status, message);
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  return { request };
+}
+
+// Failing expectations with paths relative to the repository root, which is
+// what annotations need when the project is in a subdirectory
+function collectFailures(pages, { projectRoot, workspace }) {
+  return pages.flatMap(page => page.cases
+    .filter(testCase => !testCase.passed)
+    .map(testCase => ({
+      route: page.route,
+      name: testCase.name,
+      path: testCase.source ? path.relative(workspace, path.resolve(projectRoot, testCase.source)).replace(/\\/g, '/') : null,
+      line: testCase.lineNumber || 1,
+      error: testCase.error || 'Failed'
+    })));
+}
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Pass/fail table per page, then the failing expectations with their location
+function formatMarkdownSummary(results, { projectRoot, workspace = null, runUrl = null }) {
+  const pages = collectCases(results, { projectRoot });
+  const failures = collectFailures(pages, { projectRoot, workspace: workspace || projectRoot });
+  const passed = results.failedPages === 0;
+
+  const lines = [
+    `### ${passed ? '✅' : '❌'} EnsureUI: ${results.passedPages}/${results.totalPages} pages passed`,
+    '',
+    '| | Route | Passed | Failed | Skipped |',
+    '| --- | --- | --- | --- | --- |',
+    ...pages.map(page => {
+      const skipped = page.cases.filter(testCase => testCase.skipped).length;
+      const failed = page.cases.filter(testCase => !testCase.passed).length;
+      const label = page.paramsLabel ? `${page.route} (${page.paramsLabel})` : page.route;
+      return `| ${page.passed ? '✅' : '❌'} | \`${escapeCell(label)}\` | ${page.cases.length - failed - skipped} | ${failed} | ${skipped} |`;
+    })
+  ];
+
+  if (failures.length > 0) {
+    lines.push('', '<details open>', `<summary>${failures.length} failing expectations</summary>`, '');
+    failures.forEach(failure => {
+      const location = failure.path ? ` (\`${failure.path}:${failure.line}\`)` : '';
+      lines.push(`- **${escapeCell(failure.route)}** ${escapeCell(failure.name)}${location}: ${escapeCell(truncate(failure.error.split('\n')[0], 300))}`);
+    });
+    lines.push('', '</details>');
+  }
+
+  if (runUrl) {
+    lines.push('', `Screenshots and reports are attached to the [workflow run](${runUrl}).`);
+  }
+
+  return truncate(lines.join('\n'), MAX_BODY_LENGTH);
+}
+
+async function listComments(client, prNumber) {
+  const comments = [];
+  for (let page = 1; ; page++) {
+    const batch = await client.request('GET', `/issues/${prNumber}/comments?per_page=100&page=${page}`);
+    comments.push(...batch);
+    if (batch.length < 100) {
+      return comments;
+    }
+  }
+}
+
+// Updates the comment from an earlier run rather than adding one per push
+async function upsertPullRequestComment(client, prNumber, markdown) {
+  const body = `${COMMENT_MARKER}\n${markdown}`;
+  const existing = (await listComments(client, prNumber)).find(comment => (comment.body || '').includes(COMMENT_MARKER));
+  if (existing) {
+    return client.request('PATCH', `/issues/comments/${existing.id}`, { body });
+  }
+  return client.request('POST', `/issues/${prNumber}/comments`, { body });
+}
+
+function toAnnotation(failure) {
+  return {
+    path: failure.path,
+    start_line: failure.line,
+    end_line: failure.line,
+    annotation_level: 'failure',
+    title: truncate(`${failure.route}: ${failure.name}`, 255),
+    message: truncate(failure.error, 64000)
+  };
+}
+
+// One completed check run, with further annotations added 50 at a time
+async function createCheckRun(client, { sha, name = 'EnsureUI', conclusion, title, summary, failures }) {
+  const annotations = failures.filter(failure => failure.path).map(toAnnotation);
+  const output = batch => ({ title, summary, annotations: batch });
+
+  const checkRun = await client.request('POST', '/check-runs', {
+    name,
+    head_sha: sha,
+    status: 'completed',
+    conclusion,
+    output: output(annotations.slice(0, ANNOTATION_BATCH))
+  });
+
+  for (let start = ANNOTATION_BATCH; start < annotations.length; start += ANNOTATION_BATCH) {
+    await client.request('PATCH', `/check-runs/${checkRun.id}`, { output: output(annotations.slice(start, start + ANNOTATION_BATCH)) });
+  }
+  return checkRun;
+}
+
+function escapeCommandData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeCommandProperty(value) {
+  return escapeCommandData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+// Workflow commands annotate the same lines without the checks permission
+function annotationCommands(failures) {
+  return failures.filter(failure => failure.path).map(failure =>
+    `::error file=${escapeCommandProperty(failure.path)},line=${failure.line},title=${escapeCommandProperty(truncate(`${failure.route}: ${failure.name}`, 255))}::${escapeCommandData(failure.error)}`
+  );
+}
+
+// Publishes results from inside GitHub Actions: the job summary, a check
+// run with annotations (or workflow command annotations when the token may
+// not create check runs) and, on pull requests, a single updated comment.
+// Each part that fails is reported and skipped.
+async function publishGitHubResults(results, { projectRoot, env = process.env, log = console }) {
+  const workspace = env.GITHUB_WORKSPACE || projectRoot;
+  const runUrl = env.GITHUB_RUN_ID && env.GITHUB_REPOSITORY ?
+    `${env.GITHUB_SERVER_URL || 'https://github.com'}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}` : null;
+  const markdown = formatMarkdownSummary(results, { projectRoot, workspace, runUrl });
+  const failures = collectFailures(collectCases(results, { projectRoot }), { projectRoot, workspace });
+  const enabled = name => !['0', 'false', 'no'].includes(String(env[name] || '').toLowerCase());
+
+  if (env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+  }
+
+  if (!env.GITHUB_TOKEN || !env.GITHUB_REPOSITORY) {
+    annotationCommands(failures).forEach(command => log.log(command));
+    return;
+  }
+  const client = createGitHubClient({ token: env.GITHUB_TOKEN, repository: env.GITHUB_REPOSITORY, apiUrl: env.GITHUB_API_URL });
+
+  if (enabled('ENSURE_GITHUB_CHECKS')) {
+    const sha = env.PR_HEAD_SHA || env.GITHUB_SHA;
+    try {
+      const checkRun = await createCheckRun(client, {
+        sha,
+        conclusion: results.failedPages > 0 ? 'failure' : 'success',
+        title: `${results.passedPages}/${results.totalPages} pages passed`,
+        summary: markdown,
+        failures
+      });
+      log.log(`✅ Check run: ${checkRun.html_url || checkRun.id}`);
+    } catch (error) {
+      log.warn(`Warning: Could not create check run (${error.message}); annotating with workflow commands instead. Grant "checks: write" to use check runs.`);
+      annotationCommands(failures).forEach(command => log.log(command));
+    }
+  } else {
+    annotationCommands(failures).forEach(command => log.log(command));
+  }
+
+  if (env.PR_NUMBER && enabled('ENSURE_GITHUB_COMMENT')) {
+    try {
+      const comment = await upsertPullRequestComment(client, env.PR_NUMBER, markdown);
+      log.log(`💬 Pull request comment: ${comment.html_url || comment.id}`);
+    } catch (error) {
+      log.warn(`Warning: Could not comment on pull request #${env.PR_NUMBER} (${error.message}). Grant "pull-requests: write" to comment.`);
+    }
+  }
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  GitHubApiError,
+  createGitHubClient,
+  formatMarkdownSummary,
+  upsertPullRequestComment,
+  createCheckRun,
+  annotationCommands,
+  publishGitHubResults
+};
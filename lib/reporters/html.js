@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { collectCases, formatPageMetrics } = require('./common');
+const { formatFailedRequest } = require('../policies');
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Screenshots are inlined so the report is a single file that can be
+// uploaded as a CI artifact and opened anywhere.
+function inlineImage(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return '';
+  }
+  const data = fs.readFileSync(filePath).toString('base64');
+  return `<img class="shot" alt="${escapeHtml(path.basename(filePath))}" src="data:image/png;base64,${data}">`;
+}
+
+// Recordings are too large to inline, so they are linked relative to the
+// report. Traces open with `npx playwright show-trace` or trace.playwright.dev.
+function renderRecordings(recordings, outputDir) {
+  if (!recordings) {
+    return '';
+  }
+  const links = Object.entries(recordings).map(([kind, file]) =>
+    `<a href="${escapeHtml(path.relative(outputDir, file).replace(/\\/g, '/'))}">${escapeHtml(kind)}</a>`);
+  return `<p class="muted">Recordings: ${links.join(' · ')}</p>`;
+}
+
+function renderAccessibility(findings) {
+  if (!findings || findings.length === 0) {
+    return '';
+  }
+  const rows = findings.map(finding => `
+          <tr${finding.baselined ? ' class="muted"' : ''}><td><a href="${escapeHtml(finding.helpUrl)}">${escapeHtml(finding.rule)}</a></td><td>${escapeHtml(finding.impact)}</td><td><code>${escapeHtml(finding.selector)}</code></td><td>${escapeHtml(finding.help)}${finding.baselined ? ' (baselined)' : ''}</td></tr>`).join('');
+  return `<table class="findings"><tr><th>Rule</th><th>Impact</th><th>Selector</th><th>Issue</th></tr>${rows}</table>`;
+}
+
+function renderAttempts(attempts, outputDir) {
+  if (attempts.length < 2) {
+    return '';
+  }
+  const items = attempts.map(attempt => `
+          <li>${attempt.passed ? '✅' : '❌'} ${escapeHtml(attempt.type)}${attempt.error ? `<pre class="error">${escapeHtml(attempt.error)}</pre>` : ''}<pre class="code">${escapeHtml(attempt.code)}</pre>${renderRecordings(attempt.recordings, outputDir)}</li>`).join('');
+  return `<details><summary>Attempts (${attempts.length})</summary><ol>${items}</ol></details>`;
+}
+
+function renderCase(testCase, outputDir) {
+  const location = testCase.source ? `${testCase.source}${testCase.lineNumber ? `:${testCase.lineNumber}` : ''}` +
+    `${testCase.component ? ` · ${testCase.component}` : ''}` : '';
+  const tag = testCase.outcome && testCase.outcome !== 'passed' ? testCase.outcome : testCase.failureType;
+  return `
+      <details class="case ${testCase.passed ? 'pass' : 'fail'}"${testCase.passed ? '' : ' open'}>
+        <summary>${testCase.skipped ? '⏭️' : testCase.passed ? '✅' : '❌'} ${escapeHtml(testCase.name)} <span class="muted">${escapeHtml(location)}</span>${tag ? ` <span class="tag">${escapeHtml(tag)}</span>` : ''}${testCase.tags.map(name => ` <span class="tag">@${escapeHtml(name)}</span>`).join('')}</summary>
+        ${testCase.diagnosis ? `<p>${escapeHtml(testCase.diagnosis)}</p>` : ''}
+        ${testCase.error ? `<pre class="error">${escapeHtml(testCase.error)}</pre>` : ''}
+        ${testCase.code ? `<pre class="code">${escapeHtml(testCase.code)}</pre>` : ''}
+        ${renderAccessibility(testCase.accessibility)}
+        ${renderAttempts(testCase.attempts, outputDir)}
+        ${renderRecordings(testCase.recordings, outputDir)}
+        ${inlineImage(testCase.screenshot)}
+      </details>`;
+}
+
+function renderPage(page, outputDir) {
+  const redirects = page.redirectChain.map(r =>
+    `<li>${escapeHtml(r.status)} ${escapeHtml(r.url)}${r.location ? ` → ${escapeHtml(r.location)}` : ''}</li>`).join('');
+  const consoleErrors = page.consoleErrors.map(e => `<li>${escapeHtml(e)}</li>`).join('');
+  const pageErrors = page.pageErrors.map(e => `<li>${escapeHtml(e)}</li>`).join('');
+  const failedRequests = page.failedRequests.map(request => `<li>${escapeHtml(formatFailedRequest(request))}</li>`).join('');
+
+  return `
+    <section class="page ${page.passed ? 'pass' : 'fail'}">
+      <h2>${page.passed ? '✅' : '❌'} ${escapeHtml(page.route)}</h2>
+      <p class="muted"><a href="${escapeHtml(page.url)}">${escapeHtml(page.url)}</a> · ${escapeHtml(page.source)}${page.paramsLabel ? ` · params: ${escapeHtml(page.paramsLabel)}` : ''}</p>
+      ${formatPageMetrics(page).map(line => `<p class="muted">⏱️ ${escapeHtml(line)}</p>`).join('')}
+      ${page.error ? `<pre class="error">${escapeHtml(page.error)}</pre>` : ''}
+      ${page.cases.map(testCase => renderCase(testCase, outputDir)).join('')}
+      ${consoleErrors ? `<details><summary>Console errors (${page.consoleErrors.length})</summary><ul>${consoleErrors}</ul></details>` : ''}
+      ${pageErrors ? `<details><summary>Uncaught exceptions (${page.pageErrors.length})</summary><ul>${pageErrors}</ul></details>` : ''}
+      ${failedRequests ? `<details><summary>Failed requests (${page.failedRequests.length})</summary><ul>${failedRequests}</ul></details>` : ''}
+      ${redirects ? `<details><summary>Redirect chain (${page.redirectChain.length})</summary><ul>${redirects}</ul></details>` : ''}
+    </section>`;
+}
+
+function writeHtmlReport(results, { outputDir, projectRoot }) {
+  const reportPath = path.join(outputDir, 'ensureui-report.html');
+  const pages = collectCases(results, { projectRoot });
+
+  fs.writeFileSync(reportPath, `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>EnsureUI report</title>
+  <style>
+    body { font-family: -apple-system, system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1f2328; }
+    .summary span { margin-right: 1.5rem; font-weight: 600; }
+    .page { border: 1px solid #d0d7de; border-left-width: 4px; border-radius: 6px; padding: 0 1rem 1rem; margin: 1rem 0; }
+    .page.pass, .case.pass { border-left-color: #1a7f37; }
+    .page.fail, .case.fail { border-left-color: #cf222e; }
+    .case { border-left: 3px solid; padding: 0.25rem 0.75rem; margin: 0.5rem 0; }
+    summary { cursor: pointer; }
+    pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; white-space: pre-wrap; }
+    pre.error { background: #ffebe9; }
+    .muted { color: #656d76; font-size: 0.9em; }
+    .tag { background: #eaeef2; border-radius: 4px; padding: 0 0.4em; font-size: 0.8em; }
+    .shot { max-width: 100%; border: 1px solid #d0d7de; margin-top: 0.5rem; }
+    .findings { border-collapse: collapse; margin: 0.5rem 0; font-size: 0.9em; }
+    .findings td, .findings th { border: 1px solid #d0d7de; padding: 0.2rem 0.5rem; text-align: left; }
+  </style>
+</head>
+<body>
+  <h1>EnsureUI report</h1>
+  <p class="summary">
+    <span>Pages: ${results.totalPages}</span>
+    <span>✅ Passed: ${results.passedPages}</span>
+    <span>❌ Failed: ${results.failedPages}</span>
+    <span class="muted">${escapeHtml(new Date().toISOString())}</span>
+  </p>
+  ${pages.map(page => renderPage(page, outputDir)).join('')}
+</body>
+</html>
+`);
+
+  return reportPath;
+}
+
+module.exports = { writeHtmlReport };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const { writeJunitReport } = require('./junit');
+const { writeJsonReport } = require('./json');
+const { writeHtmlReport } = require('./html');
+const { writeShardResults, mergeShardResults } = require('./shards');
+
+const REPORTERS = {
+  junit: writeJunitReport,
+  json: writeJsonReport,
+  html: writeHtmlReport
+};
+
+function parseReporters(value) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !REPORTERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown reporter '${unknown.join(', ')}'. Use one of ${Object.keys(REPORTERS).join(', ')}`);
+  }
+
+  return names;
+}
+
+function writeReports(results, names, { outputDir, projectRoot }) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  return names.map(name => REPORTERS[name](results, { outputDir, projectRoot }));
+}
+
+module.exports = { REPORTERS, parseReporters, writeReports, writeShardResults, mergeShardResults };
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+const { collectCases } = require('./common');
+
+function writeJsonReport(results, { outputDir, projectRoot }) {
+  const reportPath = path.join(outputDir, 'ensureui-results.json');
+  const pages = collectCases(results, { projectRoot });
+
+  fs.writeFileSync(reportPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    totalPages: results.totalPages,
+    passedPages: results.passedPages,
+    failedPages: results.failedPages,
+    pages
+  }, null, 2) + '\n');
+
+  return reportPath;
+}
+
+module.exports = { writeJsonReport };
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { collectCases, formatPageMetrics } = require('./common');
+const { formatFailedRequest } = require('../policies');
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    // Characters XML 1.0 cannot represent at all
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderCase(route, testCase) {
+  const location = testCase.source && testCase.lineNumber ? `${testCase.source}:${testCase.lineNumber}` : testCase.source;
+  const attributes = [
+    `name="${escapeXml(testCase.name)}"`,
+    `classname="${escapeXml(route)}"`,
+    testCase.source ? `file="${escapeXml(testCase.source)}"` : null,
+    testCase.lineNumber ? `line="${testCase.lineNumber}"` : null
+  ].filter(Boolean).join(' ');
+
+  const output = [
+    location ? `source: ${location}${testCase.column ? `:${testCase.column}` : ''}` : null,
+    testCase.component ? `component: ${testCase.component}` : null,
+    testCase.tags.length ? `tags: ${testCase.tags.join(', ')}` : null,
+    testCase.outcome && testCase.outcome !== 'passed' ? `outcome: ${testCase.outcome}${testCase.diagnosis ? ` - ${testCase.diagnosis}` : ''}` : null,
+    testCase.attempts.length > 1 ? `attempts: ${testCase.attempts.map(attempt => `${attempt.type} ${attempt.passed ? 'passed' : 'failed'}`).join(', ')}` : null,
+    testCase.code ? `code:\n${testCase.code}` : null,
+    testCase.accessibility && testCase.accessibility.length ?
+      `accessibility:\n${testCase.accessibility.map(finding => `${finding.baselined ? '[baselined] ' : ''}${finding.rule} (${finding.impact}) at ${finding.selector}`).join('\n')}` : null,
+    // Picked up by the Jenkins JUnit attachments plugin
+    testCase.screenshot ? `[[ATTACHMENT|${testCase.screenshot}]]` : null,
+    ...Object.values(testCase.recordings || {}).map(file => `[[ATTACHMENT|${file}]]`)
+  ].filter(Boolean).join('\n');
+
+  const lines = [`    <testcase ${attributes}>`];
+  if (testCase.skipped) {
+    lines.push('      <skipped/>');
+  }
+  if (!testCase.passed) {
+    const type = testCase.failureType || 'assertion';
+    lines.push(`      <failure type="${escapeXml(type)}" message="${escapeXml((testCase.error || 'Failed').split('\n')[0])}">${escapeXml(testCase.error)}</failure>`);
+  }
+  if (output) {
+    lines.push(`      <system-out>${escapeXml(output)}</system-out>`);
+  }
+  lines.push('    </testcase>');
+  return lines.join('\n');
+}
+
+function writeJunitReport(results, { outputDir, projectRoot }) {
+  const reportPath = path.join(outputDir, 'ensureui-junit.xml');
+  const pages = collectCases(results, { projectRoot });
+  const total = pages.reduce((sum, page) => sum + page.cases.length, 0);
+  const failures = pages.reduce((sum, page) => sum + page.cases.filter(c => !c.passed).length, 0);
+
+  const suites = pages.map(page => {
+    const pageFailures = page.cases.filter(c => !c.passed).length;
+    const pageSkipped = page.cases.filter(c => c.skipped).length;
+    const pageOutput = [
+      `url: ${page.url}`,
+      page.paramsLabel ? `params: ${page.paramsLabel}` : null,
+      formatPageMetrics(page).length ? `metrics:\n${formatPageMetrics(page).join('\n')}` : null,
+      page.consoleErrors.length ? `console errors:\n${page.consoleErrors.join('\n')}` : null,
+      page.pageErrors.length ? `uncaught exceptions:\n${page.pageErrors.join('\n')}` : null,
+      page.failedRequests.length ? `failed requests:\n${page.failedRequests.map(formatFailedRequest).join('\n')}` : null,
+      page.redirectChain.length ? `redirect chain:\n${page.redirectChain.map(r => `${r.status} ${r.url}${r.location ? ` -> ${r.location}` : ''}`).join('\n')}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+      `  <testsuite name="${escapeXml(page.route)}" tests="${page.cases.length}" failures="${pageFailures}" errors="0" skipped="${pageSkipped}"${page.source ? ` file="${escapeXml(page.source)}"` : ''}>`,
+      ...page.cases.map(testCase => renderCase(page.route, testCase)),
+      `    <system-out>${escapeXml(pageOutput)}</system-out>`,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  fs.writeFileSync(reportPath, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="EnsureUI" tests="${total}" failures="${failures}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n'));
+
+  return reportPath;
+}
+
+module.exports = { writeJunitReport };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { redactValue } = require('../logger');
+
+const SHARD_FILE = /^ensureui-shard-(\d+)-of-(\d+)\.json$/;
+
+// Rewrites the page and spec file paths of every result, so shards checked
+// out in different directories can be merged
+function mapPaths(pages, mapPath) {
+  const mapSource = item => (item.sourceFile ? { ...item, sourceFile: mapPath(item.sourceFile) } : item);
+  return pages.map(page => ({
+    ...page,
+    filePath: page.filePath ? mapPath(page.filePath) : page.filePath,
+    expectations: (page.expectations || []).map(mapSource),
+    generatedTests: (page.generatedTests || []).map(mapSource),
+    checks: (page.checks || []).map(mapSource)
+  }));
+}
+
+// Rewrites the screenshot, recording and visual comparison files of every
+// expectation, which each shard writes on its own machine
+function mapArtifacts(pages, mapPath) {
+  const mapFile = file => (file ? mapPath(file) : file);
+  const mapRecordings = recordings => (recordings ?
+    Object.fromEntries(Object.entries(recordings).map(([kind, file]) => [kind, mapFile(file)])) : recordings);
+
+  return pages.map(page => ({
+    ...page,
+    generatedTests: (page.generatedTests || []).map(test => ({
+      ...test,
+      screenshot: mapFile(test.screenshot),
+      recordings: mapRecordings(test.recordings),
+      attempts: test.attempts && test.attempts.map(attempt => ({ ...attempt, recordings: mapRecordings(attempt.recordings) })),
+      visual: test.visual && {
+        ...test.visual,
+        baseline: mapFile(test.visual.baseline),
+        current: mapFile(test.visual.current),
+        diff: mapFile(test.visual.diff)
+      }
+    }))
+  }));
+}
+
+// The raw results of one shard, for `ensureui merge-reports`. Artifacts are
+// stored relative to the results file, so they are found again wherever the
+// shard's artifacts are downloaded with the same layout.
+function writeShardResults(results, shard, { outputDir, projectRoot }) {
+  const reportPath = path.join(outputDir, `ensureui-shard-${shard.index}-of-${shard.total}.json`);
+  const pages = mapArtifacts(
+    mapPaths(results.pages, file => path.relative(projectRoot, file).replace(/\\/g, '/')),
+    file => path.relative(outputDir, path.resolve(file)).replace(/\\/g, '/')
+  );
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(redactValue({ shard, results: { ...results, pages } }), null, 2) + '\n');
+  return reportPath;
+}
+
+function listShardFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listShardFiles(fullPath);
+    }
+    return SHARD_FILE.test(entry.name) ? [fullPath] : [];
+  });
+}
+
+// Shard result files given directly or found in the given directories, e.g.
+// the downloaded artifacts of each CI job
+function findShardFiles(inputs) {
+  return inputs.flatMap(input => {
+    if (!fs.existsSync(input)) {
+      throw new Error(`${input} does not exist`);
+    }
+    return fs.statSync(input).isDirectory() ? listShardFiles(input) : [input];
+  });
+}
+
+// Combines shard results into one results object for the reporters.
+// Missing shards are returned so the caller can flag an incomplete run.
+function mergeShardResults(inputs, { projectRoot }) {
+  const files = findShardFiles(inputs);
+  if (files.length === 0) {
+    throw new Error(`No shard results (ensureui-shard-<i>-of-<n>.json) found in ${inputs.join(', ')}`);
+  }
+
+  const merged = { totalPages: 0, passedPages: 0, failedPages: 0, pages: [] };
+  const seen = new Map();
+  const toAbsolute = file => path.resolve(projectRoot, file);
+  let total = null;
+
+  for (const file of files.sort()) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read shard results ${file}: ${error.message}`);
+    }
+    const { shard, results } = content;
+    if (!shard || !results || !Array.isArray(results.pages)) {
+      throw new Error(`${file} is not an EnsureUI shard results file`);
+    }
+    if (total !== null && shard.total !== total) {
+      throw new Error(`${file} is shard ${shard.index}/${shard.total}, but other files are from a run with ${total} shards`);
+    }
+    if (seen.has(shard.index)) {
+      throw new Error(`Shard ${shard.index}/${shard.total} appears twice: ${seen.get(shard.index)} and ${file}`);
+    }
+    total = shard.total;
+    seen.set(shard.index, file);
+
+    merged.totalPages += results.totalPages;
+    merged.passedPages += results.passedPages;
+    merged.failedPages += results.failedPages;
+    merged.pages.push(...mapArtifacts(mapPaths(results.pages, toAbsolute), artifact => path.resolve(path.dirname(file), artifact)));
+  }
+
+  const missing = [];
+  for (let index = 1; index <= total; index++) {
+    if (!seen.has(index)) {
+      missing.push(index);
+    }
+  }
+
+  return { results: merged, shards: total, missing, files };
+}
+
+module.exports = { writeShardResults, mergeShardResults };
@@ -0,0 +1,548 @@
+const vm = require('vm');
+const { parse } = require('@babel/parser');
+const { logger } = require('./logger');
+
+// Identifiers generated code may reference without declaring them. Everything
+// else (require, process, globalThis, Function, eval, ...) is rejected.
+const ALLOWED_GLOBALS = new Set([
+  'page', 'expect', 'redirectChain', 'metrics', 'credentials', 'checkAccessibility', 'console',
+  'Math', 'JSON', 'Date', 'Number', 'String', 'Boolean', 'Array', 'Object', 'RegExp',
+  'Promise', 'Error', 'Set', 'Map', 'URL', 'URLSearchParams',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURIComponent', 'decodeURIComponent',
+  'undefined', 'NaN', 'Infinity'
+]);
+
+const ALLOWED_CONSTRUCTORS = new Set(['Date', 'RegExp', 'Error', 'Set', 'Map', 'URL', 'URLSearchParams']);
+
+// Globals that may be called directly, e.g. expect(...) or Number(...).
+// Other direct calls must go to functions the code declares itself.
+const CALLABLE_GLOBALS = new Set([
+  'expect', 'checkAccessibility', 'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURIComponent',
+  'decodeURIComponent', 'String', 'Number', 'Boolean', 'Date', 'Array', 'Error', 'RegExp'
+]);
+
+// Builtins whose members may be called or read but not passed around, which
+// would hand functions such as Object.getPrototypeOf to other code
+const NAMESPACE_GLOBALS = new Set([
+  'Math', 'JSON', 'Object', 'Array', 'Promise', 'Date', 'RegExp', 'Error', 'Set', 'Map', 'URL', 'URLSearchParams',
+  'console'
+]);
+const VALUE_NAMESPACES = new Set(['Number', 'String', 'Boolean']);
+
+// Methods that may be called on any object: the read-only and interaction
+// parts of the Playwright page/locator/frame/response APIs, expect matchers,
+// and common helpers on arrays, strings and builtins. Deliberately absent are
+// APIs that touch the local machine or escape the page, such as screenshot,
+// pdf, setInputFiles, storageState, exposeFunction, route, context and browser.
+const ALLOWED_METHODS = new Set([
+  // page / frame
+  'goto', 'reload', 'goBack', 'goForward', 'url', 'title', 'content', 'setViewportSize', 'viewportSize',
+  'waitForURL', 'waitForLoadState', 'waitForSelector', 'waitForTimeout', 'waitForResponse', 'waitForRequest',
+  'waitForFunction', 'frame', 'frames', 'mainFrame', 'frameLocator', 'evaluate', '$eval', '$$eval', '$', '$$',
+  // locators
+  'locator', 'getByRole', 'getByText', 'getByLabel', 'getByPlaceholder', 'getByAltText', 'getByTitle',
+  'getByTestId', 'first', 'last', 'nth', 'filter', 'and', 'or', 'all', 'count', 'waitFor',
+  'click', 'dblclick', 'fill', 'clear', 'type', 'press', 'pressSequentially', 'hover', 'focus', 'blur', 'tap',
+  'check', 'uncheck', 'setChecked', 'selectOption', 'selectText', 'dragTo', 'dragAndDrop', 'scrollIntoViewIfNeeded',
+  'textContent', 'innerText', 'innerHTML', 'inputValue', 'getAttribute', 'allTextContents', 'allInnerTexts',
+  'isVisible', 'isHidden', 'isEnabled', 'isDisabled', 'isChecked', 'isEditable', 'boundingBox',
+  // keyboard / mouse
+  'down', 'up', 'insertText', 'move', 'wheel',
+  // responses
+  'status', 'ok', 'headers', 'headerValue', 'json', 'text', 'request', 'method', 'postData',
+  // expect
+  'soft', 'poll', 'toPass', 'any', 'anything', 'stringContaining', 'stringMatching', 'objectContaining',
+  'arrayContaining', 'toBe', 'toEqual', 'toStrictEqual', 'toBeTruthy', 'toBeFalsy', 'toBeDefined',
+  'toBeUndefined', 'toBeNull', 'toBeNaN', 'toContain', 'toContainEqual', 'toHaveLength', 'toHaveProperty',
+  'toMatch', 'toMatchObject', 'toBeGreaterThan', 'toBeGreaterThanOrEqual', 'toBeLessThan',
+  'toBeLessThanOrEqual', 'toBeCloseTo', 'toBeInstanceOf', 'toThrow', 'toBeVisible', 'toBeHidden',
+  'toBeEnabled', 'toBeDisabled', 'toBeChecked', 'toBeEditable', 'toBeEmpty', 'toBeFocused', 'toBeAttached',
+  'toBeInViewport', 'toHaveText', 'toContainText', 'toHaveValue', 'toHaveValues', 'toHaveAttribute',
+  'toHaveClass', 'toHaveCount', 'toHaveCSS', 'toHaveId', 'toHaveJSProperty', 'toHaveTitle', 'toHaveURL',
+  'toHaveAccessibleName', 'toHaveAccessibleDescription', 'toHaveRole', 'toBeOK',
+  // builtins
+  'map', 'filter', 'find', 'findIndex', 'some', 'every', 'includes', 'indexOf', 'lastIndexOf', 'forEach',
+  'reduce', 'join', 'split', 'slice', 'concat', 'sort', 'reverse', 'push', 'at', 'flat', 'flatMap', 'from',
+  'isArray', 'keys', 'values', 'entries', 'has', 'trim', 'trimStart', 'trimEnd', 'toLowerCase', 'toUpperCase',
+  'startsWith', 'endsWith', 'replace', 'replaceAll', 'match', 'matchAll', 'test', 'exec', 'charAt', 'substring',
+  'padStart', 'padEnd', 'localeCompare', 'toString', 'toFixed', 'parse', 'stringify', 'floor', 'ceil', 'round',
+  'random', 'min', 'max', 'abs', 'now', 'getTime', 'toISOString', 'toLocaleDateString', 'getFullYear',
+  'getMonth', 'getDate', 'race', 'then', 'catch', 'finally', 'log', 'info', 'warn', 'error'
+]);
+
+// Property names that lead from a sandboxed value back to host constructors.
+const FORBIDDEN_PROPERTIES = new Set([
+  'constructor', 'prototype', '__proto__', '__defineGetter__', '__defineSetter__',
+  '__lookupGetter__', '__lookupSetter__', 'caller', 'callee', 'arguments'
+]);
+
+// Underscore members are library internals, e.g. Playwright's
+// page._connection leads to process.env
+function isForbiddenProperty(name) {
+  return FORBIDDEN_PROPERTIES.has(name) || name.startsWith('_');
+}
+
+const FORBIDDEN_NODES = {
+  ImportDeclaration: 'module syntax',
+  ExportNamedDeclaration: 'module syntax',
+  ExportDefaultDeclaration: 'module syntax',
+  ExportAllDeclaration: 'module syntax',
+  Import: 'dynamic import()',
+  ImportExpression: 'dynamic import()',
+  MetaProperty: 'import.meta / new.target',
+  WithStatement: 'with statements',
+  Super: 'super',
+  TaggedTemplateExpression: 'tagged templates'
+};
+
+// Called at the start of every loop iteration and function call of the
+// generated code to stop it at the deadline. Code that only awaits microtasks,
+// such as `for (;;) { await null; }`, never lets the host's timer run.
+const GUARD = '__ensureuiGuard';
+// Inserted code is marked so that String(fn) can return the original source.
+// A closing bracket has its marker in front: an arrow function's source
+// ends right after it.
+const GUARD_START = '/*ensureui:*/';
+const GUARD_END = '/*:ensureui*/';
+const GUARD_INSERTS = /\/\*ensureui:\*\/(?:[)}]|[\s\S]*?\/\*:ensureui\*\/)/g;
+// V8's own limit for the synchronous part of the run is later, so that the
+// guard ends the code and the async function settles first
+const WATCHDOG_MARGIN = 1000;
+
+// Errors that point at the generated code rather than at the page under test
+const CODE_ERROR_NAMES = ['SyntaxError', 'ReferenceError', 'TypeError', 'UnsafeCodeError', 'AccessibilityScopeError'];
+const CODE_ERROR_MESSAGES = /strict mode violation|is not a valid selector|Unknown engine|Unexpected token|is not a function/i;
+
+class UnsafeCodeError extends Error {
+  constructor(violations) {
+    super(`Unsafe code: ${violations.join('; ')}`);
+    this.name = 'UnsafeCodeError';
+    this.violations = violations;
+  }
+}
+
+class TestTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Generated code did not finish within ${timeout}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+function walk(node, visit, parent = null, key = null) {
+  if (!node || typeof node.type !== 'string') {
+    return;
+  }
+  visit(node, parent, key);
+  for (const field of Object.keys(node)) {
+    if (['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments'].includes(field)) {
+      continue;
+    }
+    const value = node[field];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        walk(child, visit, node, field);
+      }
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit, node, field);
+    }
+  }
+}
+
+function collectBindings(ast) {
+  const bindings = new Set();
+  const addPattern = pattern => walk(pattern, (node, parent, key) => {
+    const isPropertyKey = parent && parent.type === 'ObjectProperty' && key === 'key' && !parent.shorthand;
+    if (node.type === 'Identifier' && !isPropertyKey) {
+      bindings.add(node.name);
+    }
+  });
+
+  walk(ast, node => {
+    if (node.type === 'VariableDeclarator') {
+      addPattern(node.id);
+    } else if (/Function|Method/.test(node.type)) {
+      if (node.id) {
+        bindings.add(node.id.name);
+      }
+      node.params.forEach(addPattern);
+    } else if (node.type === 'CatchClause' && node.param) {
+      addPattern(node.param);
+    }
+  });
+  return bindings;
+}
+
+function memberName(member) {
+  if (!member.computed && member.property.type === 'Identifier') {
+    return member.property.name;
+  }
+  if (member.property.type === 'StringLiteral' || member.property.type === 'NumericLiteral') {
+    return String(member.property.value);
+  }
+  return null;
+}
+
+function isCallee(parent, key) {
+  return Boolean(parent) && /^(CallExpression|OptionalCallExpression|NewExpression)$/.test(parent.type) && key === 'callee';
+}
+
+// Math.max(...), Object.keys(...), Number.MAX_SAFE_INTEGER or x instanceof Error
+function isNamespaceUse(parent, key) {
+  return isCallee(parent, key) ||
+    (/MemberExpression$/.test(parent.type) && key === 'object') ||
+    (parent.type === 'BinaryExpression' && parent.operator === 'instanceof' && key === 'right');
+}
+
+function isBuiltinMember(member, bindings) {
+  const object = member.object;
+  return object.type === 'Identifier' && !bindings.has(object.name) &&
+    (NAMESPACE_GLOBALS.has(object.name) || VALUE_NAMESPACES.has(object.name));
+}
+
+function validateTestCode(code) {
+  let ast;
+  try {
+    ast = parse(code, {
+      sourceType: 'script',
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true
+    });
+  } catch (error) {
+    throw new SyntaxError(`Generated code could not be parsed: ${error.message}`);
+  }
+
+  const bindings = collectBindings(ast);
+  const violations = [];
+  const reject = (node, message) => {
+    const line = node.loc ? ` (line ${node.loc.start.line})` : '';
+    violations.push(`${message}${line}`);
+  };
+
+  walk(ast, (node, parent, key) => {
+    if (FORBIDDEN_NODES[node.type]) {
+      reject(node, `${FORBIDDEN_NODES[node.type]} is not allowed`);
+      return;
+    }
+
+    switch (node.type) {
+      case 'Identifier': {
+        const isMemberProperty = parent && /MemberExpression$/.test(parent.type) && key === 'property' && !parent.computed;
+        const isPropertyKey = parent && /^(ObjectProperty|ObjectMethod|ClassMethod|ClassProperty)$/.test(parent.type) &&
+          key === 'key' && !parent.computed;
+        const isLabel = parent && /Statement$/.test(parent.type) && key === 'label';
+
+        if (node.name === GUARD) {
+          reject(node, `'${node.name}' is reserved`);
+        } else if (isMemberProperty || isPropertyKey) {
+          if (isForbiddenProperty(node.name)) {
+            reject(node, `access to '${node.name}' is not allowed`);
+          }
+        } else if (isLabel || bindings.has(node.name)) {
+          break;
+        } else if (!ALLOWED_GLOBALS.has(node.name)) {
+          reject(node, `'${node.name}' is not available in generated tests`);
+        } else if (NAMESPACE_GLOBALS.has(node.name) && !isNamespaceUse(parent, key)) {
+          reject(node, `'${node.name}' can only be used to call or read its members`);
+        }
+        break;
+      }
+      case 'StringLiteral':
+      case 'TemplateElement': {
+        const value = node.type === 'StringLiteral' ? node.value : node.value.cooked;
+        if (typeof value === 'string' && FORBIDDEN_PROPERTIES.has(value)) {
+          reject(node, `string '${value}' is not allowed`);
+        }
+        break;
+      }
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        if (node.computed && !['StringLiteral', 'NumericLiteral'].includes(node.property.type)) {
+          reject(node, 'computed property access is only allowed with literal keys');
+        } else if (isBuiltinMember(node, bindings) && !isCallee(parent, key) && !/^[A-Z][A-Z0-9_]*$/.test(memberName(node))) {
+          reject(node, `'${node.object.name}.${memberName(node)}' can only be called, not used as a value`);
+        } else if (node.computed && isForbiddenProperty(memberName(node))) {
+          reject(node, `access to '${memberName(node)}' is not allowed`);
+        }
+        break;
+      case 'CallExpression':
+      case 'OptionalCallExpression': {
+        const callee = node.callee;
+        if (/MemberExpression$/.test(callee.type)) {
+          const name = memberName(callee);
+          if (name !== null && !/^\d+$/.test(name) && !ALLOWED_METHODS.has(name)) {
+            reject(node, `'${name}()' is not an allowed Playwright or helper API`);
+          }
+        } else if (callee.type === 'Identifier') {
+          if (!bindings.has(callee.name) && !CALLABLE_GLOBALS.has(callee.name)) {
+            reject(node, `'${callee.name}()' can not be called directly`);
+          }
+        } else if (!/FunctionExpression$/.test(callee.type)) {
+          reject(node, 'only declared functions and allowed methods can be called');
+        }
+        break;
+      }
+      case 'NewExpression':
+        if (node.callee.type !== 'Identifier' || !ALLOWED_CONSTRUCTORS.has(node.callee.name)) {
+          reject(node, `'new ${node.callee.name || '...'}' is not allowed`);
+        }
+        break;
+    }
+  });
+
+  if (violations.length > 0) {
+    throw new UnsafeCodeError(violations);
+  }
+  return ast;
+}
+
+// Adds a GUARD() call to every loop body and function of validated code
+function guardCode(code, ast) {
+  const inserts = [];
+  const insert = (at, text, closing = false) =>
+    inserts.push({ at, closing, index: inserts.length, text: closing ? `${GUARD_START}${text}` : `${GUARD_START}${text}${GUARD_END}` });
+
+  walk(ast, node => {
+    const isLoop = /^(For|ForIn|ForOf|While|DoWhile)Statement$/.test(node.type);
+    if (!isLoop && !/Function|Method/.test(node.type)) {
+      return;
+    }
+    const body = node.body;
+    if (body.type === 'BlockStatement') {
+      insert(body.start + 1, `${GUARD}();`);
+    } else if (isLoop) {
+      insert(body.start, `{${GUARD}();`);
+      insert(body.end, '}', true);
+    } else {
+      // An arrow function's expression body; inside any parentheses around it
+      insert(body.start, `(${GUARD}(), `);
+      insert(body.end, ')', true);
+    }
+  });
+
+  // Nodes are visited outer first. Where inserts share an offset, the
+  // inner node's closing text comes first and its opening text last.
+  inserts.sort((a, b) => a.at - b.at || b.closing - a.closing || (a.closing ? b.index - a.index : a.index - b.index));
+  let guarded = '';
+  let from = 0;
+  for (const { at, text } of inserts) {
+    guarded += code.slice(from, at) + text;
+    from = at;
+  }
+  return guarded + code.slice(from);
+}
+
+function isCodeError(error) {
+  return Boolean(error) && (CODE_ERROR_NAMES.includes(error.name) || CODE_ERROR_MESSAGES.test(error.message || ''));
+}
+
+function isObject(value) {
+  return (typeof value === 'object' && value !== null) || typeof value === 'function';
+}
+
+// Host objects reach the context only as proxies that hide their prototypes,
+// constructors and internals, so no path leads back to the host's Function.
+// Host methods outside ALLOWED_METHODS read as undefined, so they cannot be
+// handed to a builtin that calls them, as in forEach(page.screenshot, page).
+// Values the code hands to the host are unwrapped, and its callbacks wrapped
+// so that they in turn only see proxies. Past `deadline` or after revoke()
+// every proxy throws, which also ends loops the timer cannot interrupt.
+function createMembrane(context, {
+  deadline = null,
+  onExpired = () => new Error('The generated test was stopped'),
+  sourceOf = fn => Function.prototype.toString.call(fn)
+} = {}) {
+  const proxies = new WeakMap();
+  const targets = new WeakMap();
+  const wrappers = new WeakMap();
+  const callbacks = new WeakMap();
+  // Resolve and reject functions of promises adopted from the context keep
+  // working after expiry so that the run still settles
+  const settlers = new WeakSet();
+  const objectPrototype = vm.runInContext('Object.prototype', context);
+  // Proxy targets come from the context, so even what the proxy invariants
+  // force us to report (a function's prototype) belongs to the context
+  const makeShadow = vm.runInContext('(kind) => kind === "function" ? function () {} : kind === "array" ? [] : {}', context);
+  let revoked = false;
+
+  const isPinned = (shadow, key) => {
+    const descriptor = Reflect.getOwnPropertyDescriptor(shadow, key);
+    return Boolean(descriptor) && !descriptor.configurable;
+  };
+  const isHidden = key => typeof key === 'string' && isForbiddenProperty(key);
+  const isBlockedMethod = (key, value) => typeof value === 'function' && typeof key === 'string' && !ALLOWED_METHODS.has(key);
+
+  const toSandbox = value => {
+    if (!isObject(value)) {
+      return value;
+    }
+    if (callbacks.has(value)) {
+      return callbacks.get(value);
+    }
+    if (!proxies.has(value)) {
+      const kind = typeof value === 'function' ? 'function' : Array.isArray(value) ? 'array' : 'object';
+      const proxy = new Proxy(makeShadow(kind), handler(value));
+      proxies.set(value, proxy);
+      targets.set(proxy, value);
+    }
+    return proxies.get(value);
+  };
+
+  const toHost = (value, copies = new Map()) => {
+    if (!isObject(value)) {
+      return value;
+    }
+    if (targets.has(value)) {
+      return targets.get(value);
+    }
+    if (copies.has(value)) {
+      return copies.get(value);
+    }
+    if (typeof value === 'function') {
+      return hostFunction(value);
+    }
+    const then = value.then;
+    if (typeof then === 'function') {
+      return new Promise((resolve, reject) => {
+        settlers.add(resolve);
+        settlers.add(reject);
+        Reflect.apply(then, value, [toSandbox(resolve), toSandbox(reject)]);
+      });
+    }
+    // Plain objects and arrays are copied, e.g. options holding a locator
+    if (Array.isArray(value) || [null, objectPrototype].includes(Object.getPrototypeOf(value))) {
+      const copy = Array.isArray(value) ? [] : {};
+      copies.set(value, copy);
+      for (const key of Object.keys(value)) {
+        copy[key] = toHost(value[key], copies);
+      }
+      return copy;
+    }
+    return value;
+  };
+
+  const hostFunction = fn => {
+    if (!wrappers.has(fn)) {
+      const source = sourceOf(fn);
+      const wrapper = (...args) => {
+        try {
+          return toHost(Reflect.apply(fn, undefined, args.map(arg => toSandbox(arg))));
+        } catch (error) {
+          throw toHost(error);
+        }
+      };
+      // Playwright sends String(fn) to the browser for page.evaluate() and the like
+      wrapper.toString = () => source;
+      wrappers.set(fn, wrapper);
+      callbacks.set(wrapper, fn);
+    }
+    return wrappers.get(fn);
+  };
+
+  const call = (action, target = null) => {
+    if (!settlers.has(target) && (revoked || (deadline !== null && Date.now() > deadline))) {
+      throw toSandbox(onExpired());
+    }
+    try {
+      return toSandbox(action());
+    } catch (error) {
+      throw toSandbox(error);
+    }
+  };
+
+  const handler = target => ({
+    get: (shadow, key) => (isHidden(key) ? undefined : call(() => {
+      const value = Reflect.get(target, key);
+      return isBlockedMethod(key, value) ? undefined : value;
+    })),
+    has: (shadow, key) => isPinned(shadow, key) || (!isHidden(key) && Reflect.has(target, key)),
+    ownKeys: shadow => [...new Set([
+      ...Reflect.ownKeys(target).filter(key => !isHidden(key)),
+      ...Reflect.ownKeys(shadow).filter(key => isPinned(shadow, key))
+    ])],
+    getOwnPropertyDescriptor: (shadow, key) => {
+      if (isPinned(shadow, key)) {
+        return Reflect.getOwnPropertyDescriptor(shadow, key);
+      }
+      const descriptor = isHidden(key) ? undefined : Reflect.getOwnPropertyDescriptor(target, key);
+      if (!descriptor || isBlockedMethod(key, descriptor.value)) {
+        return undefined;
+      }
+      return Object.fromEntries(Object.entries({ ...descriptor, configurable: true })
+        .map(([field, value]) => [field, toSandbox(value)]));
+    },
+    getPrototypeOf: () => null,
+    setPrototypeOf: () => false,
+    isExtensible: shadow => Reflect.isExtensible(shadow),
+    preventExtensions: () => false,
+    defineProperty: () => false,
+    set: () => false,
+    deleteProperty: () => false,
+    apply: (shadow, thisArg, args) => call(() => Reflect.apply(target, toHost(thisArg), args.map(arg => toHost(arg))), target),
+    construct: (shadow, args) => call(() => Reflect.construct(target, args.map(arg => toHost(arg))))
+  });
+
+  return { toSandbox, toHost, revoke: () => { revoked = true; } };
+}
+
+// Validates the code, then runs it in a fresh V8 context that only sees the
+// given globals through a membrane. Code generation from strings (eval,
+// new Function) is disabled inside the context. `timeout` covers the whole
+// run, including what the code awaits.
+async function runTestCode(code, globals, { timeout } = {}) {
+  const ast = validateTestCode(code);
+
+  const context = vm.createContext({}, {
+    codeGeneration: { strings: false, wasm: false }
+  });
+  const deadline = timeout ? Date.now() + timeout : null;
+  const membrane = createMembrane(context, {
+    deadline,
+    onExpired: () => new TestTimeoutError(timeout),
+    sourceOf: fn => Function.prototype.toString.call(fn).replace(GUARD_INSERTS, '')
+  });
+  const hostGlobals = {
+    ...globals,
+    URL,
+    URLSearchParams,
+    console: {
+      log: (...args) => logger.log(...args),
+      info: (...args) => logger.log(...args),
+      warn: (...args) => logger.warn(...args),
+      error: (...args) => logger.error(...args)
+    }
+  };
+  for (const [name, value] of Object.entries(hostGlobals)) {
+    context[name] = membrane.toSandbox(value);
+  }
+
+  // The guard checks the clock inside the context and only calls out to
+  // the host, which throws the timeout error, once the deadline has passed
+  context[GUARD] = vm.runInContext('(now, deadline, expire) => () => { if (deadline !== null && now() > deadline) { expire(); } }', context)(
+    vm.runInContext('Date.now', context),
+    deadline,
+    membrane.toSandbox(() => { throw new TestTimeoutError(timeout); })
+  );
+
+  const script = new vm.Script(`(async () => {\n${guardCode(code, ast)}\n})()`, { filename: 'generated-test.js' });
+  let timer = null;
+  const expired = new Promise((resolve, reject) => {
+    if (timeout) {
+      timer = setTimeout(() => {
+        membrane.revoke();
+        reject(new TestTimeoutError(timeout));
+      }, timeout);
+    }
+  });
+
+  try {
+    const result = script.runInContext(context, { timeout: timeout ? timeout + WATCHDOG_MARGIN : undefined });
+    await Promise.race([membrane.toHost(result), expired]);
+  } catch (error) {
+    // Code that never calls the guard, such as a slow regular expression
+    throw error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? new TestTimeoutError(timeout) : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { validateTestCode, createMembrane, runTestCode, isCodeError, UnsafeCodeError, TestTimeoutError };
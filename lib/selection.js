@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { formatParams } = require('./params');
+
+const RESOLVED_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte', '.astro'];
+
+// `import x from '...'`, `export * from '...'`, `import '...'`, `import('...')`
+// and `require('...')`, in scripts as well as in .vue, .svelte and .astro files
+const IMPORT_PATTERN = /(?:\bfrom\s*|\bimport\s*\(\s*|\brequire\s*\(\s*|^\s*import\s*)(['"])([^'"\n]+)\1/gm;
+
+// "2/4" runs the second of four shards
+function parseShard(value) {
+  if (!value) {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  const index = match ? Number(match[1]) : 0;
+  const total = match ? Number(match[2]) : 0;
+  if (!match || total < 1 || index < 1 || index > total) {
+    throw new Error(`Invalid shard '${value}', expected i/n with 1 <= i <= n, e.g. 1/4`);
+  }
+  return { index, total };
+}
+
+function parseTags(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(tag => tag.trim().replace(/^@/, ''))
+    .filter(Boolean);
+}
+
+function compileGrep(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid --grep pattern: ${error.message}`);
+  }
+}
+
+// Keeps the expectations matching every filter. A --grep that matches the
+// route keeps all of the page's expectations.
+function filterExpectations(pages, { grep = null, tags = [] }) {
+  const grepPattern = grep ? compileGrep(grep) : null;
+
+  return pages
+    .map(page => {
+      const routeMatches = grepPattern && grepPattern.test(page.route);
+      const expectations = page.expectations.filter(expectation =>
+        (!grepPattern || routeMatches || grepPattern.test(expectation.text)) &&
+        (tags.length === 0 || (expectation.tags || []).some(tag => tags.includes(tag)))
+      );
+      return { ...page, expectations };
+    })
+    .filter(page => page.expectations.length > 0);
+}
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    const stderr = error.stderr ? String(error.stderr).trim().split('\n')[0] : error.message;
+    throw new Error(`git ${args.join(' ')} failed: ${stderr}`);
+  }
+}
+
+// Files changed since the merge base with `ref`, plus uncommitted and
+// untracked files, as absolute paths
+function changedFiles(projectRoot, ref) {
+  const output = [
+    git(['diff', '--name-only', '--relative', `${ref}...HEAD`], projectRoot),
+    git(['diff', '--name-only', '--relative', 'HEAD'], projectRoot),
+    git(['ls-files', '--others', '--exclude-standard'], projectRoot)
+  ].join('\n');
+
+  return new Set(output.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(file => path.resolve(projectRoot, file)));
+}
+
+// tsconfig.json allows comments and trailing commas
+function readJsonc(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8')
+    .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+    .replace(/,(\s*[}\]])/g, '$1');
+  return JSON.parse(content);
+}
+
+// `compilerOptions.paths` from tsconfig.json or jsconfig.json, following
+// relative `extends`, as [{ prefix, suffix, wildcard, targets }] with absolute targets
+function loadPathAliases(projectRoot) {
+  const aliases = [];
+  let configPath = ['tsconfig.json', 'jsconfig.json']
+    .map(name => path.join(projectRoot, name))
+    .find(file => fs.existsSync(file));
+  const seen = new Set();
+
+  while (configPath && !seen.has(configPath) && fs.existsSync(configPath)) {
+    seen.add(configPath);
+    let config;
+    try {
+      config = readJsonc(configPath);
+    } catch (error) {
+      break;
+    }
+
+    const options = config.compilerOptions || {};
+    const baseDir = path.resolve(path.dirname(configPath), options.baseUrl || '.');
+    for (const [pattern, targets] of Object.entries(options.paths || {})) {
+      const [prefix, suffix = ''] = pattern.split('*');
+      if (!aliases.some(alias => alias.prefix === prefix && alias.suffix === suffix)) {
+        aliases.push({ prefix, suffix, wildcard: pattern.includes('*'), targets: targets.map(target => path.resolve(baseDir, target)) });
+      }
+    }
+
+    configPath = typeof config.extends === 'string' && config.extends.startsWith('.') ?
+      path.resolve(path.dirname(configPath), config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`) :
+      null;
+  }
+
+  // Longest prefix first, so '@/components/*' wins over '@/*'
+  return aliases.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+function resolveFile(candidate) {
+  const options = [
+    candidate,
+    ...RESOLVED_EXTENSIONS.map(extension => `${candidate}${extension}`),
+    ...RESOLVED_EXTENSIONS.map(extension => path.join(candidate, `index${extension}`))
+  ];
+  return options.find(option => fs.existsSync(option) && fs.statSync(option).isFile()) || null;
+}
+
+function resolveImport(specifier, fromFile, aliases) {
+  if (specifier.startsWith('.')) {
+    return resolveFile(path.resolve(path.dirname(fromFile), specifier));
+  }
+
+  for (const alias of aliases) {
+    const matches = alias.wildcard ?
+      specifier.startsWith(alias.prefix) && specifier.endsWith(alias.suffix) && specifier.length >= alias.prefix.length + alias.suffix.length :
+      specifier === alias.prefix;
+    if (!matches) {
+      continue;
+    }
+    const wildcard = alias.wildcard ? specifier.slice(alias.prefix.length, specifier.length - alias.suffix.length) : '';
+    for (const target of alias.targets) {
+      const resolved = resolveFile(target.replace('*', wildcard));
+      if (resolved) {
+        return resolved;
+      }
+    }
+  }
+
+  // Packages in node_modules are not part of the project
+  return null;
+}
+
+function directImports(file, aliases) {
+  let content = '';
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    // Deleted or unreadable files import nothing
+  }
+  return [...content.matchAll(IMPORT_PATTERN)]
+    .map(match => resolveImport(match[2], file, aliases))
+    .filter(resolved => resolved && !resolved.includes(`${path.sep}node_modules${path.sep}`));
+}
+
+// Project files imported by `file`, directly or through other project files
+function collectImports(file, aliases, graph) {
+  const imported = new Set();
+  const pending = [file];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (!graph.has(current)) {
+      graph.set(current, directImports(current, aliases));
+    }
+
+    for (const dependency of graph.get(current)) {
+      if (dependency !== file && !imported.has(dependency)) {
+        imported.add(dependency);
+        pending.push(dependency);
+      }
+    }
+  }
+
+  return imported;
+}
+
+// Pages whose file, spec file items or (with `importers`) imported project
+// files are among the changed files
+function filterChangedPages(pages, { projectRoot, ref, importers = false }) {
+  const changed = changedFiles(projectRoot, ref);
+  const aliases = importers ? loadPathAliases(projectRoot) : [];
+  const graph = new Map();
+  const importsCache = new Map();
+
+  return pages.filter(page => {
+    if (changed.has(page.filePath) || page.expectations.some(expectation => changed.has(expectation.sourceFile))) {
+      return true;
+    }
+    if (!importers || !page.filePath) {
+      return false;
+    }
+    if (!importsCache.has(page.filePath)) {
+      importsCache.set(page.filePath, collectImports(page.filePath, aliases, graph));
+    }
+    return [...importsCache.get(page.filePath)].some(file => changed.has(file));
+  });
+}
+
+// Pages are ordered by file and parameter set rather than by route, since
+// routes of dynamic pages depend on LLM output; every shard sees the same order
+function selectShard(pages, { index, total }, projectRoot) {
+  const key = page => [
+    path.relative(projectRoot, page.filePath || '').replace(/\\/g, '/'),
+    page.params ? formatParams(page.params) : '',
+    page.route
+  ].join('\u0000');
+
+  return [...pages]
+    .sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0))
+    .filter((page, position) => position % total === index - 1);
+}
+
+module.exports = {
+  parseShard,
+  parseTags,
+  filterExpectations,
+  filterChangedPages,
+  selectShard
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const { parseDocument, LineCounter, isMap, isSeq, isScalar } = require('yaml');
+
+const DEFAULT_SPEC_FILES = ['**/*.ensureui.{md,yml,yaml}'];
+const SPEC_FILE = /\.ensureui\.(md|ya?ml)$/;
+const SKIPPED_DIRS = ['node_modules'];
+
+class SpecError extends Error {
+  constructor(file, line, message) {
+    super(`${file}${line ? `:${line}` : ''}: ${message}`);
+    this.name = 'SpecError';
+  }
+}
+
+// A target is a route such as /checkout, a route glob such as /blog/** or a
+// full URL
+function targetKind(target) {
+  if (/^https?:\/\//i.test(target)) {
+    return 'url';
+  }
+  if (!target.startsWith('/')) {
+    return null;
+  }
+  return picomatch.scan(target).isGlob ? 'glob' : 'route';
+}
+
+// # /checkout
+//
+// - the cart total is shown
+// - the pay button stays disabled
+//   until the card form is valid
+//
+// Headings that are not targets and text outside list items are free-form
+// notes.
+function parseMarkdownSpec(content) {
+  const sections = [];
+  let section = null;
+  let item = null;
+  let fenced = false;
+
+  content.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
+    const lineNumber = index + 1;
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      fenced = !fenced;
+      item = null;
+      return;
+    }
+    if (fenced) {
+      return;
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const target = heading[1].replace(/^`(.*)`$/, '$1').trim();
+      section = targetKind(target) ? { target, line: lineNumber, items: [] } : null;
+      if (section) {
+        sections.push(section);
+      }
+      item = null;
+      return;
+    }
+
+    const listItem = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*\S)\s*$/);
+    if (listItem && section) {
+      const column = line.indexOf(listItem[1], line.search(/[-*+\d]/) + 1) + 1;
+      item = {
+        text: listItem[1],
+        start: { line: lineNumber, column },
+        end: { line: lineNumber, column: column + listItem[1].length }
+      };
+      section.items.push(item);
+      return;
+    }
+
+    // Indented lines continue the item above
+    if (item && /^\s+\S/.test(line)) {
+      item.text += ` ${line.trim()}`;
+      item.end = { line: lineNumber, column: line.trimEnd().length + 1 };
+      return;
+    }
+    item = null;
+  });
+
+  return sections;
+}
+
+// - route: /checkout
+//   expectations:
+//     - the cart total is shown
+function parseYamlSpec(content, file) {
+  const lineCounter = new LineCounter();
+  const document = parseDocument(content, { lineCounter });
+  const position = offset => {
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  };
+
+  if (document.errors.length > 0) {
+    const error = document.errors[0];
+    throw new SpecError(file, error.linePos && error.linePos[0].line, error.message.split('\n')[0]);
+  }
+
+  const root = document.contents;
+  const entries = isSeq(root) ? root.items : root ? [root] : [];
+
+  return entries.map(entry => {
+    const line = entry.range ? position(entry.range[0]).line : null;
+    if (!isMap(entry)) {
+      throw new SpecError(file, line, 'expected an entry with route and expectations');
+    }
+
+    const unknown = entry.items.map(pair => String(pair.key)).filter(key => !['route', 'expectations'].includes(key));
+    if (unknown.length > 0) {
+      throw new SpecError(file, line, `unknown key '${unknown[0]}' (allowed: route, expectations)`);
+    }
+
+    const target = entry.get('route');
+    if (typeof target !== 'string' || !targetKind(target)) {
+      throw new SpecError(file, line, 'route must be a path such as /checkout, a glob such as /blog/** or a full URL');
+    }
+
+    const list = entry.get('expectations', true);
+    if (!isSeq(list) || list.items.length === 0 || !list.items.every(node => isScalar(node) && typeof node.value === 'string')) {
+      throw new SpecError(file, line, 'expectations must be a list of strings');
+    }
+
+    return {
+      target,
+      line,
+      items: list.items.map(node => ({
+        text: node.value.replace(/\s+/g, ' ').trim(),
+        start: position(node.range[0]),
+        end: position(node.range[1])
+      }))
+    };
+  });
+}
+
+// Returns [{ target, kind, line, items: [{ text, start, end }] }]
+function parseSpecFile(filePath, projectRoot) {
+  const file = path.relative(projectRoot, filePath).replace(/\\/g, '/');
+  const content = fs.readFileSync(filePath, 'utf8');
+  const sections = filePath.endsWith('.md') ? parseMarkdownSpec(content) : parseYamlSpec(content, file);
+  return sections.map(section => ({ ...section, kind: targetKind(section.target) }));
+}
+
+// Spec files anywhere in the project matching the `specFiles` globs, outside
+// node_modules and hidden directories
+function findSpecFiles(projectRoot, { patterns = DEFAULT_SPEC_FILES, excludes = () => false } = {}) {
+  const matches = picomatch(patterns, { dot: true });
+  const files = [];
+
+  const walk = dir => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(projectRoot, fullPath).replace(/\\/g, '/');
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_DIRS.includes(entry.name) && !excludes(`${relativePath}/`)) {
+          walk(fullPath);
+        }
+      } else if (matches(relativePath) && !excludes(relativePath)) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  walk(projectRoot);
+  return files.sort();
+}
+
+function isSpecFile(filePath) {
+  return SPEC_FILE.test(filePath);
+}
+
+module.exports = { SpecError, parseSpecFile, findSpecFiles, isSpecFile };
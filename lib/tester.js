@@ -1,52 +1,140 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { chromium } = require('playwright');
 const { expect } = require('@playwright/test');
+const { createProvider, generateText } = require('./providers');
+const { TestCache, CacheMissError, toCachedCode, fromCachedCode } = require('./cache');
+const { validateTestCode, runTestCode, isCodeError, UnsafeCodeError } = require('./sandbox');
+const { logger, withBufferedOutput, redact, redactValue } = require('./logger');
+const { createLimiter, runPool } = require('./pool');
+const { parseReporters, writeReports, writeShardResults } = require('./reporters');
+const { publishGitHubResults } = require('./reporters/github');
+const { stripAnsi } = require('./reporters/common');
+const { loadConfig, resolveRouteSettings, createPathFilter } = require('./config');
+const { BrowserPool, resolveProjects, projectMatches } = require('./browsers');
+const { parseDirectives, expectationControls } = require('./directives');
+const { resolveMocks, applyMocks, isMocked } = require('./mocks');
+const { AccessibilityError, checkAccessibility, formatFinding } = require('./accessibility');
+const { METRICS, observePerformance, readPerformance, formatMetrics, checkBudgets, formatOverBudget } = require('./performance');
+const { evaluatePolicies } = require('./policies');
+const picomatch = require('picomatch');
+const { findEnsureUIComments, SOURCE_FILE } = require('./comments');
+const { parseSpecFile, findSpecFiles, isSpecFile } = require('./specs');
+const { parseParamsExpectation, loadParamSets, formatParams } = require('./params');
+const { AuthProfiles } = require('./auth');
+const { parseVisualExpectation, visualPaths, compareWithBaseline } = require('./visual');
+const { resolveFramework, createRouter } = require('./frameworks');
+const { parseShard, parseTags, filterExpectations, filterChangedPages, selectShard } = require('./selection');
+const { parseRecordingModes, recordingKinds, recordingContextOptions, startRecording, finishRecording } = require('./recording');
+
+// Bump whenever a prompt changes so cached LLM output is regenerated.
+const PROMPT_VERSION = 2;
+
+function envFlag(name) {
+  return ['1', 'true', 'yes'].includes(String(process.env[name] || '').toLowerCase());
+}
 
-async function generateText(apiKey, prompt, systemPrompt, maxTokens = 500, temperature = 0.1) {
-  const response = await fetch('https://ensureui-be-production.up.railway.app/ensure', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: maxTokens,
-      temperature: temperature
-    })
-  });
+// The route, plus the parameter set it was expanded from
+function pageLabel(page) {
+  return page.params ? `${page.route} (${formatParams(page.params)})` : page.route;
+}
 
-  if (!response.ok) {
-    throw new Error(`EnsureUI API error: ${response.status} ${response.statusText}`);
-  }
+// Pages of URL specs for other sites have the URL as their route
+function isExternalRoute(route) {
+  return /^https?:\/\//i.test(route);
+}
 
-  const data = await response.json();
-  return data.choices[0].message.content.trim();
+// First value that is actually set: CLI option, then env var, then config file
+function pick(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
 }
 
 class EnsureUITester {
   constructor(options = {}) {
     this.projectRoot = options.projectRoot || process.env.PROJECT_ROOT || process.cwd();
-    this.deploymentUrl = options.deploymentUrl || process.env.DEPLOYMENT_URL;
-    this.timeout = parseInt(options.timeout || process.env.TIMEOUT || 15) * 1000;
-    this.apiKey = options.apiKey || process.env.ENSURE_API_KEY;
-    
-    if (!this.apiKey) {
-      throw new Error('ENSURE_API_KEY environment variable or apiKey option is required');
+
+    const { config, configPath } = loadConfig(this.projectRoot, pick(options.config, process.env.ENSURE_CONFIG));
+    const llmConfig = config.llm || {};
+    this.config = config;
+    this.configPath = configPath;
+
+    const environment = pick(options.environment, process.env.ENSURE_ENV, config.environment);
+    if (environment && !(config.environments || {})[environment]) {
+      throw new Error(`Unknown environment '${environment}'. Define it under "environments" in the EnsureUI config`);
     }
 
+    this.deploymentUrl = pick(options.deploymentUrl, process.env.DEPLOYMENT_URL,
+      environment && config.environments[environment], config.deploymentUrl);
+    this.timeout = parseInt(pick(options.timeout, process.env.TIMEOUT, config.timeout, 15)) * 1000;
+    this.viewport = config.viewport || { width: 1280, height: 720 };
+    this.waitUntil = config.waitUntil || 'networkidle';
+    const { adapter, detected } = resolveFramework(this.projectRoot, config.framework);
+    this.framework = adapter;
+    this.frameworkDetected = detected;
+    this.searchDirs = config.searchDirs || adapter.searchDirs;
+    this.pathFilter = createPathFilter(config);
+    this.grep = pick(options.grep, process.env.ENSURE_GREP);
+    this.tags = parseTags(pick(options.tag, process.env.ENSURE_TAGS));
+    this.changedSince = pick(options.changedSince, process.env.ENSURE_CHANGED_SINCE);
+    this.includeImporters = Boolean(options.includeImporters || envFlag('ENSURE_INCLUDE_IMPORTERS'));
+    this.shard = parseShard(pick(options.shard, process.env.ENSURE_SHARD));
+    const browsers = pick(options.browsers, process.env.ENSURE_BROWSERS);
+    const devices = pick(options.devices, process.env.ENSURE_DEVICES);
+    this.projects = resolveProjects({
+      // --browsers/--devices replace the config matrix rather than extend it
+      projects: browsers || devices ? null : config.projects,
+      browsers,
+      devices
+    });
+    this.visualDir = path.resolve(this.projectRoot, config.visualDir || '.ensureui/visual');
+    this.screenshotDir = config.screenshotDir ? path.resolve(this.projectRoot, config.screenshotDir) : null;
+    this.recording = parseRecordingModes({
+      trace: pick(options.trace, process.env.ENSURE_TRACE, config.trace),
+      video: pick(options.video, process.env.ENSURE_VIDEO, config.video),
+      har: pick(options.har, process.env.ENSURE_HAR, config.har)
+    });
+    this.apiKey = options.apiKey || process.env.ENSURE_API_KEY;
+    this.offline = Boolean(options.offline || envFlag('ENSURE_OFFLINE'));
+
+    this.cache = new TestCache({
+      dir: path.resolve(this.projectRoot, pick(options.cacheDir, process.env.ENSURE_CACHE_DIR, config.cacheDir, '.ensureui/cache')),
+      promptVersion: PROMPT_VERSION,
+      enabled: options.cache !== false && !envFlag('ENSURE_NO_CACHE'),
+      offline: this.offline
+    });
+
+    this.llm = createProvider({
+      provider: pick(options.provider, process.env.ENSURE_PROVIDER, llmConfig.provider),
+      baseUrl: pick(options.baseUrl, process.env.ENSURE_BASE_URL, llmConfig.baseUrl),
+      format: pick(options.llmFormat, process.env.ENSURE_LLM_FORMAT, llmConfig.format),
+      auth: pick(options.llmAuth, process.env.ENSURE_LLM_AUTH, llmConfig.auth),
+      headers: pick(options.llmHeaders, process.env.ENSURE_LLM_HEADERS, llmConfig.headers),
+      model: pick(options.model, process.env.ENSURE_MODEL, llmConfig.model),
+      apiKey: this.apiKey,
+      requireApiKey: !this.offline
+    });
+    this.splitModel = pick(options.splitModel, process.env.ENSURE_SPLIT_MODEL, llmConfig.splitModel, this.llm.model);
+    this.codeModel = pick(options.codeModel, process.env.ENSURE_CODE_MODEL, llmConfig.codeModel, this.llm.model);
+
+    this.auth = new AuthProfiles({
+      profiles: config.auth,
+      projectRoot: this.projectRoot,
+      deploymentUrl: this.deploymentUrl,
+      timeout: this.timeout,
+      generateLoginCode: (...args) => this.getLoginCode(...args)
+    });
+
+    this.repairAttempts = Math.max(0, parseInt(pick(options.repairAttempts, process.env.ENSURE_REPAIR_ATTEMPTS, config.repairAttempts, 0)));
+
+    this.workers = Math.max(1, parseInt(pick(options.workers, process.env.ENSURE_WORKERS, config.workers, 1)));
+    this.llmLimit = createLimiter(parseInt(pick(options.llmConcurrency, process.env.ENSURE_LLM_CONCURRENCY, config.llmConcurrency, 4)));
+
+    this.reporters = parseReporters(pick(options.reporter, process.env.ENSURE_REPORTER, config.reporter));
+    this.outputDir = path.resolve(this.projectRoot, pick(options.outputDir, process.env.ENSURE_OUTPUT_DIR, config.outputDir, 'ensureui-report'));
+
+    // Files whose pages could not be built, listed by `ensureui plan`
+    this.parameterErrors = [];
+
     this.results = {
       totalPages: 0,
       passedPages: 0,
@@ -57,164 +145,395 @@ class EnsureUITester {
 
   async findEnsureUIPages() {
     const pages = [];
-    const searchDirs = ['pages', 'app', 'src/pages', 'src/app'];
     const root = this.projectRoot;
+    this.parameterErrors = [];
+
+    if (this.configPath) {
+      logger.log(`Using config: ${this.configPath}`);
+    }
 
-    for (const dir of searchDirs) {
+    const router = await this.getRouter();
+    for (const { dir } of router.roots) {
       const fullDir = path.join(root, dir);
       if (fs.existsSync(fullDir)) {
-        console.log(`Scanning directory: ${fullDir}`);
+        logger.log(`Scanning directory: ${fullDir}`);
         await this.scanDirectory(fullDir, pages);
       }
     }
+
+    this.specs = await this.loadSpecs();
+    this.mergeSpecs(pages, this.specs);
+    return this.applyOnly(this.selectPages(pages));
+  }
+
+  // Narrows the suite with --grep, --tag, --changed-since and --shard
+  selectPages(pages) {
+    let selected = filterExpectations(pages, { grep: this.grep, tags: this.tags });
+    if (this.grep || this.tags.length > 0) {
+      const filters = [this.grep && `--grep ${this.grep}`, this.tags.length > 0 && `--tag ${this.tags.join(',')}`].filter(Boolean);
+      logger.log(`🔎 ${selected.length} of ${pages.length} pages match ${filters.join(' ')}`);
+    }
+
+    if (this.changedSince) {
+      const before = selected.length;
+      selected = filterChangedPages(selected, {
+        projectRoot: this.projectRoot,
+        ref: this.changedSince,
+        importers: this.includeImporters
+      });
+      logger.log(`🔀 ${selected.length} of ${before} pages changed since ${this.changedSince}` +
+        `${this.includeImporters ? ' (including pages importing changed files)' : ''}`);
+    }
+
+    if (this.shard) {
+      const before = selected.length;
+      selected = selectShard(selected, this.shard, this.projectRoot);
+      logger.log(`🧩 Shard ${this.shard.index}/${this.shard.total}: ${selected.length} of ${before} pages`);
+    }
+
+    return selected;
+  }
+
+  // Expectations from *.ensureui.md and *.ensureui.yml files, split like
+  // comments. Each entry targets a route, a route glob or a full URL.
+  async loadSpecs() {
+    const files = findSpecFiles(this.projectRoot, {
+      patterns: this.config.specFiles,
+      excludes: relativePath => this.pathFilter.excludes(relativePath)
+    });
+    const specs = [];
+
+    for (const file of files) {
+      const source = path.relative(this.projectRoot, file).replace(/\\/g, '/');
+      let sections;
+      try {
+        sections = parseSpecFile(file, this.projectRoot);
+      } catch (error) {
+        logger.error(`❌ Invalid spec file ${error.message}`);
+        continue;
+      }
+      logger.log(`Reading spec file: ${source}`);
+
+      for (const section of sections) {
+        const raw = section.items
+          .map(item => this.rawExpectation(item, source, { sourceFile: file }))
+          .filter(Boolean);
+        if (raw.length > 0) {
+          const [expectations] = await this.expandExpectations(raw, source);
+          specs.push({ ...section, file, source, rawExpectations: raw.map(item => item.text), expectations });
+        }
+      }
+    }
+
+    return specs;
+  }
+
+  // The route of a URL on the deployment, e.g. /pricing for
+  // https://myapp.com/pricing?plan=pro, or null for other sites
+  routeForUrl(url) {
+    if (!this.deploymentUrl) {
+      return null;
+    }
+    const base = new URL(this.deploymentUrl);
+    const target = new URL(url);
+    const basePath = base.pathname.replace(/\/$/, '');
+    if (target.origin !== base.origin || (basePath && target.pathname !== basePath && !target.pathname.startsWith(`${basePath}/`))) {
+      return null;
+    }
+    return target.pathname.slice(basePath.length).replace(/(.)\/$/, '$1') || '/';
+  }
+
+  // Adds spec expectations to the pages they target. Routes and URLs without
+  // a page file become pages of their own unless `create` is false; globs
+  // only extend pages that exist. URLs on the deployment get its route, so
+  // route settings apply; other sites keep the URL as their route.
+  mergeSpecs(pages, specs, { create = true } = {}) {
+    for (const spec of specs.filter(spec => spec.kind !== 'glob')) {
+      const url = spec.kind === 'url' ? spec.target : null;
+      const route = url ? this.routeForUrl(url) || url : spec.target.replace(/(.)\/$/, '$1');
+      // A URL without a query also extends the page file of its route
+      const sameRoute = !url || (route !== url && !/[?#]/.test(url));
+      let page = pages.find(page => (url && page.url === url) || (sameRoute && page.route === route));
+      if (page) {
+        this.addSpecToPage(page, spec);
+      } else if (create) {
+        page = {
+          filePath: spec.file,
+          route,
+          url: url || `${this.deploymentUrl}${route}`,
+          rawExpectations: '',
+          expectations: [],
+          auth: null
+        };
+        this.addSpecToPage(page, spec);
+        if (page.expectations.length > 0) {
+          pages.push(page);
+        }
+      }
+    }
+
+    const routePages = pages.filter(page => !isExternalRoute(page.route));
+    for (const spec of specs.filter(spec => spec.kind === 'glob')) {
+      const matching = routePages.filter(page => picomatch.isMatch(page.route, spec.target, { dot: true }));
+      if (matching.length === 0 && create) {
+        logger.warn(`Warning: ${spec.source}:${spec.line}: no page matches ${spec.target}`);
+      }
+      matching.forEach(page => this.addSpecToPage(page, spec));
+    }
+
     return pages;
   }
 
+  addSpecToPage(page, spec) {
+    const expectations = [...page.expectations, ...spec.expectations];
+    try {
+      page.auth = this.getPageOption(expectations, 'auth');
+    } catch (error) {
+      logger.error(`❌ ${spec.source}:${spec.line}: ${page.route}: ${error.message}`);
+      return;
+    }
+    page.expectations = expectations;
+    page.rawExpectations = [page.rawExpectations, ...spec.rawExpectations].filter(Boolean).join('\n');
+  }
+
+  getRouter() {
+    if (!this.routerPromise) {
+      this.routerPromise = createRouter({
+        projectRoot: this.projectRoot,
+        adapter: this.framework,
+        searchDirs: this.searchDirs,
+        config: this.config
+      }).then(router => {
+        const { label, describeSettings } = this.framework;
+        logger.log(`Framework: ${label}${this.frameworkDetected ? ' (detected from package.json)' : ''}`);
+        if (router.settings.configPath) {
+          const details = describeSettings ? describeSettings(router.settings) :
+            router.settings.basePath && `base path ${router.settings.basePath}`;
+          logger.log(`Using ${label} config: ${router.settings.configPath}${details ? ` (${details})` : ''}`);
+        }
+        return router;
+      });
+    }
+    return this.routerPromise;
+  }
+
+  // Like test.only: once any expectation is marked (only), nothing else runs
+  applyOnly(pages) {
+    if (!pages.some(page => page.expectations.some(expectation => expectation.only))) {
+      return pages;
+    }
+
+    const focused = pages
+      .map(page => ({ ...page, expectations: page.expectations.filter(expectation => expectation.only) }))
+      .filter(page => page.expectations.length > 0);
+    const count = focused.reduce((sum, page) => sum + page.expectations.length, 0);
+    logger.log(`🎯 Running only the ${count} expectations marked (only)`);
+    return focused;
+  }
+
 
   async scanDirectory(dirPath, pages) {
     const items = fs.readdirSync(dirPath);
 
     for (const item of items) {
       const fullPath = path.join(dirPath, item);
+      const relativePath = path.relative(this.projectRoot, fullPath).replace(/\\/g, '/');
       const stat = fs.statSync(fullPath);
 
       if (stat.isDirectory()) {
-        await this.scanDirectory(fullPath, pages);
-      } else if (this.isPageFile(item)) {
-        const [expectations, rawExpectations, urlParams] = await this.extractEnsureUIComments(fullPath);
-        if (expectations.length > 0) {
-          try {
-            const route = this.getRouteFromPath(fullPath, urlParams);
-            pages.push({
-              filePath: fullPath,
-              route: route,
-              url: `${this.deploymentUrl}${route}`,
-              rawExpectations: rawExpectations,
-              expectations: expectations
-            });
-          } catch (error) {
-            console.error(`❌ Parameter Error in ${fullPath}: ${error.message}`);
-            continue;
-          }
+        if (!this.pathFilter.excludes(relativePath) && !this.pathFilter.excludes(`${relativePath}/`)) {
+          await this.scanDirectory(fullPath, pages);
         }
+      } else if (this.isSourceFile(item) && this.pathFilter.includes(relativePath)) {
+        pages.push(...await this.buildPages(fullPath));
       }
     }
   }
 
-  async extractEnsureUIComments(filePath) {
-    try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const rawComments = [];
-      const lines = content.split('\n');
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        const singleLineMatch = line.match(/\/\/\s*ensureUI\s*(.+)/i);
-        if (singleLineMatch) {
-          const startLineNumber = i + 1;
-          let fullExpectation = singleLineMatch[1].replace(/^[\s:]+|[\s:]+$/g, '');
-          let currentLine = i + 1;
-
-          while (currentLine < lines.length) {
-            const nextLine = lines[currentLine].trim();
-            const continuationMatch = nextLine.match(/\/\/\s*(.+)/);
-            if (continuationMatch && !nextLine.match(/\/\/\s*ensureUI/i)) {
-              fullExpectation += ' ' + continuationMatch[1].trim();
-              currentLine++;
-            } else {
-              break;
-            }
-          }
+  // Returns the pages for a file with ensureUI comments: one, or one per
+  // parameter set declared with `// ensureUI: params: ...`
+  async buildPages(fullPath) {
+    const router = await this.getRouter();
+    const relativePath = path.relative(this.projectRoot, fullPath).replace(/\\/g, '/');
+    const target = router.resolve(relativePath);
+    if (!target) {
+      return [];
+    }
+    if (target.reason) {
+      if (/ensureUI/i.test(fs.readFileSync(fullPath, 'utf8'))) {
+        logger.warn(`Warning: ${relativePath} has ensureUI comments but is not a route: ${target.reason}`);
+      }
+      return [];
+    }
 
-          i = currentLine - 1;
+    const [expectations, rawExpectations, urlParams, paramSources] = await this.extractEnsureUIComments(fullPath);
+    if (expectations.length === 0) {
+      return [];
+    }
 
-          rawComments.push({
-            text: fullExpectation,
-            lineNumber: startLineNumber
-          });
+    const paramSets = [];
+    for (const { source, lineNumber } of paramSources) {
+      try {
+        const sets = loadParamSets(source, { pageFile: fullPath, projectRoot: this.projectRoot });
+        if (sets.length === 0) {
+          logger.error(`❌ ${relativePath}:${lineNumber}: Params '${source}' contain no parameter sets`);
+          this.parameterErrors.push({ file: relativePath, line: lineNumber, params: null, message: `Params '${source}' contain no parameter sets` });
         }
+        paramSets.push(...sets);
+      } catch (error) {
+        logger.error(`❌ ${relativePath}:${lineNumber}: Cannot read params '${source}': ${error.message}`);
+        this.parameterErrors.push({ file: relativePath, line: lineNumber, params: null, message: `Cannot read params '${source}': ${error.message}` });
       }
+    }
+    if (paramSources.length > 0 && paramSets.length === 0) {
+      return [];
+    }
 
-      const expectations = [];
-      let allUrlParams = {};
-      
-      for (const comment of rawComments) {
-        try {
-          const result = await this.splitExpectations(comment.text);
-          
-          allUrlParams = { ...allUrlParams, ...result.urlParams };
-          
-          for (const expectationText of result.expectations) {
-            expectations.push({
-              text: expectationText.trim(),
-              lineNumber: comment.lineNumber,
-              originalComment: comment.text
-            });
-          }
-        } catch (error) {
-          console.error(`Failed to split expectation: ${comment.text}`, error);
-          expectations.push({
-            text: comment.text,
-            lineNumber: comment.lineNumber,
-            originalComment: comment.text
-          });
+    const pages = [];
+    for (const params of paramSets.length > 0 ? paramSets : [null]) {
+      try {
+        const route = router.buildRoute(target, { ...urlParams, ...params }, { locale: this.getPageOption(expectations, 'locale') });
+        // Two sets can differ only in values the route does not use
+        if (pages.some(page => page.route === route)) {
+          continue;
         }
+        pages.push({
+          filePath: fullPath,
+          route: route,
+          url: `${this.deploymentUrl}${route}`,
+          params: params,
+          urlParams: urlParams,
+          rawExpectations: rawExpectations,
+          expectations: expectations,
+          auth: this.getPageOption(expectations, 'auth')
+        });
+      } catch (error) {
+        const label = params ? ` (${formatParams(params)})` : '';
+        logger.error(`❌ Parameter Error in ${fullPath}${label}: ${error.message}`);
+        this.parameterErrors.push({ file: relativePath, line: null, params, message: error.message });
+      }
+    }
+    return pages;
+  }
+
+  async extractEnsureUIComments(filePath) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const source = path.relative(this.projectRoot, filePath);
+      const { comments, parseError } = findEnsureUIComments(content, filePath);
+      if (parseError) {
+        logger.warn(`Warning: Could not parse ${source} (${parseError.message}); comments were found by a plain text scan`);
       }
 
-      return [expectations, rawComments.map(c => c.text).join('\n'), allUrlParams];
+      const rawComments = [];
+      const paramSources = [];
+      for (const comment of comments) {
+        const raw = this.rawExpectation(comment, source);
+        // Parameter sets configure the page; they are not tests
+        const params = raw && parseParamsExpectation(raw.text);
+        if (params) {
+          paramSources.push({ source: params.source, lineNumber: raw.meta.lineNumber });
+        } else if (raw) {
+          rawComments.push(raw);
+        }
+      }
+
+      const [expectations, allUrlParams] = await this.expandExpectations(rawComments, source);
+      return [expectations, rawComments.map(c => c.text).join('\n'), allUrlParams, paramSources];
     } catch (error) {
-      console.error(`Error reading file ${filePath}:`, error);
-      return [[], '', {}];
+      if (error instanceof CacheMissError) {
+        throw error;
+      }
+      logger.error(`Error reading file ${filePath}:`, error);
+      return [[], '', {}, []];
     }
   }
 
-  isPageFile(filename) {
-    const pagePatterns = [
-      /^page\.(js|jsx|ts|tsx)$/,
-      /^index\.(js|jsx|ts|tsx)$/,
-      /\.(js|jsx|ts|tsx)$/
-    ];
-    return pagePatterns.some(pattern => pattern.test(filename));
-  }
+  // Directives and position of one ensureUI comment or spec file item, or
+  // null when its directives are invalid
+  rawExpectation({ text: rawText, start, end, component = null }, source, extra = {}) {
+    const { text, targets, options } = parseDirectives(rawText);
+    let controls;
+    try {
+      controls = expectationControls(options);
+      resolveMocks(this.config.mocks, controls.mocks);
+    } catch (error) {
+      logger.error(`❌ ${source}:${start.line}: ${error.message}`);
+      return null;
+    }
 
-  getRouteFromPath(filePath, urlParams = {}) {
-    let route = filePath;
-    route = route.replace(/\\/g, '/');
+    return {
+      text,
+      meta: {
+        lineNumber: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        component,
+        targets,
+        options,
+        ...controls,
+        visual: parseVisualExpectation(text),
+        ...extra
+      }
+    };
+  }
 
-    if (this.projectRoot) {
-      const normalizedRoot = this.projectRoot.replace(/\\/g, '/');
-      const cleanRoot = normalizedRoot.replace(/\/$/, '');
-      route = route.replace(new RegExp(`^${cleanRoot.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`), '');
-    }
+  // Splits each raw expectation into individual tests with the LLM and
+  // collects the URL parameters mentioned along the way
+  async expandExpectations(rawComments, source) {
+    const expectations = [];
+    let allUrlParams = {};
+    // Visual checks compare screenshots and need no splitting
+    const splits = await Promise.all(rawComments.map(comment => comment.meta.visual ?
+      { expectations: [comment.text], urlParams: {} } :
+      this.splitExpectations(comment.text, source).catch(error => error)
+    ));
+
+    for (const [index, comment] of rawComments.entries()) {
+      try {
+        const result = splits[index];
+        if (result instanceof Error) {
+          throw result;
+        }
 
-    route = route.replace(/^\/+/, '');
-    route = route.replace(/^src\//, '');
-    route = route.replace(/^pages\//, '');
-    route = route.replace(/^app\//, '');
-    route = route.replace(/\([^)]+\)\//g, '');
-    route = route.replace(/\.(js|jsx|ts|tsx)$/, '');
-    route = route.replace(/\/page$/, '');
-    route = route.replace(/^page$/, '');
-    route = route.replace(/\/index$/, '');
-    route = route.replace(/^index$/, '');
+        allUrlParams = { ...allUrlParams, ...result.urlParams };
 
-    route = route.replace(/\[([^\]]+)\]/g, (match, param) => {
-      const cleanParam = param.startsWith('...') ? param.slice(3) : param;
-      
-      if (urlParams[cleanParam] !== undefined) {
-        return urlParams[cleanParam];
+        for (const expectationText of result.expectations) {
+          expectations.push({
+            text: expectationText.trim(),
+            ...comment.meta,
+            originalComment: comment.text
+          });
+        }
+      } catch (error) {
+        if (error instanceof CacheMissError) {
+          throw error;
+        }
+        logger.error(`Failed to split expectation: ${comment.text}`, error);
+        expectations.push({
+          text: comment.text,
+          ...comment.meta,
+          originalComment: comment.text
+        });
       }
-      
-      throw new Error(`Route parameter '[${param}]' required but not specified in test expectations. 
-Example: "// ensureUI: test page with ${cleanParam} 123"`);
-    });
+    }
+
+    return [expectations, allUrlParams];
+  }
 
-    if (!route.startsWith('/')) {
-      route = '/' + route;
+  // Options that apply to the whole page, e.g. `// ensureUI(auth=admin): ...`
+  // logs the page in and `(locale=fr)` opens its French version
+  getPageOption(expectations, name) {
+    const values = [...new Set(expectations.map(expectation => expectation.options[name]).filter(Boolean))];
+    if (values.length > 1) {
+      throw new Error(`Conflicting ${name} options ${values.join(', ')}; a page can only use one`);
     }
+    return values[0] || null;
+  }
 
-    return route === '/' ? '/' : route;
+  isSourceFile(filename) {
+    return SOURCE_FILE.test(filename) && !isSpecFile(filename);
   }
 
   shrinkHTML(html) {
@@ -253,7 +572,7 @@ CRITICAL: First categorize the expectation, then generate appropriate code:
 
 EXPECTATION CATEGORIES & CODE TEMPLATES:
 
-1. PAGE_LOAD (keywords: "loaded successfully", "responds", "accessible", "works", "loads")
+1. PAGE_LOAD (keywords: "loaded successfully", "responds", "works", "loads")
    Template: await expect(page).toHaveURL('${currentUrl}');
    - ONLY check URL or basic page state
    - DO NOT check specific content unless explicitly mentioned
@@ -279,6 +598,18 @@ EXPECTATION CATEGORIES & CODE TEMPLATES:
    Template: await expect(page.locator('selector')).toHaveCSS('property', 'value');
    - Check visual properties and styling
 
+6. ACCESSIBILITY (keywords: "accessible", "accessibility", "a11y", "WCAG", "screen reader", "contrast")
+   Template: await checkAccessibility();
+   - Runs an axe-core audit and fails on violations; do not add other assertions
+   - For a region (e.g. "the signup form is accessible"), pass a CSS selector for it from the HTML: await checkAccessibility({ include: 'form#signup' });
+   - Optionally leave out a part with exclude: await checkAccessibility({ include: 'main', exclude: '.ad-banner' });
+
+7. PERFORMANCE (keywords: "loads in", "seconds", "fast", "layout shift", "LCP", "CLS", "blocking", "requests", "page weight")
+   Template: await expect(metrics.load).toBeLessThan(2000);
+   - A 'metrics' variable holds what was measured while the page loaded; do not measure it yourself
+   - metrics format: {ttfb, fcp, domContentLoaded, load, lcp, tbt} in milliseconds, cls (layout shift score), requests (count), transferSize (bytes)
+   - "no layout shift" means: await expect(metrics.cls).toBeLessThan(0.1);
+
 RULES:
 - Match expectation to ONE category above
 - Use ONLY the code template for that category
@@ -298,7 +629,7 @@ Category: [Determine from keywords above]
 Generate minimal Playwright test code:`;
   }
 
-  async splitExpectations(commentText) {
+  async splitExpectations(commentText, source = '') {
     if (!commentText) {
       return {expectations: ['Page is loaded'], urlParams: {}};
     }
@@ -336,23 +667,31 @@ ${commentText}`;
     const systemPrompt = 'You are a test expectation analyzer. Split UI testing expectations into individual tests and extract URL parameters. Return only valid JSON object with expectations array and urlParams object.';
 
     try {
-      const result = await generateText(this.apiKey, prompt, systemPrompt, 300, 0.1);
-      const cleanResult = result.replace(/```json\n?/g, '').replace(/```/g, '').trim();
-      const parsed = JSON.parse(cleanResult);
-      
-      if (!parsed.expectations || !Array.isArray(parsed.expectations) || 
-          !parsed.expectations.every(exp => typeof exp === 'string') ||
-          typeof parsed.urlParams !== 'object' || parsed.urlParams === null) {
-        throw new Error('Invalid response format from LLM');
-      }
-      
-      return {
-        expectations: parsed.expectations,
-        urlParams: parsed.urlParams || {}
-      };
+      return await this.cache.resolve('split', { text: commentText, route: source, model: this.splitModel }, async () => {
+        const result = await this.llmLimit(() => generateText(this.llm, prompt, systemPrompt, {
+          model: this.splitModel,
+          maxTokens: 300,
+          temperature: 0.1
+        }));
+        const cleanResult = result.replace(/```json\n?/g, '').replace(/```/g, '').trim();
+        const parsed = JSON.parse(cleanResult);
+
+        if (!parsed.expectations || !Array.isArray(parsed.expectations) ||
+            !parsed.expectations.every(exp => typeof exp === 'string') ||
+            typeof parsed.urlParams !== 'object' || parsed.urlParams === null) {
+          throw new Error(`Invalid response format from LLM: ${result}`);
+        }
+
+        return {
+          expectations: parsed.expectations,
+          urlParams: parsed.urlParams || {}
+        };
+      });
     } catch (error) {
-      console.error('LLM expectation splitting failed:', error);
-      console.error('result', result);
+      if (error instanceof CacheMissError) {
+        throw error;
+      }
+      logger.error('LLM expectation splitting failed:', error);
       return {
         expectations: [commentText],
         urlParams: {}
@@ -376,7 +715,11 @@ When the user includes placeholders in their request, generate appropriate code
 The generated code should be functional and demonstrate the intended behavior while making the placeholder logic clear and easily modifiable.Use await expect() for assertions.`
 
     try {
-      const generatedCode = await generateText(this.apiKey, prompt, systemPrompt, 500, 0.1);
+      const generatedCode = await this.llmLimit(() => generateText(this.llm, prompt, systemPrompt, {
+        model: this.codeModel,
+        maxTokens: 500,
+        temperature: 0.1
+      }));
 
       return generatedCode
         .replace(/```(?:javascript|js)?\n?/g, '')
@@ -384,17 +727,59 @@ The generated code should be functional and demonstrate the intended behavior wh
         .trim();
 
     } catch (error) {
-      console.error('LLM API call failed:', error);
+      logger.error('LLM API call failed:', error);
       throw error;
     }
   }
 
-  async runPageTest(pageInfo) {
-    const browser = await chromium.launch();
-    const context = await browser.newContext({
-      viewport: { width: 1280, height: 720 }
+  async getTestCode(pageInfo, expectation, html, redirectChain) {
+    const cachedCode = await this.cache.resolve('code', { text: expectation, route: pageInfo.route, model: this.codeModel }, async () => {
+      const testCode = await this.generateTestCode(html, expectation, pageInfo.url, redirectChain);
+      return toCachedCode(testCode, this.deploymentUrl);
     });
-    const page = await context.newPage();
+
+    return fromCachedCode(cachedCode, this.deploymentUrl);
+  }
+
+  // Natural-language login flows are turned into code once and cached like
+  // any other test. The code only refers to `credentials.<name>`, so no
+  // secret is sent to the LLM or written to the cache.
+  async getLoginCode(profileName, login, credentialKeys, html) {
+    const cachedCode = await this.cache.resolve('code', { text: login.steps, route: `auth:${profileName}`, model: this.codeModel }, async () => {
+      const prompt = `Generate Playwright code that logs in to the application by following these steps:
+${login.steps}
+
+RULES:
+- The login page is already loaded
+- A 'credentials' object is available with these keys: ${credentialKeys.join(', ') || '(none)'}
+- Use credentials.<key> for every username, email, password or other secret; NEVER write their values
+- After submitting, wait until the login has completed, e.g. with page.waitForURL() or by waiting for an element that only shows when logged in
+- Output ONLY raw Playwright code, no explanations
+
+HTML:
+${this.shrinkHTML(html)}`;
+      const systemPrompt = 'You are a Playwright testing expert. Generate only raw executable Playwright code. No explanations, no markdown, no extra text. No require, import, or module syntax.';
+
+      const generatedCode = await this.llmLimit(() => generateText(this.llm, prompt, systemPrompt, {
+        model: this.codeModel,
+        maxTokens: 500,
+        temperature: 0.1
+      }));
+
+      return toCachedCode(generatedCode
+        .replace(/```(?:javascript|js)?\n?/g, '')
+        .replace(/```/g, '')
+        .trim(), this.deploymentUrl);
+    });
+
+    return fromCachedCode(cachedCode, this.deploymentUrl);
+  }
+
+  // Pass a shared browser pool to run in fresh contexts on it; without one the
+  // page gets its own browsers, as `test-page` does.
+  async runPageTest(pageInfo, sharedPool = null) {
+    const pool = sharedPool || new BrowserPool();
+    const matrix = this.projects.length > 1;
 
     const testResult = {
       ...pageInfo,
@@ -403,229 +788,841 @@ The generated code should be functional and demonstrate the intended behavior wh
         pageLoaded: false,
       },
       generatedTests: [],
+      // Results of the budgets and failOn policies, kept apart from the
+      // expectations: [{ name, type, project, passed, error, details }]
+      checks: [],
       consoleErrors: [],
+      pageErrors: [],
+      failedRequests: [],
+      redirectChain: [],
+      // Load metrics per project name, see lib/performance.js
+      metrics: {},
       error: null
     };
 
+    const errors = [];
+    let loadedProjects = 0;
+
+    try {
+      for (const project of this.projects) {
+        const expectations = pageInfo.expectations.filter(expectation => projectMatches(project, expectation.targets));
+
+        if (matrix) {
+          const details = [project.device, project.browser].filter(detail => detail && detail !== project.name);
+          logger.log(`\n🖥️  ${project.name}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+        }
+
+        try {
+          await this.runProjectTests(pageInfo, project, expectations, pool, testResult);
+          loadedProjects++;
+        } catch (error) {
+          errors.push(matrix ? `[${project.name}] ${error.message}` : error.message);
+          logger.error(`Error testing ${pageInfo.url}${matrix ? ` on ${project.name}` : ''}:`, error);
+        }
+      }
+    } finally {
+      if (!sharedPool) {
+        await pool.close();
+      }
+    }
+
+    testResult.basicChecks.pageLoaded = loadedProjects === this.projects.length;
+    testResult.error = errors.length > 0 ? errors.join('\n') : null;
+    testResult.passed = errors.length === 0 &&
+                       testResult.generatedTests.every(test => test.passed) &&
+                       testResult.checks.every(check => check.passed);
+
+    return testResult;
+  }
+
+  async runProjectTests(pageInfo, project, expectations, pool, testResult) {
+    const settings = this.getRouteSettings(pageInfo.route);
+    const browser = await pool.get(project.browser);
+    const context = await this.newPageContext(browser, pageInfo, project, settings);
+    const matrix = this.projects.length > 1;
     const redirectChain = [];
+    // What the `failOn` policies judge: problems of the page load, not those
+    // the expectations cause later by interacting with the page
+    const collected = { consoleErrors: [], pageErrors: [], failedRequests: [] };
+    let loading = true;
+    const collect = (key, item) => {
+      if (loading) {
+        collected[key].push(item);
+      }
+    };
+    const label = text => (matrix ? `[${project.name}] ${text}` : text);
+
+    // The first project's navigation is the one reported for the page
+    if (project === this.projects[0]) {
+      testResult.redirectChain = redirectChain;
+    }
 
     try {
+      const page = await context.newPage();
+      await applyMocks(page, this.getMocks(settings), this.projectRoot);
+      await page.addInitScript(observePerformance);
+
       page.on('console', msg => {
         if (msg.type() === 'error') {
-          testResult.consoleErrors.push(msg.text());
+          collect('consoleErrors', msg.text());
+          testResult.consoleErrors.push(label(msg.text()));
         }
       });
 
+      page.on('pageerror', error => {
+        collect('pageErrors', error.message);
+        testResult.pageErrors.push(label(error.message));
+      });
+
+      // Errors a mock answered or aborted with are the state under test
+      const failedRequest = (request, status, error) => {
+        if (isMocked(request)) {
+          return;
+        }
+        const entry = { method: request.method(), url: request.url(), status, error };
+        collect('failedRequests', entry);
+        testResult.failedRequests.push({ ...entry, project: project.name });
+      };
+
+      page.on('requestfailed', request => failedRequest(request, null,
+        request.failure() ? request.failure().errorText : 'failed'));
+
       page.on('response', response => {
         redirectChain.push({
           url: response.url(),
           status: response.status(),
           location: response.headers()['location'] || null
         });
+        // The page's own status is checked after navigation
+        const isDocument = response.request().isNavigationRequest() && response.frame() === page.mainFrame();
+        if (response.status() >= 400 && !isDocument) {
+          failedRequest(response.request(), response.status(), null);
+        }
       });
 
       const response = await page.goto(pageInfo.url, {
-        waitUntil: 'networkidle',
-        timeout: this.timeout
+        waitUntil: settings.waitUntil,
+        timeout: settings.timeout
       });
 
-      testResult.basicChecks.pageLoaded = response.status() === 200;
-
-      if (!testResult.basicChecks.pageLoaded) {
+      if (response.status() !== 200) {
         throw new Error(`Page failed to load: ${response.status()}`);
       }
 
+      const metrics = await this.collectMetrics(page);
+      testResult.metrics[project.name] = metrics;
+      loading = false;
+
       const htmlContent = await page.content();
+      const mockedContent = new Map();
 
-      for (let i = 0; i < pageInfo.expectations.length; i++) {
-        const expectation = pageInfo.expectations[i];
+      for (let i = 0; i < expectations.length; i++) {
+        const expectation = expectations[i];
         const testNum = i + 1;
 
-        console.log(' ');
-        console.log(`\n${testNum}. Testing: "${expectation.text}"`);
-        try {
-          const testCode = await this.generateTestCode(htmlContent, expectation.text, pageInfo.url, redirectChain);
-          console.log(`Code:\n${testCode}`);
-          const testPassed = await this.executeGeneratedTest(page, testCode, redirectChain, pageInfo);
-
-          testResult.generatedTests.push({
-            expectation: expectation.text,
-            lineNumber: expectation.lineNumber,
-            generatedCode: testCode,
-            passed: testPassed,
-            error: testPassed ? null : 'Assertion failed'
-          });
+        logger.log(' ');
+        logger.log(`\n${testNum}. Testing: "${expectation.text}"${expectation.component ? ` (${expectation.component})` : ''}`);
+        const html = expectation.mocks && expectation.mocks.length > 0 ?
+          await this.getMockedContent(page, settings, expectation, mockedContent) || htmlContent :
+          htmlContent;
+        testResult.generatedTests.push(await this.runExpectation(page, pageInfo, project, expectation, html, redirectChain, metrics));
+      }
 
-          if (testPassed) {
-            console.log(`✅ PASSED`);
-          } else {
-            console.log(`❌ FAILED - Assertion failed`);
-          }
+      if (Object.keys(settings.budgets).length > 0) {
+        testResult.checks.push(this.checkPerformanceBudgets(project, metrics, settings.budgets));
+      }
+      testResult.checks.push(...this.checkPolicies(project, settings.failOn, collected));
+    } finally {
+      await context.close();
+    }
+  }
 
-        } catch (error) {
-          console.log(`❌ FAILED - ${error.message}`);
-          testResult.generatedTests.push({
-            expectation: expectation.text,
-            lineNumber: expectation.lineNumber,
-            generatedCode: null,
-            passed: false,
-            error: error.message
-          });
+  async collectMetrics(page) {
+    try {
+      const metrics = await page.evaluate(readPerformance);
+      logger.log(`⏱️  ${formatMetrics(metrics)}`);
+      return metrics;
+    } catch (error) {
+      logger.error(`Warning: Failed to collect performance metrics: ${error.message}`);
+      return null;
+    }
+  }
+
+  // A page check for the project; checks come from the config, so they
+  // point at the config file
+  pageCheck(project, check) {
+    logger.log(' ');
+    logger.log(check.passed ? `✅ ${check.name}` : `❌ ${check.name} - ${check.error}`);
+    return {
+      ...check,
+      project: project.name,
+      browser: project.browser,
+      device: project.device,
+      sourceFile: this.configPath
+    };
+  }
+
+  // The `budgets` of the route
+  checkPerformanceBudgets(project, metrics, budgets) {
+    const overBudget = metrics ? checkBudgets(metrics, budgets) : [];
+    const error = !metrics ? 'Performance metrics could not be collected' :
+      overBudget.length > 0 ? `Over budget: ${overBudget.map(formatOverBudget).join(', ')}` : null;
+
+    return this.pageCheck(project, {
+      name: 'performance budget',
+      type: 'budget',
+      passed: !error,
+      error,
+      details: overBudget.map(formatOverBudget)
+    });
+  }
+
+  // The `failOn` policies of the route
+  checkPolicies(project, failOn, collected) {
+    return evaluatePolicies(failOn, collected).map(check => this.pageCheck(project, check));
+  }
+
+  // The page as it renders with the expectation's mocks, so the LLM writes
+  // code against e.g. the error state. Loaded once per set of mocks.
+  async getMockedContent(page, settings, expectation, cache) {
+    const key = expectation.mocks.join(' ');
+    logger.log(`🎭 Mocks: ${key}`);
+    if (!cache.has(key)) {
+      let mockedPage = null;
+      try {
+        mockedPage = await page.context().newPage();
+        await applyMocks(mockedPage, this.getMocks(settings, expectation), this.projectRoot);
+        await mockedPage.goto(page.url(), {
+          waitUntil: settings.waitUntil,
+          timeout: settings.timeout
+        });
+        cache.set(key, await mockedPage.content());
+      } catch (error) {
+        logger.error(`Warning: Failed to load the page with mocks ${key}: ${error.message}`);
+        cache.set(key, null);
+      } finally {
+        if (mockedPage) {
+          await mockedPage.close().catch(() => {});
         }
       }
+    }
+    return cache.get(key);
+  }
 
-      testResult.passed = testResult.basicChecks.pageLoaded &&
-                         testResult.generatedTests.every(test => test.passed);
+  // Runs one expectation and, when it fails, the repair loop: the same code
+  // is retried once to spot flaky passes, then the failure is sent back to
+  // the LLM for up to `repairAttempts` corrected versions. The outcome tells
+  // app failures apart from tests the LLM could not get right.
+  async runExpectation(page, pageInfo, project, expectation, htmlContent, redirectChain, metrics = null) {
+    const test = {
+      expectation: expectation.text,
+      lineNumber: expectation.lineNumber,
+      column: expectation.column,
+      component: expectation.component,
+      sourceFile: expectation.sourceFile || null,
+      tags: expectation.tags || [],
+      project: project.name,
+      browser: project.browser,
+      device: project.device,
+      generatedCode: null,
+      passed: false,
+      error: null,
+      failureType: null,
+      outcome: null,
+      screenshot: null,
+      recordings: null,
+      accessibility: null,
+      attempts: []
+    };
+
+    if (expectation.skip) {
+      logger.log(`⏭️  SKIPPED`);
+      return { ...test, passed: true, skipped: true, outcome: 'skipped' };
+    }
+
+    if (expectation.visual) {
+      return this.runVisualCheck(page, pageInfo, project, expectation, test);
+    }
+
+    const mocks = this.getMocks(this.getRouteSettings(pageInfo.route), expectation);
+    const attempt = async (type, code) => {
+      let execution;
+      try {
+        execution = await this.executeGeneratedTest(page, code, redirectChain, pageInfo, project, expectation.timeout, test.attempts.length + 1, mocks, metrics);
+      } catch (error) {
+        // Code that fails validation never runs
+        const unsafe = error instanceof UnsafeCodeError;
+        logger.log(unsafe ? `🚫 REJECTED - ${error.message}` : `❌ FAILED - ${error.message}`);
+        execution = { passed: false, error: error.message, screenshot: null, dom: null, codeError: true, failureType: unsafe ? 'unsafe-code' : 'error' };
+      }
+
+      const failureType = execution.passed ? null : execution.failureType || 'assertion';
+      test.attempts.push({
+        attempt: test.attempts.length + 1,
+        type,
+        code,
+        passed: execution.passed,
+        error: execution.error,
+        failureType,
+        recordings: execution.recordings || null
+      });
+      Object.assign(test, {
+        generatedCode: code,
+        passed: execution.passed,
+        error: execution.error,
+        failureType,
+        screenshot: execution.screenshot,
+        recordings: execution.recordings || null,
+        accessibility: execution.accessibility || null
+      });
+
+      if (execution.passed) {
+        logger.log(`✅ PASSED`);
+      } else if (failureType === 'assertion') {
+        logger.log(`❌ FAILED - Assertion failed`);
+      }
+      return execution;
+    };
 
+    let code;
+    try {
+      code = await this.getTestCode(pageInfo, expectation.text, htmlContent, redirectChain);
     } catch (error) {
-      testResult.error = error.message;
-      console.error(`Error testing ${pageInfo.url}:`, error);
+      logger.log(`❌ FAILED - ${error.message}`);
+      return { ...test, error: error.message, failureType: 'error', outcome: 'generation-failure' };
+    }
+
+    logger.log(`Code:\n${code}`);
+    let execution = await attempt('initial', code);
+    if (execution.passed) {
+      return { ...test, outcome: 'passed' };
+    }
+
+    if (this.repairAttempts === 0) {
+      return { ...test, outcome: execution.codeError ? 'generation-failure' : 'app-failure' };
+    }
+
+    if (!execution.codeError) {
+      logger.log(`🔁 Retrying the same code`);
+      execution = await attempt('retry', code);
+      if (execution.passed) {
+        logger.log(`⚠️  Flaky - failed once, passed on retry`);
+        return { ...test, outcome: 'flaky' };
+      }
+    }
+
+    if (this.offline) {
+      logger.log(`Skipping repair in offline mode`);
+      return { ...test, outcome: execution.codeError ? 'generation-failure' : 'app-failure' };
+    }
+
+    for (let repairNum = 1; repairNum <= this.repairAttempts; repairNum++) {
+      logger.log(`🛠️  Repair attempt ${repairNum}/${this.repairAttempts}`);
+
+      let repair;
+      try {
+        repair = await this.repairTestCode(pageInfo, expectation.text, code, execution);
+      } catch (error) {
+        logger.error(`Repair failed: ${error.message}`);
+        break;
+      }
+
+      if (repair.appFailure) {
+        logger.log(`❌ App failure - ${repair.appFailure}`);
+        return { ...test, outcome: 'app-failure', diagnosis: repair.appFailure };
+      }
+
+      code = repair.code;
+      logger.log(`Code:\n${code}`);
+      execution = await attempt('repair', code);
+      if (execution.passed) {
+        logger.log(`🩹 Repaired - the corrected code replaces the cached version`);
+        this.cache.put('code', { text: expectation.text, route: pageInfo.route, model: this.codeModel },
+          toCachedCode(code, this.deploymentUrl));
+        return { ...test, outcome: 'repaired' };
+      }
+    }
+
+    // The model kept blaming its own code but never got it to pass
+    return { ...test, outcome: 'generation-failure' };
+  }
+
+  // Captures the page under a stable name and diffs it against the approved
+  // baseline for the same route, project, viewport and expectation.
+  async runVisualCheck(page, pageInfo, project, expectation, test) {
+    const settings = this.getRouteSettings(pageInfo.route);
+    const visual = settings.visual || {};
+    let isolatedPage = null;
+
+    try {
+      const context = page.context();
+      isolatedPage = await context.newPage();
+      await this.resetSession(context, pageInfo, settings);
+      await applyMocks(isolatedPage, this.getMocks(settings, expectation), this.projectRoot);
+      await isolatedPage.goto(page.url(), {
+        waitUntil: settings.waitUntil,
+        timeout: settings.timeout
+      });
+
+      const paths = visualPaths(this.visualDir, {
+        route: pageInfo.route,
+        project: project.name,
+        viewport: isolatedPage.viewportSize() || settings.viewport,
+        name: expectation.visual.name
+      });
+      fs.mkdirSync(path.dirname(paths.current), { recursive: true });
+      await isolatedPage.screenshot({
+        path: paths.current,
+        fullPage: true,
+        animations: 'disabled',
+        caret: 'hide',
+        mask: (visual.mask || []).map(selector => isolatedPage.locator(selector))
+      });
+
+      const comparison = compareWithBaseline(paths, visual);
+      const diffWritten = fs.existsSync(paths.diff);
+      test.visual = {
+        baseline: paths.baseline,
+        current: paths.current,
+        diff: diffWritten ? paths.diff : null,
+        diffPixels: comparison.diffPixels,
+        diffRatio: comparison.diffRatio
+      };
+      test.screenshot = diffWritten ? paths.diff : paths.current;
+      test.passed = comparison.passed;
+
+      if (comparison.passed) {
+        logger.log(`✅ PASSED - Matches baseline ${paths.relative}`);
+        return { ...test, outcome: 'passed' };
+      }
+
+      if (comparison.missingBaseline) {
+        test.error = `No baseline for ${paths.relative}. Review ${paths.current} and run "ensureui approve" to accept it`;
+      } else if (comparison.sizeMismatch) {
+        test.error = `Screenshot size changed: ${comparison.sizeMismatch}`;
+      } else {
+        test.error = `${comparison.diffPixels} pixels (${(comparison.diffRatio * 100).toFixed(2)}%) differ from the baseline`;
+      }
+      logger.log(`❌ FAILED - ${test.error}`);
+      if (diffWritten) {
+        logger.log(`📸 Diff: ${paths.diff}`);
+      }
+      return { ...test, failureType: 'visual', outcome: comparison.missingBaseline ? 'missing-baseline' : 'visual-diff' };
+    } catch (error) {
+      logger.log(`❌ FAILED - ${error.message}`);
+      return { ...test, error: error.message, failureType: 'error', outcome: 'app-failure' };
     } finally {
-      await browser.close();
+      if (isolatedPage) {
+        await isolatedPage.close().catch(() => {});
+      }
     }
+  }
 
-    return testResult;
+  async repairTestCode(pageInfo, expectation, code, execution) {
+    const prompt = `A generated Playwright test failed. Decide whether the test code is wrong or the page really does not meet the expectation.
+
+User Expectation: "${expectation}"
+Page URL: ${pageInfo.url}
+
+Failed code:
+${code}
+
+Error:
+${redact(stripAnsi(execution.error))}
+
+DOM when the test failed:
+${redact(this.shrinkHTML(execution.dom || ''))}
+
+RULES:
+- If the DOM shows that the page does not meet the expectation, reply with exactly one line: APP_FAILURE: <short reason>
+- Otherwise reply with corrected test code only: raw Playwright code using page, expect, redirectChain, metrics and checkAccessibility, no explanations, no markdown
+- Prefer locators that appear in the DOM above`;
+    const systemPrompt = 'You are a Playwright testing expert fixing generated tests. Reply with APP_FAILURE: <reason> or with raw executable Playwright code only. No require, import, or module syntax.';
+
+    const response = await this.llmLimit(() => generateText(this.llm, prompt, systemPrompt, {
+      model: this.codeModel,
+      maxTokens: 500,
+      temperature: 0.1
+    }));
+    const cleaned = response
+      .replace(/```(?:javascript|js)?\n?/g, '')
+      .replace(/```/g, '')
+      .trim();
+
+    const verdict = cleaned.match(/^APP_FAILURE:\s*(.*)/i);
+    if (verdict) {
+      return { appFailure: verdict[1].trim() || 'the page does not meet the expectation' };
+    }
+    return { code: cleaned };
+  }
+
+  // A logged-in context for the page; `extraOptions` adds e.g. recording
+  async newPageContext(browser, pageInfo, project, settings, extraOptions = {}) {
+    const authState = await this.getAuthState(pageInfo, settings, browser);
+    const context = await browser.newContext({
+      ...this.getContextOptions(project, settings),
+      ...(authState ? { storageState: authState } : {}),
+      ...extraOptions
+    });
+    try {
+      await this.applyCookies(context, settings, authState);
+    } catch (error) {
+      await context.close();
+      throw error;
+    }
+    return context;
+  }
+
+  getContextOptions(project, settings) {
+    return {
+      ...project.contextOptions,
+      // Device descriptors bring their own viewport
+      viewport: project.device ? project.contextOptions.viewport : settings.viewport,
+      extraHTTPHeaders: settings.headers
+    };
+  }
+
+  // Pages of other sites only get the global settings
+  getRouteSettings(route) {
+    const config = isExternalRoute(route) ? { ...this.config, routes: {} } : this.config;
+    return resolveRouteSettings(config, route, {
+      timeout: this.timeout,
+      viewport: this.viewport,
+      waitUntil: this.waitUntil,
+      headers: this.config.headers || {},
+      cookies: this.config.cookies || [],
+      budgets: this.config.budgets || {},
+      failOn: this.config.failOn || {},
+      visual: this.config.visual || {},
+      mock: []
+    });
+  }
+
+  // The route's mocks, then the expectation's, which win where both match
+  getMocks(settings, expectation = null) {
+    return resolveMocks(this.config.mocks, [...settings.mock, ...((expectation && expectation.mocks) || [])]);
+  }
+
+  // The comment's profile wins over an `auth` set for the route in the config
+  async getAuthState(pageInfo, settings, browser) {
+    const profile = pageInfo.auth || settings.auth;
+    return profile ? this.auth.state(profile, browser) : null;
+  }
+
+  // Starts an expectation from a clean session, logged in again if the page needs it
+  async resetSession(context, pageInfo, settings) {
+    const authState = await this.getAuthState(pageInfo, settings, context.browser());
+    await context.clearCookies();
+    await this.applyCookies(context, settings, authState);
+  }
+
+  async applyCookies(context, settings, authState = null) {
+    // Session cookies from the auth profile go first so configured cookies can override them
+    const cookies = [...(authState ? authState.cookies : []), ...settings.cookies];
+    if (cookies.length === 0) {
+      return;
+    }
+    // Playwright needs either a url or a domain/path pair for each cookie
+    await context.addCookies(cookies.map(cookie =>
+      cookie.domain || cookie.url ? cookie : { ...cookie, url: this.deploymentUrl }
+    ));
+  }
+
+  getScreenshotDir() {
+    return this.screenshotDir ||
+      (process.env.GITHUB_WORKSPACE ? `${process.env.GITHUB_WORKSPACE}/screenshots` : 'screenshots');
   }
 
-  async takeScreenshot(page, route) {
-    const screenshotDir = process.env.GITHUB_WORKSPACE ? `${process.env.GITHUB_WORKSPACE}/screenshots` : 'screenshots';
-    const screenshotFilename = `${route.replace(/\//g, '_')}_${crypto.randomUUID().split('-')[0]}.png`;
-    const screenshotPath = `${screenshotDir}/${screenshotFilename}`;
-    
+  // A unique path without extension in the screenshots directory. The
+  // screenshot and recordings of one attempt share it.
+  artifactBase(route, project = null) {
+    const screenshotDir = this.getScreenshotDir();
+    const projectSuffix = project && this.projects.length > 1 ? `_${project.name.replace(/[^\w.-]+/g, '-')}` : '';
+
     if (!fs.existsSync(screenshotDir)) {
       fs.mkdirSync(screenshotDir, { recursive: true });
     }
+    return path.resolve(screenshotDir, `${route.replace(/\//g, '_')}${projectSuffix}_${crypto.randomUUID().split('-')[0]}`);
+  }
+
+  async takeScreenshot(page, route, project = null, base = null) {
+    const screenshotPath = `${base || this.artifactBase(route, project)}.png`;
 
     await page.screenshot({ path: screenshotPath, fullPage: true });
-    
-    // Log GitHub URL for the screenshot
-    if (process.env.GITHUB_REPOSITORY && process.env.GITHUB_RUN_ID) {
-      const branchName = process.env.GITHUB_REF_NAME || process.env.GITHUB_REF?.replace('refs/heads/', '') || 'main';
-      const screenshotBranch = `${branchName}-ensureui-${process.env.GITHUB_RUN_ID}`;
-      const githubUrl = `https://github.com/${process.env.GITHUB_REPOSITORY}/blob/${screenshotBranch}/screenshots/${screenshotFilename}`;
-      console.log(`📸 Screenshot: ${githubUrl}`);
-    } else {
-      // CLI mode - log absolute path
-      const absolutePath = path.resolve(screenshotPath);
-      console.log(`📸 Screenshot: ${absolutePath}`);
-    }
-    
+
+    // In GitHub Actions the screenshots directory is uploaded as an artifact
+    logger.log(`📸 Screenshot: ${screenshotPath}`);
+
     return screenshotPath;
   }
 
-  async executeGeneratedTest(page, testCode, redirectChain, pageInfo) {
+  // `checkAccessibility()` in generated code: audits the page with axe-core,
+  // logs every finding and fails on violations that are not baselined
+  async runAccessibilityCheck(page, pageInfo, options, findings) {
+    const audit = await checkAccessibility(page, pageInfo.route, this.config.accessibility, options || {});
+    findings.push(...audit.findings);
+
+    const baselined = audit.findings.filter(finding => finding.baselined).length;
+    logger.log(`♿ ${audit.findings.length} accessibility findings${baselined > 0 ? ` (${baselined} baselined)` : ''}`);
+    audit.findings.forEach(finding => logger.log(`   ${finding.baselined ? '[baselined] ' : ''}${formatFinding(finding)}`));
+
+    if (audit.failing.length > 0) {
+      throw new AccessibilityError(audit.failing);
+    }
+  }
+
+  // `attemptNumber` counts retries and repairs, for the recording modes
+  async executeGeneratedTest(page, testCode, redirectChain, pageInfo, project = null, timeout = null, attemptNumber = 1, mocks = [], metrics = null) {
+    // Rejected code never runs, so it is reported separately from assertion failures
+    validateTestCode(testCode);
+
+    const settings = this.getRouteSettings(pageInfo.route);
+    const kinds = recordingKinds(this.recording, attemptNumber);
+    const base = this.artifactBase(pageInfo.route, project);
+    let recordingContext = null;
     let isolatedPage = null;
-    
+    let accessibility = null;
+    let result;
+
     try {
-      const context = page.context();
-      isolatedPage = await context.newPage();
-      
-      await context.clearCookies();
+      if (kinds.length > 0) {
+        // Recordings cover a whole context, so a recorded attempt gets its own
+        recordingContext = await this.newPageContext(page.context().browser(), pageInfo, project, settings,
+          recordingContextOptions(kinds, base, this.getScreenshotDir()));
+        await startRecording(recordingContext, kinds);
+        isolatedPage = await recordingContext.newPage();
+      } else {
+        const context = page.context();
+        isolatedPage = await context.newPage();
+        await this.resetSession(context, pageInfo, settings);
+      }
+      await applyMocks(isolatedPage, mocks, this.projectRoot);
 
       const currentUrl = page.url();
       await isolatedPage.goto(currentUrl, {
-        waitUntil: 'networkidle',
-        timeout: this.timeout
+        waitUntil: settings.waitUntil,
+        timeout: settings.timeout
       });
       
-      const testFunction = new Function('page', 'expect', 'redirectChain', `
-        return (async () => {
-          ${testCode}
-          return true;
-        })();
-      `);
-      await testFunction(isolatedPage, expect, redirectChain);
-      await this.takeScreenshot(isolatedPage, pageInfo.route);
-      return true;
+      // A (timeout=N) directive also applies to locator actions and assertions
+      if (timeout) {
+        isolatedPage.setDefaultTimeout(timeout);
+      }
+      await runTestCode(testCode, {
+        page: isolatedPage,
+        expect: timeout ? expect.configure({ timeout }) : expect,
+        redirectChain,
+        // All null when they could not be collected
+        metrics: metrics || Object.fromEntries(METRICS.map(name => [name, null])),
+        checkAccessibility: async options => {
+          accessibility = accessibility || [];
+          await this.runAccessibilityCheck(isolatedPage, pageInfo, options, accessibility);
+        }
+      }, { timeout: timeout || settings.timeout });
+      const screenshot = await this.takeScreenshot(isolatedPage, pageInfo.route, project, base);
+      result = { passed: true, error: null, screenshot };
     } catch (error) {
-      console.error(`Error: ${error.message}`);
+      logger.error(`Error: ${error.message}`);
 
-      await this.takeScreenshot(isolatedPage, pageInfo.route);
+      let screenshot = null;
+      let dom = null;
+      if (isolatedPage) {
+        screenshot = await this.takeScreenshot(isolatedPage, pageInfo.route, project, base)
+          .catch(screenshotError => logger.error(`Warning: Failed to take screenshot: ${screenshotError.message}`)) || null;
+        // Sent back to the LLM when the test is repaired
+        dom = await isolatedPage.content().catch(() => null);
+      }
 
       if (testCode.includes('redirectChain') && redirectChain && redirectChain.length > 0) {
-        console.error(`Redirect chain details:`);
+        logger.error(`Redirect chain details:`);
         redirectChain.forEach((redirect, index) => {
-          console.error(`${index + 1}. ${redirect.url} -> Status: ${redirect.status}${redirect.location ? ` -> Location: ${redirect.location}` : ''}`);
+          logger.error(`${index + 1}. ${redirect.url} -> Status: ${redirect.status}${redirect.location ? ` -> Location: ${redirect.location}` : ''}`);
         });
       }
-      
-      return false;
+
+      result = { passed: false, error: error.message, screenshot, dom, codeError: isCodeError(error) };
     } finally {
-      if (isolatedPage) {
+      result.accessibility = accessibility;
+      if (recordingContext) {
+        try {
+          result.recordings = await finishRecording(recordingContext, isolatedPage, {
+            kinds,
+            modes: this.recording,
+            base,
+            passed: result.passed
+          });
+          Object.entries(result.recordings || {}).forEach(([kind, file]) => logger.log(`🎥 ${kind}: ${file}`));
+        } catch (recordingError) {
+          logger.error(`Warning: Failed to save recordings: ${recordingError.message}`);
+          await recordingContext.close().catch(() => {});
+        }
+      } else if (isolatedPage) {
         try {
           await isolatedPage.close();
         } catch (closeError) {
-          console.error(`Warning: Failed to close isolated page: ${closeError.message}`);
+          logger.error(`Warning: Failed to close isolated page: ${closeError.message}`);
         }
       }
     }
+
+    return result;
   }
 
-  async runAllTests() {
-    console.log('🤖 Starting EnsureUI tests with LLM...');
+  async runPages(pages) {
+    this.results.totalPages = pages.length;
 
-    if (!this.apiKey) {
-      console.error('API key not properly initialized');
-      process.exit(1);
+    if (this.workers > 1) {
+      logger.log(`Running with ${this.workers} workers`);
+    }
+    if (this.projects.length > 1) {
+      logger.log(`Running on ${this.projects.map(project => project.name).join(', ')}`);
     }
 
-    const pages = await this.findEnsureUIPages();
-    const totalExpectations = pages.reduce((sum, page) => sum + page.expectations.length, 0);
+    const pool = new BrowserPool();
+    let printed = 0;
 
-    console.log(`Found ${pages.length} pages with ${totalExpectations} expectations`);
+    try {
+      const results = await runPool(pages, this.workers, async (page) => {
+        const runPage = async () => {
+          if (printed++ > 0) {
+            logger.log(`\n${'='.repeat(80)}`);
+          }
 
-    if (pages.length === 0) {
-      console.log('No pages found with // ensureUI comments. Skipping tests.');
-      return;
-    }
+          logger.log(`\n🌐 ${pageLabel(page)}`);
+          logger.log(`URL: ${page.url}`);
+          logger.log(`Ensure: ${page.rawExpectations}`);
+          logger.log(`Expectations: ${page.expectations.length}`);
 
-    this.results.totalPages = pages.length;
+          return this.runPageTest(page, pool);
+        };
 
-    for (let i = 0; i < pages.length; i++) {
-      const page = pages[i];
-      
-      if (i > 0) {
-        console.log(`\n${'='.repeat(80)}`);
-      }
-      
-      console.log(`\n🌐 ${page.route}`);
-      console.log(`URL: ${page.url}`);
-      console.log(`Ensure: ${page.rawExpectations}`);
-      console.log(`Expectations: ${page.expectations.length}`);
-      
-      const result = await this.runPageTest(page);
-      if (result.passed) {
-        this.results.passedPages++;
-      } else {
-        this.results.failedPages++;
+        // With several workers, hold each page's output until it finishes
+        return this.workers > 1 ? withBufferedOutput(runPage) : runPage();
+      });
+
+      for (const result of results) {
+        if (result.passed) {
+          this.results.passedPages++;
+        } else {
+          this.results.failedPages++;
+        }
+        this.results.pages.push(result);
       }
-      this.results.pages.push(result);
+    } finally {
+      await pool.close();
     }
 
-    console.log(`\n\n${'='.repeat(80)}\n\n`);
-    console.log(`🏁 FINAL RESULTS`);
-    console.log(`Tested: ${pages.length}`);
-    console.log(`Passed: ${this.results.passedPages}`);
-    console.log(`Failed: ${this.results.failedPages}`);
-    console.log(' ');
+    return this.results;
+  }
+
+  writeReports(results = this.results) {
+    const files = writeReports(results, this.reporters, {
+      outputDir: this.outputDir,
+      projectRoot: this.projectRoot
+    });
+    if (this.shard) {
+      files.push(writeShardResults(results, this.shard, { outputDir: this.outputDir, projectRoot: this.projectRoot }));
+    }
+    files.forEach(file => logger.log(`📄 Report: ${file}`));
+    return files;
+  }
+
+  // Runs the pages and prints the summary. Unlike runAllTests it never exits,
+  // so `ensureui dev` can run it again after every change.
+  async runSuite(pages) {
+    this.results = {
+      totalPages: 0,
+      passedPages: 0,
+      failedPages: 0,
+      pages: []
+    };
+    await this.runPages(pages);
+
+    logger.log(`\n\n${'='.repeat(80)}\n\n`);
+    logger.log(`🏁 FINAL RESULTS`);
+    logger.log(`Tested: ${pages.length}`);
+    logger.log(`Passed: ${this.results.passedPages}`);
+    logger.log(`Failed: ${this.results.failedPages}`);
+
+    const outcomes = {};
+    this.results.pages.forEach(page => page.generatedTests.forEach(test => {
+      outcomes[test.outcome] = (outcomes[test.outcome] || 0) + 1;
+    }));
+    if (outcomes.flaky || outcomes.repaired) {
+      logger.log(`Flaky: ${outcomes.flaky || 0}, repaired: ${outcomes.repaired || 0}`);
+    }
+    if (outcomes['app-failure'] || outcomes['generation-failure']) {
+      logger.log(`App failures: ${outcomes['app-failure'] || 0}, test generation failures: ${outcomes['generation-failure'] || 0}`);
+    }
+    const count = key => this.results.pages.reduce((sum, page) => sum + (page[key] || []).length, 0);
+    if (count('consoleErrors') || count('pageErrors') || count('failedRequests')) {
+      logger.log(`Console errors: ${count('consoleErrors')}, uncaught exceptions: ${count('pageErrors')}, failed requests: ${count('failedRequests')}`);
+    }
+    logger.log(' ');
 
     if (this.results.failedPages > 0) {
-      console.log(`\n❌ Failed:`);
+      logger.log(`\n❌ Failed:`);
       const failedPages_list = this.results.pages.filter(p => !p.passed);
       failedPages_list.forEach(page => {
-        console.log(`- ${page.route}`);
+        logger.log(`- ${pageLabel(page)}`);
+        (page.checks || []).filter(check => !check.passed).forEach(check => {
+          logger.log(`    ${check.name}${this.projects.length > 1 ? ` [${check.project}]` : ''}: ${check.error.split('\n')[0]}`);
+        });
       });
     } else {
-      console.log(`\n✅ All tests passed! 🎉`);
+      logger.log(`\n✅ All tests passed! 🎉`);
+    }
+    logger.log('='.repeat(80));
+
+    this.writeReports();
+
+    return this.results;
+  }
+
+  async publishGitHubResults(results = this.results) {
+    try {
+      await publishGitHubResults(results, { projectRoot: this.projectRoot, log: logger });
+    } catch (error) {
+      logger.warn(`Warning: Could not publish results to GitHub: ${error.message}`);
+    }
+  }
+
+  async runAllTests() {
+    logger.log('🤖 Starting EnsureUI tests with LLM...');
+
+    if (!this.llm) {
+      logger.error('LLM provider not properly initialized');
+      process.exit(1);
+    }
+
+    const pages = await this.findEnsureUIPages();
+    const totalExpectations = pages.reduce((sum, page) => sum + page.expectations.length, 0);
+
+    logger.log(`Found ${pages.length} pages with ${totalExpectations} expectations`);
+
+    if (pages.length === 0) {
+      const selecting = this.grep || this.tags.length > 0 || this.changedSince || this.shard;
+      logger.log(selecting ? 'No pages match the selection. Skipping tests.' : 'No pages found with // ensureUI comments. Skipping tests.');
+      // An empty shard still reports, so merge-reports sees every shard
+      if (this.shard) {
+        this.writeReports();
+      }
+      return;
+    }
+
+    await this.runSuite(pages);
+
+    // Sharded runs are published once, by merge-reports
+    if (process.env.GITHUB_ACTIONS && !this.shard) {
+      await this.publishGitHubResults();
     }
-    console.log('='.repeat(80));
 
     // Output results for GitHub Actions
     if (process.env.GITHUB_OUTPUT) {
       const fs = require('fs');
-      fs.appendFileSync(process.env.GITHUB_OUTPUT, `results=${JSON.stringify(this.results)}\n`);
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `results=${JSON.stringify(redactValue(this.results))}\n`);
     } else if (process.env.GITHUB_ACTIONS) {
-      console.log(`::set-output name=results::${JSON.stringify(this.results)}`);
+      logger.log(`::set-output name=results::${JSON.stringify(redactValue(this.results))}`);
     }
 
     if (this.results.failedPages > 0) {
@@ -634,4 +1631,4 @@ The generated code should be functional and demonstrate the intended behavior wh
   }
 }
 
-module.exports = { EnsureUITester };
\ No newline at end of file
+module.exports = { EnsureUITester, PROMPT_VERSION, isExternalRoute };
\ No newline at end of file
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+const DEFAULT_THRESHOLD = 0.1;
+const DEFAULT_MAX_DIFF_RATIO = 0;
+
+// `// ensureUI: visual` or `// ensureUI: visual: checkout form`
+function parseVisualExpectation(text) {
+  const match = text.trim().match(/^visual(?:\s*[:-]\s*(.+))?$/i);
+  return match ? { name: (match[1] || 'page').trim() } : null;
+}
+
+function slug(value) {
+  return String(value).replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'index';
+}
+
+function routeSlug(route) {
+  return slug(route.split('/').filter(Boolean).join('-'));
+}
+
+// Baselines, captures and diffs share one stable relative path per route,
+// project/viewport and expectation, under <dir>/{baseline,current,diff}/.
+function visualPaths(dir, { route, project, viewport, name }) {
+  const relative = path.join(routeSlug(route), `${slug(project)}-${viewport.width}x${viewport.height}`, `${slug(name)}.png`);
+  return {
+    relative,
+    baseline: path.join(dir, 'baseline', relative),
+    current: path.join(dir, 'current', relative),
+    diff: path.join(dir, 'diff', relative)
+  };
+}
+
+function readPng(filePath) {
+  return PNG.sync.read(fs.readFileSync(filePath));
+}
+
+// Compares the capture with its baseline and writes a diff image when they
+// differ by more than `maxDiffRatio` of the pixels.
+function compareWithBaseline(paths, { threshold = DEFAULT_THRESHOLD, maxDiffRatio = DEFAULT_MAX_DIFF_RATIO } = {}) {
+  fs.rmSync(paths.diff, { force: true });
+
+  if (!fs.existsSync(paths.baseline)) {
+    return { passed: false, missingBaseline: true, diffPixels: null, diffRatio: null };
+  }
+
+  const baseline = readPng(paths.baseline);
+  const current = readPng(paths.current);
+
+  if (baseline.width !== current.width || baseline.height !== current.height) {
+    return {
+      passed: false,
+      sizeMismatch: `baseline is ${baseline.width}x${baseline.height}, capture is ${current.width}x${current.height}`,
+      diffPixels: null,
+      diffRatio: null
+    };
+  }
+
+  const { width, height } = baseline;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, current.data, diff.data, width, height, { threshold });
+  const diffRatio = diffPixels / (width * height);
+  const passed = diffRatio <= maxDiffRatio;
+
+  if (!passed) {
+    fs.mkdirSync(path.dirname(paths.diff), { recursive: true });
+    fs.writeFileSync(paths.diff, PNG.sync.write(diff));
+  }
+
+  return { passed, diffPixels, diffRatio };
+}
+
+function listPngs(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listPngs(fullPath);
+    }
+    return entry.name.endsWith('.png') ? [fullPath] : [];
+  });
+}
+
+// Promotes captures from the last run to baselines, optionally only for the
+// given routes, and returns their relative paths.
+function approveCaptures(dir, { routes = [] } = {}) {
+  const currentDir = path.join(dir, 'current');
+  const wanted = routes.map(routeSlug);
+  const approved = [];
+
+  for (const capture of listPngs(currentDir)) {
+    const relative = path.relative(currentDir, capture);
+    if (wanted.length > 0 && !wanted.includes(relative.split(path.sep)[0])) {
+      continue;
+    }
+    const baseline = path.join(dir, 'baseline', relative);
+    fs.mkdirSync(path.dirname(baseline), { recursive: true });
+    fs.renameSync(capture, baseline);
+    fs.rmSync(path.join(dir, 'diff', relative), { force: true });
+    approved.push(relative);
+  }
+
+  return approved;
+}
+
+module.exports = {
+  parseVisualExpectation,
+  routeSlug,
+  visualPaths,
+  compareWithBaseline,
+  approveCaptures
+};
@@ -0,0 +1,69 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { devices } = require('playwright');
+const { resolveProjects, projectMatches } = require('../lib/browsers');
+
+const summary = projects => projects.map(({ name, browser, device, isMobile }) => ({ name, browser, device, isMobile }));
+
+describe('resolveProjects', () => {
+  test('runs chromium on desktop by default', () => {
+    assert.deepStrictEqual(resolveProjects({}), [
+      { name: 'chromium', browser: 'chromium', device: null, isMobile: false, contextOptions: {} }
+    ]);
+  });
+
+  test('runs every browser on desktop and every device on its default browser', () => {
+    const projects = resolveProjects({ browsers: 'chromium, firefox', devices: ['iPhone 13', 'Pixel 7'] });
+
+    assert.deepStrictEqual(summary(projects), [
+      { name: 'chromium', browser: 'chromium', device: null, isMobile: false },
+      { name: 'firefox', browser: 'firefox', device: null, isMobile: false },
+      { name: 'iPhone 13', browser: 'webkit', device: 'iPhone 13', isMobile: true },
+      { name: 'Pixel 7', browser: 'chromium', device: 'Pixel 7', isMobile: true }
+    ]);
+    const { defaultBrowserType, ...iPhone } = devices['iPhone 13'];
+    assert.deepStrictEqual(projects[2].contextOptions, iPhone);
+  });
+
+  test('prefers the configured projects and keeps the viewport but not isMobile on Firefox', () => {
+    const projects = resolveProjects({
+      projects: [{ name: 'mobile', device: 'iPhone 13' }, { name: 'small-firefox', browser: 'firefox', device: 'iPhone 13' }],
+      browsers: 'webkit'
+    });
+
+    assert.deepStrictEqual(summary(projects), [
+      { name: 'mobile', browser: 'webkit', device: 'iPhone 13', isMobile: true },
+      { name: 'small-firefox', browser: 'firefox', device: 'iPhone 13', isMobile: true }
+    ]);
+    assert.strictEqual('isMobile' in projects[1].contextOptions, false);
+    assert.deepStrictEqual(projects[1].contextOptions.viewport, devices['iPhone 13'].viewport);
+  });
+
+  test('rejects unknown browsers and devices and duplicate names', () => {
+    assert.throws(() => resolveProjects({ browsers: 'safari' }), /Unknown browser 'safari'. Use one of chromium, firefox, webkit/);
+    assert.throws(() => resolveProjects({ devices: 'iPhone 99' }), /Unknown device 'iPhone 99'/);
+    assert.throws(() => resolveProjects({ projects: [{ browser: 'webkit' }, { name: 'webkit', device: 'iPhone 13' }] }),
+      /Duplicate browser\/device project 'webkit'/);
+  });
+});
+
+describe('projectMatches', () => {
+  const [desktop, phone] = resolveProjects({ projects: [{ name: 'Desktop Chrome', browser: 'chromium' }, { device: 'iPhone 13' }] });
+
+  test('matches every project without targets', () => {
+    assert.strictEqual(projectMatches(desktop, undefined), true);
+    assert.strictEqual(projectMatches(phone, []), true);
+  });
+
+  test('matches the name, browser or device regardless of case, or mobile/desktop', () => {
+    const matching = targets => [desktop, phone].filter(project => projectMatches(project, targets)).map(project => project.name);
+
+    assert.deepStrictEqual(matching(['desktop chrome']), ['Desktop Chrome']);
+    assert.deepStrictEqual(matching(['WebKit']), ['iPhone 13']);
+    assert.deepStrictEqual(matching(['iphone 13']), ['iPhone 13']);
+    assert.deepStrictEqual(matching(['mobile']), ['iPhone 13']);
+    assert.deepStrictEqual(matching(['desktop']), ['Desktop Chrome']);
+    assert.deepStrictEqual(matching(['firefox', 'mobile']), ['iPhone 13']);
+    assert.deepStrictEqual(matching(['firefox']), []);
+  });
+});
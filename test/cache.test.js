@@ -0,0 +1,101 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestCache, CacheMissError, toCachedCode, fromCachedCode } = require('../lib/cache');
+
+describe('TestCache', () => {
+  let dir;
+  const entry = { text: 'the heading is shown', route: '/about', model: 'gpt-4o' };
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-cache-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('keys entries by kind, prompt version, model, route and text', () => {
+    const cache = new TestCache({ dir, promptVersion: 1 });
+    const key = cache.key('code', entry.text, entry.route);
+
+    assert.strictEqual(cache.key('code', entry.text, entry.route), key);
+    assert.notStrictEqual(cache.key('code', entry.text, entry.route, entry.model), key);
+    assert.notStrictEqual(cache.key('code', entry.text, entry.route, 'gpt-4o-mini'), cache.key('code', entry.text, entry.route, entry.model));
+    assert.notStrictEqual(cache.key('split', entry.text, entry.route), key);
+    assert.notStrictEqual(cache.key('code', entry.text, '/contact'), key);
+    assert.notStrictEqual(cache.key('code', `${entry.text}.`, entry.route), key);
+    assert.notStrictEqual(new TestCache({ dir, promptVersion: 2 }).key('code', entry.text, entry.route), key);
+  });
+
+  test('produces a value once and replays it afterwards', async () => {
+    const cache = new TestCache({ dir, promptVersion: 1 });
+    let calls = 0;
+    const produce = async () => { calls++; return 'await expect(page).toHaveTitle("About");'; };
+
+    await cache.resolve('code', entry, produce);
+    const value = await new TestCache({ dir, promptVersion: 1, offline: true }).resolve('code', entry, produce);
+
+    assert.strictEqual(value, 'await expect(page).toHaveTitle("About");');
+    assert.strictEqual(calls, 1);
+  });
+
+  test('does not replay output of another model', async () => {
+    const cache = new TestCache({ dir, promptVersion: 1 });
+    await cache.resolve('code', entry, async () => 'from gpt-4o');
+
+    const value = await cache.resolve('code', { ...entry, model: 'claude-3-5-sonnet-latest' }, async () => 'from claude');
+
+    assert.strictEqual(value, 'from claude');
+    assert.strictEqual(await cache.resolve('code', entry, async () => 'regenerated'), 'from gpt-4o');
+  });
+
+  test('fails offline when an entry is missing', async () => {
+    const cache = new TestCache({ dir, promptVersion: 1, offline: true });
+    await assert.rejects(cache.resolve('code', entry, async () => 'code'), CacheMissError);
+  });
+
+  test('treats a truncated entry as a miss and records it again', async () => {
+    const cache = new TestCache({ dir, promptVersion: 1 });
+    const file = cache.entryPath('code', cache.key('code', entry.text, entry.route, entry.model));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{"kind": "code", "val');
+
+    const value = await cache.resolve('code', entry, async () => 'regenerated');
+
+    assert.strictEqual(value, 'regenerated');
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).value, 'regenerated');
+  });
+
+  test('lists unreadable entries as corrupt', () => {
+    const cache = new TestCache({ dir, promptVersion: 1 });
+    cache.put('code', entry, 'code');
+    fs.writeFileSync(path.join(dir, 'code', 'broken.json'), '[1, 2');
+    fs.writeFileSync(path.join(dir, 'code', 'scalar.json'), '42');
+
+    const corrupt = cache.list().filter(item => item.corrupt).map(item => item.key).sort();
+
+    assert.deepStrictEqual(corrupt, ['broken', 'scalar']);
+    assert.strictEqual(cache.list({ match: 'HEADING' }).length, 1);
+  });
+
+  test('prunes entries of other prompt versions, corrupt and old entries', () => {
+    new TestCache({ dir, promptVersion: 1 }).put('code', entry, 'old prompt');
+    const cache = new TestCache({ dir, promptVersion: 2 });
+    cache.put('code', entry, 'current');
+    cache.put('code', { ...entry, route: '/contact' }, 'stale');
+    const stale = cache.entryPath('code', cache.key('code', entry.text, '/contact', entry.model));
+    fs.writeFileSync(stale, JSON.stringify({ ...JSON.parse(fs.readFileSync(stale, 'utf8')), createdAt: '2020-01-01T00:00:00.000Z' }));
+    fs.writeFileSync(path.join(dir, 'code', 'broken.json'), '{');
+
+    assert.strictEqual(cache.prune({ olderThanDays: 30 }), 3);
+    assert.deepStrictEqual(cache.list().map(item => item.value), ['current']);
+  });
+});
+
+describe('cached code', () => {
+  test('stores deployment URLs as a placeholder and restores them for another deployment', () => {
+    const code = 'await page.goto("https://staging.example.com/about");';
+    const cached = toCachedCode(code, 'https://staging.example.com');
+
+    assert.ok(!cached.includes('staging'));
+    assert.strictEqual(fromCachedCode(cached, 'https://preview.example.com'), 'await page.goto("https://preview.example.com/about");');
+  });
+});
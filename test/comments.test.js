@@ -0,0 +1,129 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { findEnsureUIComments } = require('../lib/comments');
+const { parseDirectives, expectationControls } = require('../lib/directives');
+
+const find = (content, filename = 'page.tsx') => findEnsureUIComments(content, filename).comments;
+
+describe('findEnsureUIComments', () => {
+  test('reads line comments and ignores ensureUI in strings', () => {
+    const comments = find([
+      'const text = "// ensureUI: not a comment";',
+      '// ensureUI: the page loads successfully',
+      'export default function Page() { return null; }'
+    ].join('\n'));
+
+    assert.deepStrictEqual(comments, [{
+      text: 'the page loads successfully',
+      kind: 'line',
+      start: { line: 2, column: 1 },
+      end: { line: 2, column: 41 },
+      component: 'Page'
+    }]);
+  });
+
+  test('continues on aligned lines with indented text and spans all of them', () => {
+    const [comment] = find([
+      '  // ensureUI: the contact form should be present',
+      '  //   with name, email, and message fields',
+      '  //   and a submit button'
+    ].join('\n'));
+
+    assert.strictEqual(comment.text, 'the contact form should be present with name, email, and message fields and a submit button');
+    assert.deepStrictEqual([comment.start, comment.end], [{ line: 1, column: 3 }, { line: 3, column: 27 }]);
+  });
+
+  test('leaves an unrelated comment on the next line out of the expectation', () => {
+    const comments = find([
+      '// ensureUI: the pricing table lists three plans',
+      '// unrelated note about the layout',
+      '//   still not a continuation',
+      '// ensureUI: the pay button is shown',
+      '// eslint-disable-next-line',
+      'const price = 1; // ensureUI: the price is shown',
+      '//   not below an expectation on its own line'
+    ].join('\n'));
+
+    assert.deepStrictEqual(comments.map(comment => comment.text),
+      ['the pricing table lists three plans', 'the pay button is shown', 'the price is shown']);
+  });
+
+  test('reads JSX comments with their position', () => {
+    const [comment] = find([
+      'export function Header() {',
+      '  return (',
+      '    <header>',
+      '      {/* ensureUI: the logo links to the home page */}',
+      '    </header>',
+      '  );',
+      '}'
+    ].join('\n'));
+
+    assert.deepStrictEqual(comment, {
+      text: 'the logo links to the home page',
+      kind: 'block',
+      start: { line: 4, column: 11 },
+      end: { line: 4, column: 52 },
+      component: 'Header'
+    });
+  });
+
+  test('reads several expectations from one JSDoc block', () => {
+    const comments = find([
+      '/**',
+      ' * Checkout page.',
+      ' *',
+      ' * @ensureUI the order summary shows the cart total',
+      ' *   including taxes',
+      ' * @ensureUI the pay button is disabled until the card form is valid',
+      ' * @param props unrelated',
+      ' */',
+      'export default function Checkout(props) { return null; }'
+    ].join('\n'));
+
+    assert.deepStrictEqual(comments.map(({ text, start, end, component }) => ({ text, start, end, component })), [
+      {
+        text: 'the order summary shows the cart total including taxes',
+        start: { line: 4, column: 4 },
+        end: { line: 5, column: 21 },
+        component: 'Checkout'
+      },
+      {
+        text: 'the pay button is disabled until the card form is valid',
+        start: { line: 6, column: 4 },
+        end: { line: 6, column: 69 },
+        component: 'Checkout'
+      }
+    ]);
+  });
+
+  test('reads markup comments of single-file components', () => {
+    const comments = find([
+      '<script lang="ts">',
+      '  // ensureUI: the counter starts at zero',
+      '</script>',
+      '<!-- ensureUI: the increment button is shown -->',
+      '<button>+</button>'
+    ].join('\n'), 'Counter.svelte');
+
+    assert.deepStrictEqual(comments.map(({ text, start, component }) => ({ text, line: start.line, component })), [
+      { text: 'the counter starts at zero', line: 2, component: 'Counter' },
+      { text: 'the increment button is shown', line: 4, component: 'Counter' }
+    ]);
+  });
+});
+
+describe('directives', () => {
+  test('reads targets and options before the expectation text', () => {
+    const [comment] = find('// ensureUI[mobile, webkit](skip, tags=@smoke checkout, timeout=30): the menu opens');
+    const { text, targets, options } = parseDirectives(comment.text);
+
+    assert.strictEqual(text, 'the menu opens');
+    assert.deepStrictEqual(targets, ['mobile', 'webkit']);
+    assert.deepStrictEqual(expectationControls(options), { skip: true, only: false, tags: ['smoke', 'checkout'], timeout: 30000, mocks: [] });
+  });
+
+  test('rejects an invalid timeout', () => {
+    assert.throws(() => expectationControls({ timeout: 'soon' }), /Invalid timeout 'soon'/);
+  });
+});
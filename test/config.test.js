@@ -0,0 +1,116 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig, validateConfig, resolveRouteSettings, createPathFilter } = require('../lib/config');
+
+// The problems validateConfig reports for `config`, or [] when it is valid
+function problems(config) {
+  try {
+    validateConfig(config, 'ensureui.config.json');
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+}
+
+describe('validateConfig', () => {
+  test('accepts a complete config', () => {
+    assert.deepStrictEqual(problems({
+      deploymentUrl: 'https://example.com',
+      reporter: ['junit', 'html'],
+      trace: 'retain-on-failure',
+      next: { basePath: '/docs', i18n: { locales: ['en', 'de'], defaultLocale: 'en' } },
+      projects: [{ name: 'mobile', browser: 'webkit', device: 'iPhone 13' }],
+      mocks: { productsDown: [{ url: '**/api/products', status: 503 }] },
+      budgets: { lcp: 2500, cls: 0.1 },
+      routes: { '/admin/**': { auth: 'admin', mock: 'productsDown', timeout: 30 } }
+    }), []);
+  });
+
+  test('reports every problem with its path', () => {
+    assert.deepStrictEqual(problems({
+      workers: 0,
+      reporter: 3,
+      trace: 'always',
+      viewport: { width: '1280', height: 720 },
+      next: { i18n: { locales: ['en'] } },
+      mocks: { down: [{ status: 503 }] },
+      routes: { '/admin': { timeut: 30 } }
+    }), [
+      'config.workers: must be at least 1, got 0',
+      'config.reporter: expected string or array, got a number',
+      "config.trace: expected one of 'off', 'on', 'retain-on-failure', 'on-first-retry', 'on-all-retries', got \"always\"",
+      'config.viewport.width: expected a number, got a string',
+      'config.next.i18n.defaultLocale: is required',
+      'config.mocks["down"][0].url: is required',
+      'config.routes["/admin"].timeut: unknown option (allowed: timeout, viewport, waitUntil, headers, cookies, budgets, failOn, visual, auth, mock)'
+    ]);
+  });
+});
+
+describe('loadConfig', () => {
+  let projectRoot;
+
+  beforeEach(() => { projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-config-')); });
+  afterEach(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  test('returns an empty config without a config file', () => {
+    assert.deepStrictEqual(loadConfig(projectRoot), { config: {}, configPath: null });
+  });
+
+  test('prefers ensureui.config.js over the JSON file', () => {
+    fs.writeFileSync(path.join(projectRoot, 'ensureui.config.js'), 'module.exports = { timeout: 30 };');
+    fs.writeFileSync(path.join(projectRoot, 'ensureui.config.json'), '{"timeout": 60}');
+
+    assert.deepStrictEqual(loadConfig(projectRoot), { config: { timeout: 30 }, configPath: path.join(projectRoot, 'ensureui.config.js') });
+  });
+
+  test('reports files that are missing or cannot be parsed', () => {
+    fs.writeFileSync(path.join(projectRoot, 'ensureui.config.json'), '{"timeout": }');
+
+    assert.throws(() => loadConfig(projectRoot, 'missing.json'), /Invalid config .*missing\.json:\n {2}- file not found/);
+    assert.throws(() => loadConfig(projectRoot), error => error instanceof ConfigError && /^could not be loaded: /.test(error.problems[0]));
+  });
+});
+
+describe('resolveRouteSettings', () => {
+  const config = {
+    routes: {
+      '/admin/**': { headers: { 'x-role': 'admin' }, timeout: 30, budgets: { lcp: 4000 } },
+      '/admin/reports': { waitUntil: 'load', mock: ['slowReports'] }
+    }
+  };
+  const defaults = { timeout: 15000, waitUntil: 'networkidle', headers: { 'x-env': 'ci' }, cookies: [], budgets: { lcp: 2500, cls: 0.1 }, mock: [] };
+
+  test('applies every matching route entry in order', () => {
+    assert.deepStrictEqual(resolveRouteSettings(config, '/admin/reports', defaults), {
+      timeout: 30000,
+      waitUntil: 'load',
+      headers: { 'x-env': 'ci', 'x-role': 'admin' },
+      cookies: [],
+      budgets: { lcp: 4000, cls: 0.1 },
+      mock: ['slowReports']
+    });
+  });
+
+  test('leaves the defaults alone for other routes', () => {
+    resolveRouteSettings(config, '/admin/reports', defaults);
+
+    assert.deepStrictEqual(resolveRouteSettings(config, '/about', defaults), defaults);
+    assert.deepStrictEqual(defaults.headers, { 'x-env': 'ci' });
+  });
+});
+
+describe('createPathFilter', () => {
+  test('includes matching files that are not excluded', () => {
+    const filter = createPathFilter({ include: ['app/**'], exclude: ['**/components/**'] });
+
+    assert.strictEqual(filter.includes('app/about/page.tsx'), true);
+    assert.strictEqual(filter.includes('app/components/nav/page.tsx'), false);
+    assert.strictEqual(filter.includes('pages/index.tsx'), false);
+    assert.strictEqual(createPathFilter({}).includes('pages/index.tsx'), true);
+  });
+});
@@ -0,0 +1,107 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportPlaywrightSpecs, renderSpec, useBaseUrl } = require('../lib/exporter');
+const { DEPLOYMENT_URL_PLACEHOLDER } = require('../lib/cache');
+
+// Enough of EnsureUITester for exporting: cached code for every expectation
+function fakeTester(projectRoot) {
+  return {
+    projectRoot,
+    deploymentUrl: 'https://example.com',
+    getTestCode: async (pageInfo, text) => `await expect(page.getByText(${JSON.stringify(text)})).toBeVisible();`
+  };
+}
+
+function page(projectRoot, route, url, text) {
+  return {
+    route,
+    url,
+    filePath: path.join(projectRoot, 'app', route, 'page.tsx'),
+    expectations: [{ text, lineNumber: 1, tags: [] }]
+  };
+}
+
+const spec = (tests, format = 'ts') => renderSpec({ route: '/checkout', source: 'app/checkout/page.tsx', defaultBaseUrl: 'https://example.com', tests }, format);
+
+const entry = (title, code, extra = {}) => ({ title, source: 'app/checkout/page.tsx:3', modifier: null, timeout: null, code, error: null, ...extra });
+
+describe('useBaseUrl', () => {
+  test('turns literals with the deployment URL into BASE_URL template literals', () => {
+    const url = `${DEPLOYMENT_URL_PLACEHOLDER}/cart`;
+
+    assert.strictEqual(useBaseUrl(`await page.goto('${url}');`), 'await page.goto(`${BASE_URL}/cart`);');
+    assert.strictEqual(useBaseUrl(`expect(page).toHaveURL("${url}?step=2");`), 'expect(page).toHaveURL(`${BASE_URL}/cart?step=2`);');
+    assert.strictEqual(useBaseUrl(`await page.goto(\`${url}/\${id}\`);`), 'await page.goto(`${BASE_URL}/cart/${id}`);');
+  });
+
+  test('escapes backticks and ${ from quoted literals and leaves other literals alone', () => {
+    assert.strictEqual(useBaseUrl(`f('${DEPLOYMENT_URL_PLACEHOLDER}/a\\'b\`c\${d}')`), 'f(`${BASE_URL}/a\\\'b\\`c\\${d}`)');
+    assert.strictEqual(useBaseUrl(`f('https://other.example', "it's ${DEPLOYMENT_URL_PLACEHOLDER}")`), 'f(\'https://other.example\', `it\'s ${BASE_URL}`)');
+  });
+});
+
+describe('renderSpec', () => {
+  test('renders a TypeScript spec that opens the route before each test', () => {
+    const output = spec([
+      entry('the total is shown @smoke', `await expect(page).toHaveURL('${DEPLOYMENT_URL_PLACEHOLDER}/checkout');`, { modifier: 'only', timeout: 30000 }),
+      entry('the pay button is enabled', null, { error: 'Code generation failed: offline' })
+    ]);
+
+    assert.match(output, /^\/\/ Generated by `ensureui export` from app\/checkout\/page\.tsx\./);
+    assert.match(output, /import \{ test as base, expect \} from '@playwright\/test';/);
+    assert.match(output, /const BASE_URL = process\.env\.DEPLOYMENT_URL \|\| "https:\/\/example\.com";\nconst ROUTE = "\/checkout";/);
+    assert.match(output, /const test = base\.extend<\{ redirectChain: RedirectEntry\[\] \}>\(\{/);
+    assert.ok(output.includes([
+      '  // source: app/checkout/page.tsx:3',
+      '  test.only("the total is shown @smoke", async ({ page, redirectChain }) => {',
+      '    test.setTimeout(30000);',
+      '    await expect(page).toHaveURL(`${BASE_URL}/checkout`);',
+      '  });',
+      '',
+      '  // source: app/checkout/page.tsx:3',
+      '  // Code generation failed: offline',
+      '  test.fixme("the pay button is enabled", async () => {});'
+    ].join('\n')));
+    assert.doesNotMatch(output, /AxeBuilder|observePerformance/);
+  });
+
+  test('adds the accessibility and metrics fixtures only to the tests using them', () => {
+    const output = spec([
+      entry('the form is accessible', "await checkAccessibility({ include: 'form' });"),
+      entry('the page loads fast', 'expect(metrics.lcp).toBeLessThan(2500);')
+    ], 'js');
+
+    assert.match(output, /const AxeBuilder = require\('@axe-core\/playwright'\)\.default;/);
+    assert.match(output, /const test = base\.extend\(\{\n {2}redirectChain: async/);
+    assert.match(output, /checkAccessibility: async \(\{ page \}, use\) => \{\n {4}await use\(async \(\{ include, exclude \} = \{\}\) => \{/);
+    assert.match(output, /Object\.assign\(metrics, await page\.evaluate\(readPerformance\)\);/);
+    assert.match(output, /test\("the form is accessible", async \(\{ page, redirectChain, checkAccessibility \}\) => \{/);
+    assert.match(output, /test\("the page loads fast", async \(\{ page, redirectChain, metrics \}\) => \{/);
+    assert.doesNotMatch(output, /type |: RedirectEntry/);
+  });
+});
+
+describe('exportPlaywrightSpecs', () => {
+  let projectRoot;
+
+  beforeEach(() => { projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-export-')); });
+  afterEach(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  test('writes one spec per page, named after its path and query', async () => {
+    const outDir = path.join(projectRoot, 'e2e');
+    const written = await exportPlaywrightSpecs(fakeTester(projectRoot), [
+      page(projectRoot, '/pricing', 'https://example.com/pricing', 'the plans are listed'),
+      page(projectRoot, '/pricing', 'https://example.com/pricing?plan=pro', 'the pro plan is selected'),
+      page(projectRoot, '/pricing_plan_pro', 'https://example.com/pricing_plan_pro', 'the legacy page redirects'),
+      page(projectRoot, '/', 'https://example.com/', 'the home page loads')
+    ], { outDir, format: 'js' });
+
+    assert.deepStrictEqual(written.map(file => path.basename(file)),
+      ['pricing.spec.js', 'pricing_plan_pro.spec.js', 'pricing_plan_pro-2.spec.js', 'index.spec.js']);
+    assert.match(fs.readFileSync(written[1], 'utf8'), /the pro plan is selected/);
+    assert.match(fs.readFileSync(written[2], 'utf8'), /the legacy page redirects/);
+  });
+});
@@ -0,0 +1,177 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FRAMEWORKS, createRouter } = require('../lib/frameworks');
+
+const projectRoots = [];
+
+// A router for a project holding `files` (relative path -> content)
+async function createProjectRouter(name, files = {}, config = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-frameworks-'));
+  projectRoots.push(projectRoot);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), content);
+  }
+  const router = await createRouter({ projectRoot, adapter: FRAMEWORKS[name], config });
+
+  // The URL a file is tested at, or the reason it is not a page
+  router.route = (file, urlParams, options) => {
+    const target = router.resolve(file);
+    return target.reason ? { reason: target.reason } : router.buildRoute(target, urlParams, options);
+  };
+  return router;
+}
+
+after(() => projectRoots.forEach(projectRoot => fs.rmSync(projectRoot, { recursive: true, force: true })));
+
+describe('Next.js', () => {
+  test('maps Pages Router files and skips API routes and wrappers', async () => {
+    const router = await createProjectRouter('next');
+
+    assert.strictEqual(router.route('pages/index.tsx'), '/');
+    assert.strictEqual(router.route('pages/blog/index.jsx'), '/blog');
+    assert.strictEqual(router.route('pages/blog/[slug].tsx', { slug: 'hello' }), '/blog/hello');
+    assert.strictEqual(router.route('pages/docs/[...path].tsx', { path: ['guides', 'setup'] }), '/docs/guides/setup');
+    assert.match(router.route('pages/api/users.ts').reason, /API routes under pages\/api are not pages/);
+    assert.match(router.route('pages/_app.tsx').reason, /_app wraps every page/);
+    assert.match(router.route('pages/about.mdx').reason, /extension is not in pageExtensions/);
+    assert.strictEqual(router.resolve('components/Nav.tsx'), null);
+  });
+
+  test('maps App Router pages without groups, slots or optional segments', async () => {
+    const router = await createProjectRouter('next');
+
+    assert.strictEqual(router.route('app/page.tsx'), '/');
+    assert.strictEqual(router.route('app/(marketing)/about/page.tsx'), '/about');
+    assert.strictEqual(router.route('app/dashboard/@analytics/views/page.tsx'), '/dashboard/views');
+    assert.strictEqual(router.route('app/shop/[[...filters]]/page.tsx'), '/shop');
+    assert.strictEqual(router.route('app/shop/[[...filters]]/page.tsx', { filters: ['shoes', 'red'] }), '/shop/shoes/red');
+    assert.strictEqual(router.route('app/[lang]/docs/[lang]-[version]/page.tsx', { lang: 'de', version: '2' }), '/de/docs/de-2');
+    assert.throws(() => router.route('app/blog/[slug]/page.tsx'), /Route parameter '\[slug\]' required/);
+  });
+
+  test('gives the reason App Router files are not pages', async () => {
+    const router = await createProjectRouter('next');
+
+    assert.match(router.route('app/about/layout.tsx').reason, /only page files are routes in the App Router, not layout files/);
+    assert.match(router.route('app/_components/card/page.tsx').reason, /folders starting with _ are private/);
+    assert.match(router.route('app/feed/(.)photo/[id]/page.tsx').reason, /\(\.\)photo is an intercepting route/);
+    assert.match(router.route('app/feed/(..)(..)photo/[id]/page.tsx').reason, /\(\.\.\)\(\.\.\)photo is an intercepting route/);
+  });
+
+  test('ignores src/app when app exists at the project root', async () => {
+    const router = await createProjectRouter('next', { 'app/page.tsx': '' });
+
+    assert.strictEqual(router.resolve('src/app/about/page.tsx'), null);
+    assert.strictEqual(router.route('src/pages/about.tsx'), '/about');
+  });
+
+  test('prefixes the base path and the locale of Pages Router routes', async () => {
+    const router = await createProjectRouter('next', {
+      'next.config.js': "module.exports = { basePath: '/docs/', i18n: { locales: ['en', 'de'], defaultLocale: 'en' } };"
+    });
+
+    assert.strictEqual(router.route('pages/index.tsx'), '/docs');
+    assert.strictEqual(router.route('pages/about.tsx', {}, { locale: 'de' }), '/docs/de/about');
+    assert.strictEqual(router.route('pages/about.tsx', {}, { locale: 'en' }), '/docs/about');
+    assert.throws(() => router.route('pages/about.tsx', {}, { locale: 'fr' }), /Unknown locale 'fr'. next.config lists en, de/);
+    assert.throws(() => router.route('app/about/page.tsx', {}, { locale: 'de' }), /App Router pages get their locale from a route segment/);
+  });
+
+  test('reads literal values from a TypeScript config and lets the EnsureUI config override them', async () => {
+    const files = { 'next.config.ts': "const config = { basePath: '/shop', pageExtensions: ['page.tsx'] };\nexport default config;" };
+    const router = await createProjectRouter('next', files);
+    const overridden = await createProjectRouter('next', files, { next: { basePath: '/store' } });
+
+    assert.strictEqual(router.route('pages/cart.page.tsx'), '/shop/cart');
+    assert.match(router.route('pages/cart.tsx').reason, /extension is not in pageExtensions \(page\.tsx\)/);
+    assert.strictEqual(overridden.route('pages/cart.page.tsx'), '/store/cart');
+  });
+
+  test('needs i18n locales for a locale', async () => {
+    const router = await createProjectRouter('next');
+
+    assert.throws(() => router.route('pages/about.tsx', {}, { locale: 'de' }), /\(locale=de\) needs i18n locales in next.config/);
+    await assert.rejects(createProjectRouter('next', {}, { next: { i18n: { locales: ['en'], defaultLocale: 'de' } } }),
+      /i18n needs a locales array that includes defaultLocale/);
+  });
+});
+
+describe('Remix', () => {
+  test('maps flat route files', async () => {
+    const router = await createProjectRouter('remix', { 'vite.config.ts': "remix({ basename: '/app' })" });
+
+    assert.strictEqual(router.route('app/routes/_index.tsx'), '/app');
+    assert.strictEqual(router.route('app/routes/blog.$slug.tsx', { slug: 'hello' }), '/app/blog/hello');
+    assert.strictEqual(router.route('app/routes/_auth.login.tsx'), '/app/login');
+    assert.strictEqual(router.route('app/routes/blog_.$slug.edit.tsx', { slug: 'hello' }), '/app/blog/hello/edit');
+    assert.strictEqual(router.route('app/routes/sitemap[.]xml.ts'), '/app/sitemap.xml');
+    assert.strictEqual(router.route('app/routes/docs.mdx'), '/app/docs');
+  });
+
+  test('treats optional segments and splats as optional', async () => {
+    const router = await createProjectRouter('remix');
+
+    assert.strictEqual(router.route('app/routes/($lang).about.tsx'), '/about');
+    assert.strictEqual(router.route('app/routes/($lang).about.tsx', { lang: 'fr' }), '/fr/about');
+    assert.strictEqual(router.route('app/routes/(admin).users.tsx'), '/users');
+    assert.strictEqual(router.route('app/routes/files.$.tsx'), '/files');
+    assert.strictEqual(router.route('app/routes/files.$.tsx', { splat: 'a/b' }), '/files/a/b');
+  });
+
+  test('maps route folders by their route file only', async () => {
+    const router = await createProjectRouter('remix');
+
+    assert.strictEqual(router.route('app/routes/blog.$slug/route.tsx', { slug: 'hello' }), '/blog/hello');
+    assert.match(router.route('app/routes/blog.$slug/utils.ts').reason, /inside a route folder only the route file is a route/);
+    assert.match(router.route('app/routes/styles.css').reason, /Remix routes are JavaScript, TypeScript or MDX modules/);
+  });
+});
+
+describe('SvelteKit', () => {
+  test('maps +page.svelte files without groups and param matchers', async () => {
+    const router = await createProjectRouter('sveltekit', { 'svelte.config.js': "export default { kit: { paths: { base: '/kit' } } };" });
+
+    assert.strictEqual(router.route('src/routes/+page.svelte'), '/kit');
+    assert.strictEqual(router.route('src/routes/(app)/items/[id=integer]/+page.svelte', { id: 7 }), '/kit/items/7');
+    assert.strictEqual(router.route('src/routes/[[lang=locale]]/about/+page.svelte'), '/kit/about');
+    assert.strictEqual(router.route('src/routes/[[lang=locale]]/about/+page.svelte', { lang: 'de' }), '/kit/de/about');
+    assert.strictEqual(router.route('src/routes/docs/[...path=slugs]/+page.svelte'), '/kit/docs');
+    assert.strictEqual(router.route('src/routes/files/[name].[ext=extension]/+page.svelte', { name: 'a', ext: 'txt' }), '/kit/files/a.txt');
+  });
+
+  test('points at +page.svelte for other route files', async () => {
+    const router = await createProjectRouter('sveltekit');
+
+    assert.match(router.route('src/routes/about/+page.ts').reason, /only \+page\.svelte files are pages in SvelteKit; put the comments in \+page\.svelte/);
+    assert.match(router.route('src/routes/about/+layout.svelte').reason, /only \+page\.svelte files are pages in SvelteKit$/);
+  });
+});
+
+describe('Astro', () => {
+  test('maps pages and skips endpoints and underscored files', async () => {
+    const router = await createProjectRouter('astro', { 'astro.config.mjs': "export default defineConfig({ base: '/site' });" });
+
+    assert.strictEqual(router.route('src/pages/index.astro'), '/site');
+    assert.strictEqual(router.route('src/pages/posts/first.md'), '/site/posts/first');
+    assert.strictEqual(router.route('src/pages/blog/[...slug].astro'), '/site/blog');
+    assert.strictEqual(router.route('src/pages/blog/[...slug].astro', { slug: '2024/launch' }), '/site/blog/2024/launch');
+    assert.match(router.route('src/pages/_drafts/post.astro').reason, /starting with _ are excluded from routing/);
+    assert.match(router.route('src/pages/api/search.ts').reason, /endpoints, not pages/);
+  });
+});
+
+describe('Nuxt', () => {
+  test('maps .vue pages in pages and app/pages', async () => {
+    const router = await createProjectRouter('nuxt', { 'nuxt.config.ts': "export default defineNuxtConfig({ app: { baseURL: '/nuxt/' } });" });
+
+    assert.strictEqual(router.route('pages/index.vue'), '/nuxt');
+    assert.strictEqual(router.route('app/pages/(admin)/users/[id].vue', { id: 3 }), '/nuxt/users/3');
+    assert.strictEqual(router.route('pages/[...slug].vue'), '/nuxt');
+    assert.strictEqual(router.route('pages/[...slug].vue', { slug: ['a', 'b'] }), '/nuxt/a/b');
+    assert.match(router.route('pages/helpers.ts').reason, /Nuxt pages are .vue files/);
+  });
+});
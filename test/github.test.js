@@ -0,0 +1,264 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  COMMENT_MARKER,
+  GitHubApiError,
+  createGitHubClient,
+  upsertPullRequestComment,
+  createCheckRun,
+  publishGitHubResults
+} = require('../lib/reporters/github');
+
+// Records every request and answers with handler(request, body) =>
+// { status, body }
+function startMockGitHub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = data ? JSON.parse(data) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const reply = handler(req, body) || { status: 404, body: { message: 'Not Found' } };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+function failingResults(projectRoot, count = 1) {
+  return {
+    totalPages: 2,
+    passedPages: 1,
+    failedPages: 1,
+    pages: [
+      {
+        route: '/about',
+        url: 'https://example.com/about',
+        filePath: path.join(projectRoot, 'app/about/page.tsx'),
+        passed: true,
+        generatedTests: [{ expectation: 'the heading is shown', passed: true, lineNumber: 3 }]
+      },
+      {
+        route: '/checkout',
+        url: 'https://example.com/checkout',
+        filePath: path.join(projectRoot, 'app/checkout/page.tsx'),
+        passed: false,
+        generatedTests: Array.from({ length: count }, (item, index) => ({
+          expectation: `the total is shown ${index + 1}`,
+          passed: false,
+          lineNumber: index + 10,
+          error: 'Expected "$10"\nReceived "$0"'
+        }))
+      }
+    ]
+  };
+}
+
+describe('GitHub client', () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  test('sends the token and API version to the repository endpoint', async () => {
+    server = await startMockGitHub(() => ({ status: 200, body: { id: 1 } }));
+    const client = createGitHubClient({ token: 'secret', repository: 'acme/shop', apiUrl: server.url });
+
+    await client.request('POST', '/check-runs', { name: 'EnsureUI' });
+
+    const [request] = server.requests;
+    assert.strictEqual(request.url, '/repos/acme/shop/check-runs');
+    assert.strictEqual(request.headers.authorization, 'Bearer secret');
+    assert.strictEqual(request.headers['x-github-api-version'], '2022-11-28');
+    assert.deepStrictEqual(request.body, { name: 'EnsureUI' });
+  });
+
+  test('reports the status and message of failed requests', async () => {
+    server = await startMockGitHub(() => ({ status: 403, body: { message: 'Resource not accessible by integration' } }));
+    const client = createGitHubClient({ token: 'secret', repository: 'acme/shop', apiUrl: server.url });
+
+    await assert.rejects(client.request('POST', '/check-runs', {}), error => {
+      assert.ok(error instanceof GitHubApiError);
+      assert.strictEqual(error.status, 403);
+      assert.match(error.message, /Resource not accessible by integration/);
+      return true;
+    });
+  });
+});
+
+describe('pull request comment', () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  test('creates a comment when the pull request has none from EnsureUI', async () => {
+    server = await startMockGitHub((req, body) => {
+      if (req.method === 'GET') {
+        return { status: 200, body: [{ id: 1, body: 'Looks good to me' }] };
+      }
+      return { status: 201, body: { id: 2, body: body.body } };
+    });
+    const client = createGitHubClient({ token: 't', repository: 'acme/shop', apiUrl: server.url });
+
+    await upsertPullRequestComment(client, 7, 'results');
+
+    const post = server.requests.find(request => request.method === 'POST');
+    assert.strictEqual(post.url, '/repos/acme/shop/issues/7/comments');
+    assert.strictEqual(post.body.body, `${COMMENT_MARKER}\nresults`);
+  });
+
+  test('updates the earlier comment, looking through every page of comments', async () => {
+    server = await startMockGitHub((req, body) => {
+      if (req.method === 'PATCH') {
+        return { status: 200, body: { id: 150, body: body.body } };
+      }
+      const page = new URL(req.url, 'http://localhost').searchParams.get('page');
+      const comments = page === '1' ?
+        Array.from({ length: 100 }, (item, index) => ({ id: index + 1, body: 'other' })) :
+        [{ id: 150, body: `${COMMENT_MARKER}\nold results` }];
+      return { status: 200, body: comments };
+    });
+    const client = createGitHubClient({ token: 't', repository: 'acme/shop', apiUrl: server.url });
+
+    await upsertPullRequestComment(client, 7, 'new results');
+
+    assert.deepStrictEqual(server.requests.map(request => `${request.method} ${request.url}`), [
+      'GET /repos/acme/shop/issues/7/comments?per_page=100&page=1',
+      'GET /repos/acme/shop/issues/7/comments?per_page=100&page=2',
+      'PATCH /repos/acme/shop/issues/comments/150'
+    ]);
+    assert.strictEqual(server.requests[2].body.body, `${COMMENT_MARKER}\nnew results`);
+  });
+});
+
+describe('check run', () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  test('sends annotations in batches of 50', async () => {
+    server = await startMockGitHub(req => ({ status: req.method === 'POST' ? 201 : 200, body: { id: 99 } }));
+    const client = createGitHubClient({ token: 't', repository: 'acme/shop', apiUrl: server.url });
+    const failures = Array.from({ length: 120 }, (item, index) => ({
+      route: '/checkout', name: `expectation ${index}`, path: 'app/checkout/page.tsx', line: index + 1, error: 'Failed'
+    }));
+
+    await createCheckRun(client, { sha: 'abc123', conclusion: 'failure', title: 'title', summary: 'summary', failures });
+
+    assert.deepStrictEqual(server.requests.map(request => `${request.method} ${request.url}`), [
+      'POST /repos/acme/shop/check-runs',
+      'PATCH /repos/acme/shop/check-runs/99',
+      'PATCH /repos/acme/shop/check-runs/99'
+    ]);
+    assert.strictEqual(server.requests[0].body.head_sha, 'abc123');
+    assert.strictEqual(server.requests[0].body.conclusion, 'failure');
+    assert.deepStrictEqual(server.requests.map(request => request.body.output.annotations.length), [50, 50, 20]);
+    assert.deepStrictEqual(server.requests[2].body.output.annotations[0], {
+      path: 'app/checkout/page.tsx',
+      start_line: 101,
+      end_line: 101,
+      annotation_level: 'failure',
+      title: '/checkout: expectation 100',
+      message: 'Failed'
+    });
+  });
+});
+
+describe('publishGitHubResults', () => {
+  let server;
+  let tempDir;
+  let output;
+  const log = {
+    log: line => output.push(line),
+    warn: line => output.push(line)
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-github-'));
+    output = [];
+  });
+
+  afterEach(async () => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  const environment = overrides => ({
+    GITHUB_REPOSITORY: 'acme/shop',
+    GITHUB_TOKEN: 't',
+    GITHUB_API_URL: server.url,
+    GITHUB_SHA: 'merge-sha',
+    PR_HEAD_SHA: 'head-sha',
+    PR_NUMBER: '7',
+    GITHUB_RUN_ID: '42',
+    GITHUB_STEP_SUMMARY: path.join(tempDir, 'summary.md'),
+    GITHUB_WORKSPACE: tempDir,
+    ...overrides
+  });
+
+  test('writes the job summary, the check run and the pull request comment', async () => {
+    server = await startMockGitHub(req => {
+      if (req.method === 'GET') {
+        return { status: 200, body: [] };
+      }
+      return { status: 201, body: { id: 1, html_url: `https://github.com${req.url}` } };
+    });
+    // The project is in a subdirectory of the repository
+    const projectRoot = path.join(tempDir, 'web');
+
+    await publishGitHubResults(failingResults(projectRoot), { projectRoot, env: environment(), log });
+
+    const summary = fs.readFileSync(path.join(tempDir, 'summary.md'), 'utf8');
+    assert.match(summary, /❌ EnsureUI: 1\/2 pages passed/);
+    assert.match(summary, /\| ✅ \| `\/about` \| 1 \| 0 \| 0 \|/);
+    assert.match(summary, /\| ❌ \| `\/checkout` \| 0 \| 1 \| 0 \|/);
+    assert.match(summary, /the total is shown 1 \(`web\/app\/checkout\/page.tsx:10`\): Expected "\$10"/);
+    assert.match(summary, /https:\/\/github.com\/acme\/shop\/actions\/runs\/42/);
+
+    const checkRun = server.requests.find(request => request.url === '/repos/acme/shop/check-runs');
+    assert.strictEqual(checkRun.body.head_sha, 'head-sha');
+    assert.deepStrictEqual(checkRun.body.output.annotations.map(annotation => `${annotation.path}:${annotation.start_line}`),
+      ['web/app/checkout/page.tsx:10']);
+
+    const comment = server.requests.find(request => request.url === '/repos/acme/shop/issues/7/comments' && request.method === 'POST');
+    assert.ok(comment.body.body.startsWith(COMMENT_MARKER));
+    assert.match(comment.body.body, /1\/2 pages passed/);
+  });
+
+  test('annotates with workflow commands when check runs are not allowed', async () => {
+    server = await startMockGitHub(req => {
+      if (req.url.endsWith('/check-runs')) {
+        return { status: 403, body: { message: 'Resource not accessible by integration' } };
+      }
+      return { status: req.method === 'GET' ? 200 : 201, body: req.method === 'GET' ? [] : { id: 1 } };
+    });
+
+    await publishGitHubResults(failingResults(tempDir), { projectRoot: tempDir, env: environment(), log });
+
+    assert.ok(output.some(line => /Could not create check run .*403/.test(line)));
+    assert.ok(output.includes('::error file=app/checkout/page.tsx,line=10,title=/checkout%3A the total is shown 1::Expected "$10"%0AReceived "$0"'));
+    assert.ok(server.requests.some(request => request.method === 'POST' && request.url.endsWith('/issues/7/comments')));
+  });
+
+  test('skips the comment outside pull requests and when disabled', async () => {
+    server = await startMockGitHub(() => ({ status: 201, body: { id: 1 } }));
+
+    await publishGitHubResults(failingResults(tempDir), { projectRoot: tempDir, env: environment({ PR_NUMBER: '' }), log });
+    await publishGitHubResults(failingResults(tempDir), { projectRoot: tempDir, env: environment({ ENSURE_GITHUB_COMMENT: 'false' }), log });
+
+    assert.ok(server.requests.every(request => !request.url.includes('/issues/')));
+  });
+});
@@ -0,0 +1,41 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const { addSecret, redact, redactValue } = require('../lib/logger');
+const { isSessionCookie } = require('../lib/auth');
+
+describe('redaction', () => {
+  before(() => {
+    addSecret('hunter2-password');
+    addSecret('en');
+    addSecret('true');
+  });
+
+  test('masks registered secrets in text', () => {
+    assert.strictEqual(redact('login with hunter2-password failed'), 'login with *** failed');
+  });
+
+  test('ignores values too short to be secrets', () => {
+    assert.strictEqual(redact('true: the heading is shown in en'), 'true: the heading is shown in en');
+  });
+
+  test('redacts values field by field and leaves keys and structure alone', () => {
+    addSecret('passed');
+    const results = { passed: true, pages: [{ route: '/login', error: 'typed passed into the field', passed: false }] };
+
+    const redacted = redactValue(results);
+
+    assert.deepStrictEqual(redacted, { passed: true, pages: [{ route: '/login', error: 'typed *** into the field', passed: false }] });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(redacted)).pages[0].passed, false);
+  });
+});
+
+describe('isSessionCookie', () => {
+  test('treats HttpOnly and session-like cookies as secrets', () => {
+    assert.strictEqual(isSessionCookie({ name: 'next-auth.session-token', value: 'abc' }), true);
+    assert.strictEqual(isSessionCookie({ name: 'id', value: 'abc', httpOnly: true }), true);
+  });
+
+  test('leaves preference cookies readable', () => {
+    assert.strictEqual(isSessionCookie({ name: 'locale', value: 'en-US', httpOnly: false }), false);
+  });
+});
@@ -0,0 +1,108 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseMockNames, resolveMocks, applyMocks, isMocked } = require('../lib/mocks');
+const { EnsureUITester } = require('../lib/tester');
+
+const mocks = {
+  productsDown: [{ url: '**/api/products', status: 503 }],
+  slowSearch: [{ url: '**/api/search?*', method: 'GET', delay: 0.01, json: { results: [] } }],
+  offline: [{ url: '**/api/**', abort: 'internetdisconnected' }]
+};
+
+// Records what a mock handler does with one intercepted request
+function fakeRoute(method = 'GET') {
+  const request = { method: () => method };
+  const route = { request: () => request, calls: [] };
+  for (const action of ['fulfill', 'abort', 'fallback']) {
+    route[action] = async value => { route.calls.push([action, value]); };
+  }
+  return route;
+}
+
+function fakePage() {
+  const handlers = [];
+  return { handlers, route: async (url, handler) => { handlers.push({ url, handler }); }, isClosed: () => false };
+}
+
+describe('mock names', () => {
+  test('accepts space or comma separated names and lists', () => {
+    assert.deepStrictEqual(parseMockNames('productsDown slowSearch'), ['productsDown', 'slowSearch']);
+    assert.deepStrictEqual(parseMockNames(['productsDown,slowSearch', 'offline']), ['productsDown', 'slowSearch', 'offline']);
+  });
+
+  test('resolves names to their mocks in order', () => {
+    assert.deepStrictEqual(resolveMocks(mocks, ['slowSearch', 'productsDown']), [...mocks.slowSearch, ...mocks.productsDown]);
+  });
+
+  test('names the defined mocks for an unknown name', () => {
+    assert.throws(() => resolveMocks(mocks, ['prodcutsDown']), /Unknown mock 'prodcutsDown'. Defined mocks: productsDown, slowSearch, offline/);
+    assert.throws(() => resolveMocks(undefined, ['toString']), /Define it under "mocks" in the config/);
+  });
+});
+
+describe('applyMocks', () => {
+  let projectRoot;
+
+  before(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-mocks-'));
+    fs.writeFileSync(path.join(projectRoot, 'products.json'), '[]');
+  });
+
+  after(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  test('answers matching requests and marks them as mocked', async () => {
+    const page = fakePage();
+    await applyMocks(page, [...mocks.slowSearch, { url: '**/api/products', file: 'products.json' }, ...mocks.offline], projectRoot);
+    const [search, products, offline] = page.handlers.map(({ handler }) => handler);
+
+    const post = fakeRoute('POST');
+    await search(post);
+    const get = fakeRoute('GET');
+    await search(get);
+    const fixture = fakeRoute();
+    await products(fixture);
+    const aborted = fakeRoute();
+    await offline(aborted);
+
+    assert.deepStrictEqual(page.handlers.map(({ url }) => url), ['**/api/search?*', '**/api/products', '**/api/**']);
+    assert.deepStrictEqual(post.calls, [['fallback', undefined]]);
+    assert.strictEqual(isMocked(post.request()), false);
+    assert.deepStrictEqual(get.calls, [['fulfill', { status: 200, headers: undefined, json: { results: [] } }]]);
+    assert.strictEqual(isMocked(get.request()), true);
+    assert.deepStrictEqual(fixture.calls, [['fulfill', { status: 200, headers: undefined, path: path.join(projectRoot, 'products.json') }]]);
+    assert.deepStrictEqual(aborted.calls, [['abort', 'internetdisconnected']]);
+  });
+
+  test('fails before routing when a fixture file is missing', async () => {
+    const page = fakePage();
+
+    await assert.rejects(applyMocks(page, [{ url: '**/api/items', file: 'items.json' }], projectRoot), /Mock fixture items.json for \*\*\/api\/items not found/);
+    assert.deepStrictEqual(page.handlers, []);
+  });
+});
+
+describe('route and expectation mocks', () => {
+  let tester;
+
+  before(() => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-mocks-'));
+    fs.writeFileSync(path.join(projectRoot, 'ensureui.config.json'), JSON.stringify({
+      mocks,
+      routes: { '/shop/**': { mock: 'productsDown' } }
+    }));
+    tester = new EnsureUITester({ projectRoot, offline: true, deploymentUrl: 'https://example.com' });
+  });
+
+  after(() => fs.rmSync(tester.projectRoot, { recursive: true, force: true }));
+
+  test('applies the route mocks first so the expectation mocks win', () => {
+    const settings = tester.getRouteSettings('/shop/cart');
+
+    assert.deepStrictEqual(tester.getMocks(settings), mocks.productsDown);
+    assert.deepStrictEqual(tester.getMocks(settings, { mocks: ['offline'] }), [...mocks.productsDown, ...mocks.offline]);
+    assert.deepStrictEqual(tester.getMocks(tester.getRouteSettings('/about')), []);
+  });
+});
@@ -0,0 +1,85 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadParamSets, parseParamsExpectation } = require('../lib/params');
+const { EnsureUITester } = require('../lib/tester');
+
+describe('loadParamSets', () => {
+  let projectRoot;
+  let pageFile;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-params-'));
+    pageFile = path.join(projectRoot, 'app', 'posts', '[id]', 'page.tsx');
+    fs.mkdirSync(path.dirname(pageFile), { recursive: true });
+  });
+
+  afterEach(() => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  const load = source => loadParamSets(source, { pageFile, projectRoot });
+
+  test('parses inline values', () => {
+    assert.deepStrictEqual(parseParamsExpectation('params: id=1, preview="true"'), { source: 'id=1, preview="true"' });
+    assert.deepStrictEqual(load('id=1, preview="true"'), [{ id: '1', preview: 'true' }]);
+    assert.deepStrictEqual(load('{"slug": ["guides", "intro"]}'), [{ slug: ['guides', 'intro'] }]);
+  });
+
+  test('reads CSV with quoted fields, relative to the page file', () => {
+    fs.writeFileSync(path.join(path.dirname(pageFile), 'posts.csv'), 'id,title\r\n1,"Hello, ""world"""\n\n2,"Two\nlines"\n');
+
+    assert.deepStrictEqual(load('./posts.csv'), [{ id: '1', title: 'Hello, "world"' }, { id: '2', title: 'Two\nlines' }]);
+  });
+
+  test('reads JSON fixtures relative to the project root', () => {
+    fs.writeFileSync(path.join(projectRoot, 'posts.json'), '[{"id": 1}]');
+    fs.writeFileSync(path.join(projectRoot, 'post.json'), '{"id": 1}');
+
+    assert.deepStrictEqual(load('posts.json'), [{ id: 1 }]);
+    assert.throws(() => load('post.json'), /expected a JSON array of objects/);
+  });
+
+  test('reads literal generateStaticParams exports', () => {
+    fs.writeFileSync(pageFile, 'export async function generateStaticParams() { return [{ id: "1" }, { id: "2" }]; }');
+
+    assert.deepStrictEqual(load('generateStaticParams'), [{ id: '1' }, { id: '2' }]);
+  });
+});
+
+describe('parameterized pages', () => {
+  let tester;
+
+  beforeEach(() => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-params-'));
+    fs.writeFileSync(path.join(projectRoot, 'ensureui.config.json'), '{}');
+    tester = new EnsureUITester({ projectRoot, offline: true, deploymentUrl: 'https://example.com' });
+  });
+
+  afterEach(() => fs.rmSync(tester.projectRoot, { recursive: true, force: true }));
+
+  // Visual checks need no LLM to split them
+  function writePage(csv) {
+    const pageFile = path.join(tester.projectRoot, 'app', 'posts', '[id]', 'page.tsx');
+    fs.mkdirSync(path.dirname(pageFile), { recursive: true });
+    fs.writeFileSync(path.join(path.dirname(pageFile), 'posts.csv'), csv);
+    fs.writeFileSync(pageFile, '// ensureUI: params: ./posts.csv\n// ensureUI: visual\nexport default function Page() { return null; }\n');
+    return pageFile;
+  }
+
+  test('runs the page once per parameter set', async () => {
+    const pages = await tester.buildPages(writePage('id\n1\n2\n1\n'));
+
+    assert.deepStrictEqual(pages.map(page => page.route), ['/posts/1', '/posts/2']);
+    assert.deepStrictEqual(tester.parameterErrors, []);
+  });
+
+  test('reports a params source without parameter sets', async () => {
+    const pages = await tester.buildPages(writePage('id\n'));
+
+    assert.deepStrictEqual(pages, []);
+    assert.deepStrictEqual(tester.parameterErrors, [
+      { file: 'app/posts/[id]/page.tsx', line: 1, params: null, message: "Params './posts.csv' contain no parameter sets" }
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkBudgets, formatMetrics } = require('../lib/performance');
+const { EnsureUITester } = require('../lib/tester');
+
+const metrics = { ttfb: 120, fcp: 800, domContentLoaded: 900, load: 1500, lcp: 3100, cls: 0.02, tbt: null, requests: 42, transferSize: 2.5 * 1024 * 1024 };
+
+describe('checkBudgets', () => {
+  test('lists the metrics over their budget', () => {
+    assert.deepStrictEqual(checkBudgets(metrics, { lcp: 2500, cls: 0.1, transferSize: 1024 * 1024 }), [
+      { metric: 'lcp', value: 3100, budget: 2500 },
+      { metric: 'transferSize', value: 2.5 * 1024 * 1024, budget: 1024 * 1024 }
+    ]);
+  });
+
+  test('passes metrics at their budget and metrics the browser did not report', () => {
+    assert.deepStrictEqual(checkBudgets(metrics, { lcp: 3100, tbt: 100 }), []);
+  });
+
+  test('formats metrics in their unit', () => {
+    assert.strictEqual(formatMetrics(metrics),
+      'ttfb 120ms · fcp 800ms · domContentLoaded 900ms · load 1500ms · lcp 3100ms · cls 0.02 · tbt n/a · requests 42 · transferSize 2.5 MB');
+  });
+});
+
+describe('route budgets', () => {
+  let tester;
+  const project = { name: 'chromium', browser: 'chromium', device: null };
+
+  before(() => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-budgets-'));
+    fs.writeFileSync(path.join(projectRoot, 'ensureui.config.json'), JSON.stringify({
+      budgets: { lcp: 2500, requests: 50 },
+      routes: { '/shop/**': { budgets: { lcp: 4000 } } }
+    }));
+    tester = new EnsureUITester({ projectRoot, offline: true, deploymentUrl: 'https://example.com' });
+  });
+
+  after(() => fs.rmSync(tester.projectRoot, { recursive: true, force: true }));
+
+  test('override the global budgets metric by metric', () => {
+    assert.deepStrictEqual(tester.getRouteSettings('/shop/cart').budgets, { lcp: 4000, requests: 50 });
+    assert.deepStrictEqual(tester.getRouteSettings('/about').budgets, { lcp: 2500, requests: 50 });
+  });
+
+  test('fail the budget check with every metric over budget', () => {
+    const check = tester.checkPerformanceBudgets(project, metrics, { lcp: 2500, requests: 40 });
+
+    assert.strictEqual(check.passed, false);
+    assert.strictEqual(check.error, 'Over budget: lcp 3100ms > 2500ms, requests 42 > 40');
+    assert.strictEqual(check.sourceFile, path.join(tester.projectRoot, 'ensureui.config.json'));
+  });
+
+  test('fail the budget check when no metrics were collected', () => {
+    assert.deepStrictEqual(
+      [true, false].map(collected => tester.checkPerformanceBudgets(project, collected ? metrics : null, { lcp: 4000 }).error),
+      [null, 'Performance metrics could not be collected']
+    );
+  });
+});
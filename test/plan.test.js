@@ -0,0 +1,137 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPlan, formatPlan } = require('../lib/plan');
+const { EnsureUITester } = require('../lib/tester');
+
+describe('plan', () => {
+  let tester;
+  let pages;
+
+  const expectation = (text, lineNumber, extra = {}) => ({
+    text,
+    lineNumber,
+    originalComment: text,
+    targets: [],
+    tags: [],
+    skip: false,
+    only: false,
+    timeout: null,
+    ...extra
+  });
+
+  before(() => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-plan-'));
+    fs.writeFileSync(path.join(projectRoot, 'ensureui.config.json'), JSON.stringify({
+      mocks: { productsDown: [{ url: '**/api/products', status: 503 }] },
+      routes: { '/shop/**': { mock: 'productsDown', budgets: { lcp: 4000 }, failOn: { consoleErrors: true } } }
+    }));
+    tester = new EnsureUITester({ projectRoot, offline: true, deploymentUrl: 'https://example.com' });
+    tester.getTestCode = async (pageInfo, text) => {
+      if (text.includes('pay')) {
+        throw new Error('No cached code in offline mode');
+      }
+      return `await expect(page.getByText(${JSON.stringify(text)})).toBeVisible();`;
+    };
+    tester.parameterErrors = [{ file: 'app/blog/[slug]/page.tsx', line: 2, params: null, message: "Params 'posts.json' contain no parameter sets" }];
+
+    pages = [
+      {
+        route: '/shop/cart',
+        url: 'https://example.com/shop/cart',
+        filePath: path.join(projectRoot, 'app/shop/cart/page.tsx'),
+        auth: 'customer',
+        expectations: [
+          expectation('the cart lists the items', 3, { originalComment: 'the cart lists the items and the pay button is shown', tags: ['smoke'] }),
+          expectation('the pay button is shown', 3, { originalComment: 'the cart lists the items and the pay button is shown', targets: ['mobile'], timeout: 30000 })
+        ]
+      },
+      {
+        route: '/about',
+        url: 'https://example.com/about',
+        filePath: path.join(projectRoot, 'app/about/page.tsx'),
+        urlParams: { lang: 'en' },
+        expectations: [expectation('visual', 5, { visual: { name: 'page' }, skip: true })]
+      }
+    ];
+  });
+
+  after(() => fs.rmSync(tester.projectRoot, { recursive: true, force: true }));
+
+  test('lists pages by route with their settings and expectations', async () => {
+    const plan = await buildPlan(tester, pages);
+
+    assert.strictEqual(plan.framework, 'next');
+    assert.deepStrictEqual(plan.pages.map(page => page.route), ['/about', '/shop/cart']);
+    assert.deepStrictEqual({ ...plan.pages[1], expectations: plan.pages[1].expectations.length }, {
+      route: '/shop/cart',
+      url: 'https://example.com/shop/cart',
+      file: 'app/shop/cart/page.tsx',
+      params: null,
+      urlParams: {},
+      auth: 'customer',
+      mocks: ['productsDown'],
+      budgets: { lcp: 4000 },
+      failOn: ['console-errors'],
+      expectations: 2
+    });
+    assert.deepStrictEqual(plan.pages[1].expectations[1], {
+      text: 'the pay button is shown',
+      source: 'app/shop/cart/page.tsx:3',
+      comment: 'the cart lists the items and the pay button is shown',
+      targets: ['mobile'],
+      tags: [],
+      skip: false,
+      only: false,
+      timeout: 30000,
+      mocks: [],
+      visual: false
+    });
+    assert.deepStrictEqual(plan.errors, tester.parameterErrors);
+  });
+
+  test('adds the generated code, or why it could not be generated', async () => {
+    const plan = await buildPlan(tester, pages, { code: true });
+
+    assert.deepStrictEqual(plan.pages[1].expectations.map(({ code, error }) => ({ code, error })), [
+      { code: 'await expect(page.getByText("the cart lists the items")).toBeVisible();', error: undefined },
+      { code: null, error: 'Code generation failed: No cached code in offline mode' }
+    ]);
+    assert.match(plan.pages[0].expectations[0].code, /toHaveScreenshot\("about-page\.png"/);
+  });
+
+  test('formats the plan as a tree', async () => {
+    const output = formatPlan(await buildPlan(tester, pages, { code: true }));
+
+    assert.strictEqual(output, [
+      '/about',
+      '│  url:        https://example.com/about',
+      '│  file:       app/about/page.tsx',
+      '│  url params: lang=en',
+      '└─ visual  [skip, visual]',
+      '     app/about/page.tsx:5',
+      '       await expect(page).toHaveScreenshot("about-page.png", { fullPage: true });',
+      '',
+      '/shop/cart',
+      '│  url:        https://example.com/shop/cart',
+      '│  file:       app/shop/cart/page.tsx',
+      '│  auth:       customer',
+      '│  mocks:      productsDown',
+      '│  budgets:    lcp 4000',
+      '│  fail on:    console-errors',
+      '├─ the cart lists the items  [@smoke]',
+      '│    app/shop/cart/page.tsx:3 - split from "the cart lists the items and the pay button is shown"',
+      '│      await expect(page.getByText("the cart lists the items")).toBeVisible();',
+      '└─ the pay button is shown  [timeout=30s, on mobile]',
+      '     app/shop/cart/page.tsx:3 - split from "the cart lists the items and the pay button is shown"',
+      '       // Code generation failed: No cached code in offline mode',
+      '',
+      '❌ Parameter errors:',
+      "  app/blog/[slug]/page.tsx:2: Params 'posts.json' contain no parameter sets",
+      '',
+      '📋 2 pages, 3 expectations, 1 parameter errors'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,47 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { compilePattern, evaluatePolicies } = require('../lib/policies');
+const { validateConfig, ConfigError } = require('../lib/config');
+
+const collected = {
+  consoleErrors: ['Failed to load resource: favicon.ico', 'Hydration failed'],
+  pageErrors: [],
+  failedRequests: [
+    { method: 'GET', url: 'https://example.com/api/items', status: 500, error: null },
+    { method: 'GET', url: 'https://cdn.example.com/font.woff2', status: null, error: 'net::ERR_ABORTED' }
+  ]
+};
+
+describe('compilePattern', () => {
+  test('matches substrings and /regular expressions/', () => {
+    assert.strictEqual(compilePattern('favicon')('GET /favicon.ico'), true);
+    assert.strictEqual(compilePattern('/^net::ERR_ABORTED /i')('net::err_aborted GET /font'), true);
+    assert.strictEqual(compilePattern('/^500 /')('404 GET /api'), false);
+  });
+});
+
+describe('evaluatePolicies', () => {
+  test('checks only the enabled policies', () => {
+    const checks = evaluatePolicies({ consoleErrors: true, pageErrors: true }, collected);
+
+    assert.deepStrictEqual(checks.map(check => [check.type, check.passed]), [['console-errors', false], ['page-errors', true]]);
+    assert.strictEqual(checks[0].error, '2 console errors:\n- Failed to load resource: favicon.ico\n- Hydration failed');
+  });
+
+  test('skips problems matching an allow pattern', () => {
+    const [check] = evaluatePolicies({ failedRequests: true, allow: ['/^net::ERR_ABORTED /'] }, collected);
+
+    assert.deepStrictEqual(check.details, ['500 GET https://example.com/api/items']);
+    assert.strictEqual(check.error, '1 failed request:\n- 500 GET https://example.com/api/items');
+  });
+});
+
+describe('failOn config', () => {
+  test('reports invalid allow patterns with their path', () => {
+    assert.throws(
+      () => validateConfig({ routes: { '/legacy': { failOn: { allow: ['ok', '/(/'] } } } }, 'ensureui.config.json'),
+      error => error instanceof ConfigError &&
+        error.problems.length === 1 && error.problems[0].startsWith('config.routes["/legacy"].failOn.allow[1]: Invalid regular expression')
+    );
+  });
+});
@@ -0,0 +1,85 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createLimiter, runPool } = require('../lib/pool');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Wraps async tasks to record how many of them run at the same time
+function tracker() {
+  const state = { active: 0, peak: 0 };
+  state.track = fn => async (...args) => {
+    state.active++;
+    state.peak = Math.max(state.peak, state.active);
+    try {
+      await tick();
+      return await fn(...args);
+    } finally {
+      state.active--;
+    }
+  };
+  return state;
+}
+
+describe('createLimiter', () => {
+  test('runs at most `concurrency` tasks at once and resolves each with its result', async () => {
+    const limit = createLimiter(2);
+    const state = tracker();
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => limit(state.track(async () => n * 10))));
+
+    assert.deepStrictEqual(results, [10, 20, 30, 40, 50]);
+    assert.strictEqual(state.peak, 2);
+  });
+
+  test('rejects only the failing task and keeps running the queue', async () => {
+    const limit = createLimiter(1);
+    const failing = limit(async () => { throw new Error('quota exceeded'); });
+    const after = limit(() => 'next');
+
+    await assert.rejects(failing, /quota exceeded/);
+    assert.strictEqual(await after, 'next');
+  });
+
+  test('treats a missing or zero concurrency as one', async () => {
+    for (const concurrency of [undefined, 0]) {
+      const limit = createLimiter(concurrency);
+      const state = tracker();
+      await Promise.all([1, 2, 3].map(() => limit(state.track(async () => null))));
+      assert.strictEqual(state.peak, 1);
+    }
+  });
+});
+
+describe('runPool', () => {
+  test('returns the results in input order with at most `workers` running', async () => {
+    const state = tracker();
+    const delays = [3, 0, 2, 0, 1];
+
+    const results = await runPool(delays, 2, state.track(async (delay, index) => {
+      for (let i = 0; i < delay; i++) {
+        await tick();
+      }
+      return `${index}:${delay}`;
+    }));
+
+    assert.deepStrictEqual(results, ['0:3', '1:0', '2:2', '3:0', '4:1']);
+    assert.strictEqual(state.peak, 2);
+  });
+
+  test('starts no more workers than items and handles an empty list', async () => {
+    const state = tracker();
+
+    assert.deepStrictEqual(await runPool(['a'], 4, state.track(async item => item.toUpperCase())), ['A']);
+    assert.strictEqual(state.peak, 1);
+    assert.deepStrictEqual(await runPool([], 4, () => assert.fail('not called')), []);
+  });
+
+  test('rejects with the first error', async () => {
+    await assert.rejects(runPool([1, 2], 2, async item => {
+      if (item === 2) {
+        throw new Error('browser crashed');
+      }
+      return item;
+    }), /browser crashed/);
+  });
+});
@@ -0,0 +1,31 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createProvider } = require('../lib/providers');
+
+describe('createProvider', () => {
+  test('uses the preset of a known provider', () => {
+    const provider = createProvider({ provider: 'anthropic', apiKey: 'key' });
+
+    assert.strictEqual(provider.format, 'anthropic');
+    assert.deepStrictEqual(provider.headers, { 'anthropic-version': '2023-06-01', 'x-api-key': 'key' });
+  });
+
+  test('treats a custom provider with a base URL as OpenAI-compatible', () => {
+    const provider = createProvider({ provider: 'gateway', baseUrl: 'http://localhost:8080/v1/chat/completions', model: 'llama3', apiKey: 'key' });
+
+    assert.strictEqual(provider.format, 'openai');
+    assert.deepStrictEqual(provider.headers, { 'Authorization': 'Bearer key' });
+  });
+
+  test('treats a base URL without a provider name as a custom endpoint that needs no key', () => {
+    const provider = createProvider({ baseUrl: 'http://localhost:11434/v1/chat/completions', model: 'llama3' });
+
+    assert.deepStrictEqual([provider.name, provider.format, provider.headers], ['custom', 'openai', {}]);
+    assert.throws(() => createProvider({ baseUrl: 'http://localhost:11434/v1/chat/completions' }), /A model is required for LLM provider 'custom'/);
+  });
+
+  test('names the problem with unknown providers and formats', () => {
+    assert.throws(() => createProvider({ provider: 'gateway', apiKey: 'key' }), /Unknown LLM provider 'gateway'/);
+    assert.throws(() => createProvider({ provider: 'gateway', baseUrl: 'http://localhost', format: 'gemini', model: 'm' }), /Unknown LLM API format 'gemini'/);
+  });
+});
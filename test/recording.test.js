@@ -0,0 +1,72 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseRecordingModes, recordingKinds, recordingContextOptions, finishRecording } = require('../lib/recording');
+
+// A context whose trace, video and HAR files are written on stop/close
+function fakeContext(base) {
+  const video = `${base}-raw.webm`;
+  return {
+    tracing: { stop: async ({ path: file }) => fs.writeFileSync(file, 'trace') },
+    close: async () => {
+      fs.writeFileSync(video, 'video');
+      fs.writeFileSync(`${base}.har`, 'har');
+    },
+    page: { video: () => ({ path: async () => video }) }
+  };
+}
+
+describe('recording modes', () => {
+  test('defaults every kind to off and rejects unknown modes', () => {
+    assert.deepStrictEqual(parseRecordingModes({ trace: 'on' }), { trace: 'on', video: 'off', har: 'off' });
+    assert.throws(() => parseRecordingModes({ video: 'always' }), /Unknown video mode 'always'. Use one of off, on, retain-on-failure/);
+  });
+
+  test('records each kind on the attempts its mode covers', () => {
+    const modes = { trace: 'on-first-retry', video: 'on-all-retries', har: 'retain-on-failure' };
+
+    assert.deepStrictEqual([1, 2, 3].map(attempt => recordingKinds(modes, attempt)), [['har'], ['trace', 'video', 'har'], ['video', 'har']]);
+    assert.deepStrictEqual(recordingKinds({ trace: 'off', video: 'off', har: 'off' }, 2), []);
+  });
+
+  test('passes video and HAR as context options', () => {
+    assert.deepStrictEqual(recordingContextOptions(['trace', 'video', 'har'], '/shots/about_1a2b', '/shots'), {
+      recordVideo: { dir: '/shots' },
+      recordHar: { path: '/shots/about_1a2b.har' }
+    });
+    assert.deepStrictEqual(recordingContextOptions(['trace'], '/shots/about_1a2b', '/shots'), {});
+  });
+});
+
+describe('finishRecording', () => {
+  let dir;
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-recording-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const kinds = ['trace', 'video', 'har'];
+
+  test('keeps the recordings of a failed attempt next to the screenshot', async () => {
+    const base = path.join(dir, 'about_1a2b');
+    const context = fakeContext(base);
+    const modes = { trace: 'retain-on-failure', video: 'retain-on-failure', har: 'on' };
+
+    const files = await finishRecording(context, context.page, { kinds, modes, base, passed: false });
+
+    assert.deepStrictEqual(files, { trace: `${base}.trace.zip`, video: `${base}.webm`, har: `${base}.har` });
+    assert.ok(Object.values(files).every(file => fs.existsSync(file)));
+  });
+
+  test('removes the recordings of a passed attempt unless the mode is on', async () => {
+    const base = path.join(dir, 'about_1a2b');
+    const context = fakeContext(base);
+    const modes = { trace: 'retain-on-failure', video: 'on-first-retry', har: 'on' };
+
+    const files = await finishRecording(context, context.page, { kinds, modes, base, passed: true });
+
+    assert.deepStrictEqual(files, { har: `${base}.har` });
+    assert.deepStrictEqual(fs.readdirSync(dir), ['about_1a2b.har']);
+  });
+});
@@ -0,0 +1,65 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJunitReport } = require('../lib/reporters/junit');
+const { writeHtmlReport } = require('../lib/reporters/html');
+
+// A failed page whose expectation, error and code all contain markup
+function markupResults(projectRoot) {
+  return {
+    totalPages: 1,
+    passedPages: 0,
+    failedPages: 1,
+    pages: [{
+      route: '/search?q=<b>&sort="new"',
+      url: 'https://example.com/search?q=<b>&sort="new"',
+      filePath: path.join(projectRoot, 'app/search/page.tsx'),
+      passed: false,
+      consoleErrors: ['<script>alert(1)</script>'],
+      redirectChain: [{ url: 'https://example.com/a&b', status: 302, location: '/c?d=<e>' }],
+      generatedTests: [{
+        expectation: 'the "Clear" <button> & the <input> are shown',
+        passed: false,
+        lineNumber: 4,
+        tags: ['a<b'],
+        error: '\u001b[31mExpected: "<button>"\u001b[39m\u0007\nReceived: <div>',
+        generatedCode: "await expect(page.locator('a[href=\"/x?y=1&z=2\"]')).toBeVisible();"
+      }]
+    }]
+  };
+}
+
+describe('reporters', () => {
+  let outputDir;
+
+  beforeEach(() => { outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-reporters-')); });
+  afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  test('JUnit escapes attributes and text and drops characters XML cannot hold', () => {
+    const report = fs.readFileSync(writeJunitReport(markupResults(outputDir), { outputDir, projectRoot: outputDir }), 'utf8');
+
+    assert.ok(report.includes('<testsuite name="/search?q=&lt;b&gt;&amp;sort=&quot;new&quot;" tests="1" failures="1" errors="0" skipped="0" file="app/search/page.tsx">'));
+    assert.ok(report.includes('<testcase name="the &quot;Clear&quot; &lt;button&gt; &amp; the &lt;input&gt; are shown" classname="/search?q=&lt;b&gt;&amp;sort=&quot;new&quot;" file="app/search/page.tsx" line="4">'));
+    assert.ok(report.includes('<failure type="assertion" message="Expected: &quot;&lt;button&gt;&quot;">Expected: &quot;&lt;button&gt;&quot;\nReceived: &lt;div&gt;</failure>'));
+    assert.ok(report.includes('tags: a&lt;b\ncode:\nawait expect(page.locator(\'a[href=&quot;/x?y=1&amp;z=2&quot;]\')).toBeVisible();'));
+    assert.ok(report.includes('console errors:\n&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(report.includes('302 https://example.com/a&amp;b -&gt; /c?d=&lt;e&gt;'));
+    assert.doesNotMatch(report, /[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+  });
+
+  test('HTML escapes every value taken from the results', () => {
+    const report = fs.readFileSync(writeHtmlReport(markupResults(outputDir), { outputDir, projectRoot: outputDir }), 'utf8');
+    const body = report.slice(report.indexOf('<body>'));
+
+    assert.ok(body.includes('<h2>❌ /search?q=&lt;b&gt;&amp;sort=&quot;new&quot;</h2>'));
+    assert.ok(body.includes('<a href="https://example.com/search?q=&lt;b&gt;&amp;sort=&quot;new&quot;">'));
+    assert.ok(body.includes('❌ the &quot;Clear&quot; &lt;button&gt; &amp; the &lt;input&gt; are shown <span class="muted">app/search/page.tsx:4</span>'));
+    assert.ok(body.includes('<span class="tag">@a&lt;b</span>'));
+    assert.ok(body.includes('<pre class="error">Expected: &quot;&lt;button&gt;&quot;\u0007\nReceived: &lt;div&gt;</pre>'));
+    assert.ok(body.includes('<li>&lt;script&gt;alert(1)&lt;/script&gt;</li>'));
+    assert.ok(body.includes('<li>302 https://example.com/a&amp;b → /c?d=&lt;e&gt;</li>'));
+    assert.doesNotMatch(body, /<script>|<button>|<input>|<div>|\u001b/);
+  });
+});
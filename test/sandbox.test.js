@@ -0,0 +1,178 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const {
+  validateTestCode,
+  createMembrane,
+  runTestCode,
+  isCodeError,
+  UnsafeCodeError,
+  TestTimeoutError
+} = require('../lib/sandbox');
+
+// Just enough of Playwright's expect for the generated code below
+function fakeExpect(actual) {
+  return {
+    toBe: expected => assert.strictEqual(actual, expected),
+    toEqual: expected => assert.deepStrictEqual(actual, expected)
+  };
+}
+
+function fakePage(overrides = {}) {
+  return {
+    _connection: { env: process.env },
+    url: () => 'https://example.com/about',
+    title: () => new Promise(resolve => setTimeout(() => resolve('About'), 1)),
+    evaluate: async (fn, arg) => ({ source: String(fn), arg }),
+    ...overrides
+  };
+}
+
+describe('validateTestCode', () => {
+  const rejects = code => assert.throws(() => validateTestCode(code), UnsafeCodeError);
+
+  test('accepts ordinary Playwright code', () => {
+    validateTestCode(`
+      const heading = page.getByRole('heading', { name: 'About' });
+      await expect(heading).toBeVisible();
+      const sizes = (await page.locator('li').allTextContents()).map(Number).filter(size => size > Math.max(1, 2));
+      expect(redirectChain[0].status).toBe(301);
+      expect(Object.keys(metrics)).toContain('lcp');
+      expect(Number.MAX_SAFE_INTEGER).toBeGreaterThan(sizes.length);
+    `);
+  });
+
+  test('rejects builtin functions passed as values', () => {
+    rejects('[expect].map(Object.getPrototypeOf)');
+    rejects('const { getPrototypeOf } = Object');
+    rejects('const O = Object; O.keys(page)');
+  });
+
+  test('rejects direct calls of anything but declared functions and allowed globals', () => {
+    rejects('require("fs")');
+    rejects('(0, expect.soft)(1)');
+    rejects('page.url.bind(page)()()');
+    validateTestCode('function visible(locator) { return locator.isVisible(); } await visible(page.locator("h1"))');
+  });
+
+  test('rejects tagged templates, internals and prototype access', () => {
+    rejects('page.context``');
+    rejects('page._connection');
+    rejects('page["_connection"]');
+    rejects('page.constructor');
+    rejects('page["__proto__"]');
+    rejects('const __ensureuiGuard = () => {}; for (;;) {}');
+  });
+});
+
+describe('membrane', () => {
+  let context;
+  let membrane;
+
+  before(() => {
+    context = vm.createContext({}, { codeGeneration: { strings: false, wasm: false } });
+    membrane = createMembrane(context);
+    context.expect = membrane.toSandbox(fakeExpect);
+    context.page = membrane.toSandbox(fakePage({ title: async () => { throw new Error('closed'); } }));
+  });
+
+  const run = code => membrane.toHost(vm.runInContext(`(async () => {\n${code}\n})()`, context));
+
+  test('hides host prototypes and constructors', async () => {
+    const result = await run(`
+      const descriptors = Object.getOwnPropertyDescriptors(expect);
+      return [Object.getPrototypeOf(expect), Object.getPrototypeOf(page), 'constructor' in page,
+        Object.values(descriptors).some(descriptor => descriptor.value === Function)];
+    `);
+    assert.deepStrictEqual(result, [null, null, false, false]);
+  });
+
+  test('hides underscore internals', async () => {
+    assert.deepStrictEqual(await run('return [page._connection, Object.keys(page).includes("_connection")]'), [undefined, false]);
+  });
+
+  test('passes host errors as proxies and unwraps them on the way out', async () => {
+    const caught = await run('try { await page.title(); } catch (error) { return [error.message, Object.getPrototypeOf(error)]; }');
+    assert.deepStrictEqual(caught, ['closed', null]);
+    await assert.rejects(run('await page.title()'), error => error instanceof Error && error.message === 'closed');
+  });
+});
+
+describe('runTestCode', () => {
+  before(() => { process.env.ENSUREUI_SANDBOX_SECRET = 'ensureui-sandbox-test-secret'; });
+  after(() => { delete process.env.ENSUREUI_SANDBOX_SECRET; });
+
+  test('does not let the getPrototypeOf escape reach process.env', async () => {
+    const code = `
+      const F = [expect].map(Object.getPrototypeOf).map(Object.getOwnPropertyDescriptors)
+        .map(descriptors => Object.values(descriptors).find(descriptor => descriptor.value && descriptor.value.name === 'Function'))[0].value;
+      console.log(F('return process.env.ENSUREUI_SANDBOX_SECRET')());
+    `;
+
+    await assert.rejects(runTestCode(code, { page: fakePage(), expect: fakeExpect }), UnsafeCodeError);
+  });
+
+  test('runs code against the globals', async () => {
+    await runTestCode(`
+      expect(await page.title()).toBe('About');
+      expect(page.url()).toBe('https://example.com/about');
+      expect(redirectChain.map(redirect => redirect.status)).toEqual([301]);
+      expect(JSON.stringify(metrics)).toBe('{"lcp":1200}');
+      expect(new URL(page.url()).pathname).toBe('/about');
+    `, { page: fakePage(), expect: fakeExpect, redirectChain: [{ url: '/old', status: 301 }], metrics: { lcp: 1200 } });
+  });
+
+  test('sends the source of callbacks to page.evaluate()', async () => {
+    const page = fakePage();
+    let evaluated = null;
+    page.evaluate = async (fn, arg) => { evaluated = { source: String(fn), arg }; };
+
+    await runTestCode('await page.evaluate(element => element.textContent, { selector: "h1" })', { page, expect: fakeExpect });
+    assert.deepStrictEqual(evaluated, { source: 'element => element.textContent', arg: { selector: 'h1' } });
+
+    await runTestCode('await page.evaluate(items => { for (const item of items) item.click(); })', { page, expect: fakeExpect });
+    assert.strictEqual(evaluated.source, 'items => { for (const item of items) item.click(); }');
+  });
+
+  test('stops awaited loops at the timeout', async () => {
+    await assert.rejects(
+      runTestCode('while (true) { await page.title(); }', { page: fakePage(), expect: fakeExpect }, { timeout: 100 }),
+      error => error.name === 'TimeoutError' && !isCodeError(error)
+    );
+  });
+
+  test('stops loops that never yield to the host', async () => {
+    await assert.rejects(
+      runTestCode('while (true) {}', { page: fakePage(), expect: fakeExpect }, { timeout: 100 }),
+      error => error.name === 'TimeoutError'
+    );
+  });
+
+  test('stops loops and recursion that only await microtasks', async () => {
+    for (const code of [
+      'await page.title(); for (;;) { await null; }',
+      'for (;;) { try { await null; } catch (error) {} }',
+      'const spin = async () => (await null, spin()); await spin();'
+    ]) {
+      const started = Date.now();
+      await assert.rejects(
+        runTestCode(code, { page: fakePage(), expect: fakeExpect }, { timeout: 200 }),
+        error => error instanceof TestTimeoutError
+      );
+      assert.ok(Date.now() - started < 1000, code);
+    }
+  });
+
+  test('does not hand out host methods outside the allowlist', async () => {
+    const page = fakePage();
+    let screenshots = 0;
+    page.screenshot = () => { screenshots++; };
+
+    await assert.rejects(
+      runTestCode('[{ path: "/etc/evil" }].forEach(page.screenshot, page);', { page, expect: fakeExpect }),
+      error => error.name === 'TypeError' && isCodeError(error)
+    );
+    await runTestCode('expect(typeof page.screenshot).toBe("undefined"); expect(typeof page.title).toBe("function");', { page, expect: fakeExpect });
+    assert.strictEqual(screenshots, 0);
+  });
+});
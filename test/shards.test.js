@@ -0,0 +1,117 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeShardResults, mergeShardResults } = require('../lib/reporters/shards');
+const { parseShard, selectShard } = require('../lib/selection');
+const { addSecret } = require('../lib/logger');
+
+function shardResults(projectRoot, route, passed = true) {
+  const screenshot = path.join(projectRoot, 'screenshots', `${route.slice(1)}.png`);
+  return {
+    totalPages: 1,
+    passedPages: passed ? 1 : 0,
+    failedPages: passed ? 0 : 1,
+    pages: [{
+      route,
+      url: `https://example.com${route}`,
+      filePath: path.join(projectRoot, `app${route}/page.tsx`),
+      passed,
+      consoleErrors: [],
+      generatedTests: [{
+        expectation: 'the heading is shown',
+        passed,
+        screenshot,
+        recordings: passed ? null : { trace: path.join(projectRoot, 'screenshots', `${route.slice(1)}.trace.zip`) },
+        attempts: [{ attempt: 1, passed, recordings: null }]
+      }]
+    }]
+  };
+}
+
+describe('shard results', () => {
+  let root;
+
+  beforeEach(() => { root = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-shards-')); });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  // Runs a shard in its own checkout and "uploads" its output and
+  // screenshot directories to artifacts/shard-<index>
+  function runShard(index, total, route, passed) {
+    const checkout = path.join(root, `job-${index}`);
+    const outputDir = path.join(checkout, 'ensureui-report');
+    fs.mkdirSync(path.join(checkout, 'screenshots'), { recursive: true });
+    fs.writeFileSync(path.join(checkout, 'screenshots', `${route.slice(1)}.png`), 'png');
+
+    writeShardResults(shardResults(checkout, route, passed), { index, total }, { outputDir, projectRoot: checkout });
+    fs.cpSync(checkout, path.join(root, 'artifacts', `shard-${index}`), { recursive: true });
+  }
+
+  test('merges the shards and resolves artifacts where they were downloaded', () => {
+    runShard(1, 2, '/about', true);
+    runShard(2, 2, '/checkout', false);
+    const projectRoot = path.join(root, 'merge');
+
+    const { results, shards, missing } = mergeShardResults([path.join(root, 'artifacts')], { projectRoot });
+
+    assert.strictEqual(shards, 2);
+    assert.deepStrictEqual(missing, []);
+    assert.deepStrictEqual([results.totalPages, results.passedPages, results.failedPages], [2, 1, 1]);
+    assert.deepStrictEqual(results.pages.map(page => page.filePath),
+      [path.join(projectRoot, 'app/about/page.tsx'), path.join(projectRoot, 'app/checkout/page.tsx')]);
+
+    const [about, checkout] = results.pages.map(page => page.generatedTests[0]);
+    assert.strictEqual(about.screenshot, path.join(root, 'artifacts', 'shard-1', 'screenshots', 'about.png'));
+    assert.ok(fs.existsSync(about.screenshot));
+    assert.strictEqual(checkout.recordings.trace, path.join(root, 'artifacts', 'shard-2', 'screenshots', 'checkout.trace.zip'));
+  });
+
+  test('stores paths relative to the shard, without machine-specific directories', () => {
+    const outputDir = path.join(root, 'ensureui-report');
+    const file = writeShardResults(shardResults(root, '/about'), { index: 1, total: 1 }, { outputDir, projectRoot: root });
+
+    const { results } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    assert.strictEqual(results.pages[0].filePath, 'app/about/page.tsx');
+    assert.strictEqual(results.pages[0].generatedTests[0].screenshot, '../screenshots/about.png');
+    assert.ok(!fs.readFileSync(file, 'utf8').includes(root));
+  });
+
+  test('redacts secrets in values without breaking the JSON', () => {
+    addSecret('generatedTests');
+    const results = shardResults(root, '/about', false);
+    results.pages[0].generatedTests[0].error = 'typed generatedTests into the field';
+
+    const file = writeShardResults(results, { index: 1, total: 1 }, { outputDir: path.join(root, 'out'), projectRoot: root });
+    const { results: written } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    assert.strictEqual(written.pages[0].generatedTests[0].error, 'typed *** into the field');
+  });
+
+  test('reports missing shards and rejects shards of different runs', () => {
+    runShard(1, 3, '/about', true);
+    assert.deepStrictEqual(mergeShardResults([path.join(root, 'artifacts')], { projectRoot: root }).missing, [2, 3]);
+
+    runShard(2, 2, '/checkout', true);
+    assert.throws(() => mergeShardResults([path.join(root, 'artifacts')], { projectRoot: root }), /run with 3 shards/);
+  });
+});
+
+describe('shard selection', () => {
+  const projectRoot = '/project';
+  const pages = ['/a', '/b', '/c', '/d', '/e'].map(route => ({ route, filePath: `/project/app${route}/page.tsx`, params: null }));
+
+  test('parses i/n', () => {
+    assert.deepStrictEqual(parseShard('2/4'), { index: 2, total: 4 });
+    assert.throws(() => parseShard('5/4'), /Invalid shard/);
+  });
+
+  test('assigns every page to exactly one shard, whatever the input order', () => {
+    const shards = [1, 2, 3].map(index => selectShard(pages, { index, total: 3 }, projectRoot).map(page => page.route));
+    const reversed = [1, 2, 3].map(index => selectShard([...pages].reverse(), { index, total: 3 }, projectRoot).map(page => page.route));
+
+    assert.deepStrictEqual(shards.flat().sort(), pages.map(page => page.route));
+    assert.deepStrictEqual(reversed, shards);
+  });
+});
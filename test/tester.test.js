@@ -0,0 +1,206 @@
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnsureUITester } = require('../lib/tester');
+const { UnsafeCodeError } = require('../lib/sandbox');
+const { DEPLOYMENT_URL_PLACEHOLDER } = require('../lib/cache');
+
+// A tester for a throwaway project with the given config, without an LLM
+function createTester(config, options = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-tester-'));
+  fs.writeFileSync(path.join(projectRoot, 'ensureui.config.json'), JSON.stringify(config));
+  return new EnsureUITester({ projectRoot, offline: true, deploymentUrl: 'https://example.com', ...options });
+}
+
+describe('route settings', () => {
+  let tester;
+
+  before(() => {
+    tester = createTester({
+      visual: { maxDiffRatio: 0.01, mask: ['.timestamp'] },
+      routes: { '/shop/**': { visual: { mask: ['.price'] } } }
+    });
+  });
+
+  after(() => fs.rmSync(tester.projectRoot, { recursive: true, force: true }));
+
+  test('applies the global visual settings to every route', () => {
+    assert.deepStrictEqual(tester.getRouteSettings('/about').visual, { maxDiffRatio: 0.01, mask: ['.timestamp'] });
+  });
+
+  test('adds route masks to the global ones', () => {
+    assert.deepStrictEqual(tester.getRouteSettings('/shop/cart').visual, { maxDiffRatio: 0.01, mask: ['.timestamp', '.price'] });
+  });
+});
+
+describe('mergeSpecs', () => {
+  let tester;
+
+  before(() => {
+    tester = createTester({ routes: { '/pricing': { timeout: 60 } } });
+  });
+
+  after(() => fs.rmSync(tester.projectRoot, { recursive: true, force: true }));
+
+  const spec = (kind, target) => ({
+    kind,
+    target,
+    file: path.join(tester.projectRoot, 'checks.ensureui.md'),
+    source: 'checks.ensureui.md',
+    line: 1,
+    rawExpectations: ['the plan is shown'],
+    expectations: [{ text: 'the plan is shown', options: {} }]
+  });
+
+  test('gives URLs on the deployment their route and keeps the URL', () => {
+    const [page] = tester.mergeSpecs([], [spec('url', 'https://example.com/pricing?plan=pro')]);
+
+    assert.strictEqual(page.route, '/pricing');
+    assert.strictEqual(page.url, 'https://example.com/pricing?plan=pro');
+    assert.strictEqual(tester.getRouteSettings(page.route).timeout, 60000);
+  });
+
+  test('adds URLs without a query to the page of their route', () => {
+    const existing = { route: '/pricing', url: 'https://example.com/pricing', rawExpectations: '', expectations: [], auth: null };
+
+    const pages = tester.mergeSpecs([existing], [spec('url', 'https://example.com/pricing/')]);
+
+    assert.strictEqual(pages.length, 1);
+    assert.strictEqual(existing.expectations.length, 1);
+  });
+
+  test('keeps URLs of other sites out of route settings and globs', () => {
+    const pages = tester.mergeSpecs([], [spec('url', 'https://status.example.org/'), spec('glob', '/**')]);
+
+    assert.strictEqual(pages[0].route, 'https://status.example.org/');
+    assert.strictEqual(pages[0].expectations.length, 1);
+    assert.strictEqual(tester.getRouteSettings(pages[0].route).timeout, tester.timeout);
+  });
+});
+
+describe('runExpectation', () => {
+  const project = { name: 'chromium', browser: 'chromium', device: null };
+  const pageInfo = { route: '/checkout', url: 'https://example.com/checkout' };
+  const expectation = { text: 'the pay button is shown', lineNumber: 3 };
+  const passed = { passed: true, error: null, screenshot: 'pass.png' };
+  const failed = { passed: false, error: 'Timed out waiting for getByRole(\'button\')', screenshot: 'fail.png', dom: '<main></main>' };
+  const broken = { passed: false, error: 'page.clickk is not a function', screenshot: null, dom: null, codeError: true };
+  let tester;
+  let repairs;
+
+  // Runs the expectation with `executions` as the results of the attempts in
+  // order and `replies` as the repair verdicts
+  const run = (executions, replies = []) => {
+    const queue = [...executions];
+    tester.executeGeneratedTest = async (page, code) => {
+      const next = queue.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return { ...next, ranCode: code };
+    };
+    tester.repairTestCode = async (info, text, code, execution) => {
+      repairs.push({ code, error: execution.error });
+      const reply = replies.shift();
+      if (reply instanceof Error) {
+        throw reply;
+      }
+      return reply;
+    };
+    return tester.runExpectation(null, pageInfo, project, expectation, '<main></main>', []);
+  };
+  const types = result => result.attempts.map(attempt => `${attempt.type} ${attempt.passed ? 'passed' : 'failed'}`);
+
+  beforeEach(() => {
+    tester = createTester({}, { repairAttempts: 2 });
+    // Repairs are stubbed, so the loop can run without an LLM
+    tester.offline = false;
+    tester.getTestCode = async () => "await expect(page.getByRole('button')).toBeVisible();";
+    tester.cache.put = (...args) => repairs.push({ cached: args });
+    repairs = [];
+  });
+
+  afterEach(() => fs.rmSync(tester.projectRoot, { recursive: true, force: true }));
+
+  test('passes without retrying', async () => {
+    const result = await run([passed]);
+
+    assert.strictEqual(result.outcome, 'passed');
+    assert.strictEqual(result.screenshot, 'pass.png');
+    assert.deepStrictEqual(types(result), ['initial passed']);
+  });
+
+  test('reports a pass on the retry of the same code as flaky', async () => {
+    const result = await run([failed, passed]);
+
+    assert.strictEqual(result.outcome, 'flaky');
+    assert.strictEqual(result.passed, true);
+    assert.deepStrictEqual(types(result), ['initial failed', 'retry passed']);
+    assert.deepStrictEqual(repairs, []);
+  });
+
+  test('stops at the verdict that the page does not meet the expectation', async () => {
+    const result = await run([failed, failed], [{ appFailure: 'there is no pay button' }]);
+
+    assert.strictEqual(result.outcome, 'app-failure');
+    assert.strictEqual(result.diagnosis, 'there is no pay button');
+    assert.strictEqual(result.error, failed.error);
+    assert.deepStrictEqual(repairs, [{ code: "await expect(page.getByRole('button')).toBeVisible();", error: failed.error }]);
+  });
+
+  test('caches the repaired code once it passes', async () => {
+    const repaired = "await page.goto('https://example.com/checkout');\nawait expect(page.getByText('Pay')).toBeVisible();";
+    const result = await run([failed, failed, failed, passed], [{ code: 'await page.clickk();' }, { code: repaired }]);
+
+    assert.strictEqual(result.outcome, 'repaired');
+    assert.strictEqual(result.generatedCode, repaired);
+    assert.deepStrictEqual(types(result), ['initial failed', 'retry failed', 'repair failed', 'repair passed']);
+    assert.deepStrictEqual(repairs.map(repair => repair.code || repair.cached), [
+      "await expect(page.getByRole('button')).toBeVisible();",
+      'await page.clickk();',
+      [
+        'code',
+        { text: expectation.text, route: '/checkout', model: tester.codeModel },
+        `await page.goto('${DEPLOYMENT_URL_PLACEHOLDER}/checkout');\nawait expect(page.getByText('Pay')).toBeVisible();`
+      ]
+    ]);
+  });
+
+  test('skips the retry for broken code and gives up after repairAttempts', async () => {
+    const result = await run([broken, failed, failed], [{ code: 'await page.click();' }, { code: 'await page.tap();' }]);
+
+    assert.strictEqual(result.outcome, 'generation-failure');
+    assert.deepStrictEqual(types(result), ['initial failed', 'repair failed', 'repair failed']);
+    assert.strictEqual(repairs.length, 2);
+  });
+
+  test('reports rejected code as unsafe and stops when a repair request fails', async () => {
+    const result = await run([new UnsafeCodeError(['require() is not allowed'])], [new Error('rate limited')]);
+
+    assert.strictEqual(result.outcome, 'generation-failure');
+    assert.strictEqual(result.failureType, 'unsafe-code');
+    assert.deepStrictEqual(types(result), ['initial failed']);
+  });
+
+  test('classifies failures without repairing when repairs are off or offline', async () => {
+    tester.repairAttempts = 0;
+    assert.deepStrictEqual([(await run([failed])).outcome, (await run([broken])).outcome], ['app-failure', 'generation-failure']);
+
+    tester.repairAttempts = 2;
+    tester.offline = true;
+    const offline = await run([failed, failed]);
+    assert.strictEqual(offline.outcome, 'app-failure');
+    assert.deepStrictEqual(types(offline), ['initial failed', 'retry failed']);
+    assert.deepStrictEqual(repairs, []);
+  });
+
+  test('reports code generation errors', async () => {
+    tester.getTestCode = async () => { throw new Error('No API key'); };
+
+    const result = await run([]);
+
+    assert.deepStrictEqual([result.outcome, result.failureType, result.error], ['generation-failure', 'error', 'No API key']);
+  });
+});
@@ -0,0 +1,113 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { parseVisualExpectation, routeSlug, visualPaths, compareWithBaseline, approveCaptures } = require('../lib/visual');
+
+// Writes a white width x height PNG with the first `black` pixels black
+function writePng(filePath, { width = 10, height = 10, black = 0 } = {}) {
+  const image = new PNG({ width, height });
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    image.data.fill(pixel < black ? 0 : 255, pixel * 4, pixel * 4 + 3);
+    image.data[pixel * 4 + 3] = 255;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, PNG.sync.write(image));
+}
+
+describe('visual expectations', () => {
+  test('reads the optional name after visual', () => {
+    assert.deepStrictEqual(parseVisualExpectation('visual'), { name: 'page' });
+    assert.deepStrictEqual(parseVisualExpectation('Visual: checkout form'), { name: 'checkout form' });
+    assert.strictEqual(parseVisualExpectation('visually the logo is centered'), null);
+  });
+
+  test('keeps one path per route, project, viewport and name', () => {
+    const paths = visualPaths('/shots', { route: '/shop/cart', project: 'iPhone 13', viewport: { width: 390, height: 664 }, name: 'checkout form' });
+
+    assert.strictEqual(routeSlug('/'), 'index');
+    assert.strictEqual(paths.relative, path.join('shop-cart', 'iPhone-13-390x664', 'checkout-form.png'));
+    assert.strictEqual(paths.diff, path.join('/shots', 'diff', paths.relative));
+  });
+});
+
+describe('compareWithBaseline', () => {
+  let dir;
+  let paths;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-visual-'));
+    paths = visualPaths(dir, { route: '/about', project: 'chromium', viewport: { width: 10, height: 10 }, name: 'page' });
+    writePng(paths.current, { black: 5 });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('fails without a baseline', () => {
+    assert.deepStrictEqual(compareWithBaseline(paths), { passed: false, missingBaseline: true, diffPixels: null, diffRatio: null });
+  });
+
+  test('passes identical images and removes a stale diff', () => {
+    writePng(paths.baseline, { black: 5 });
+    writePng(paths.diff);
+
+    assert.deepStrictEqual(compareWithBaseline(paths), { passed: true, diffPixels: 0, diffRatio: 0 });
+    assert.strictEqual(fs.existsSync(paths.diff), false);
+  });
+
+  test('writes a diff when more than maxDiffRatio of the pixels differ', () => {
+    writePng(paths.baseline);
+
+    assert.deepStrictEqual(compareWithBaseline(paths), { passed: false, diffPixels: 5, diffRatio: 0.05 });
+    assert.strictEqual(fs.existsSync(paths.diff), true);
+    assert.deepStrictEqual(compareWithBaseline(paths, { maxDiffRatio: 0.05 }), { passed: true, diffPixels: 5, diffRatio: 0.05 });
+    assert.strictEqual(fs.existsSync(paths.diff), false);
+  });
+
+  test('reports a size mismatch instead of comparing', () => {
+    writePng(paths.baseline, { height: 12 });
+
+    assert.deepStrictEqual(compareWithBaseline(paths), {
+      passed: false,
+      sizeMismatch: 'baseline is 10x12, capture is 10x10',
+      diffPixels: null,
+      diffRatio: null
+    });
+  });
+});
+
+describe('approveCaptures', () => {
+  let dir;
+  const viewport = { width: 10, height: 10 };
+  const capture = (route, name) => {
+    const paths = visualPaths(dir, { route, project: 'chromium', viewport, name });
+    writePng(paths.current);
+    writePng(paths.diff);
+    return paths;
+  };
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ensureui-visual-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('moves every capture to its baseline and drops its diff', () => {
+    const about = capture('/about', 'page');
+    const header = capture('/about', 'header');
+
+    assert.deepStrictEqual(approveCaptures(dir).sort(), [header.relative, about.relative]);
+    for (const paths of [about, header]) {
+      assert.deepStrictEqual([paths.baseline, paths.current, paths.diff].map(file => fs.existsSync(file)), [true, false, false]);
+    }
+  });
+
+  test('approves only the given routes', () => {
+    const about = capture('/about', 'page');
+    const cart = capture('/shop/cart', 'page');
+
+    assert.deepStrictEqual(approveCaptures(dir, { routes: ['/shop/cart'] }), [cart.relative]);
+    assert.strictEqual(fs.existsSync(about.current), true);
+    assert.strictEqual(fs.existsSync(about.baseline), false);
+    assert.deepStrictEqual(approveCaptures(path.join(dir, 'missing')), []);
+  });
+});